@@ -1,6 +1,7 @@
 # server.py
 import cv2
 import json
+import time
 import asyncio
 import uvicorn
 from fastapi import FastAPI, WebSocket, WebSocketDisconnect
@@ -23,13 +24,57 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
+# Number of hands MediaPipe tracks at once
+MAX_NUM_HANDS = 2
+
+# MediaPipe labels handedness assuming a mirrored (selfie) image. The webcam frame
+# is not flipped here, so the labels are swapped to report the user's real hand.
+MIRRORED_INPUT = False
+
+# Tracking parameters, readable and changeable live over /ws (get_config / set_config)
+CONFIG_SCHEMA = {
+    "min_detection_confidence": {"type": float, "min": 0.0, "max": 1.0},
+    "min_tracking_confidence": {"type": float, "min": 0.0, "max": 1.0},
+    "max_num_hands": {"type": int, "min": 1, "max": 4},
+    "target_fps": {"type": int, "min": 1, "max": 60},
+    "camera_width": {"type": int, "min": 160, "max": 1920},
+    "camera_height": {"type": int, "min": 120, "max": 1080},
+}
+
+config = {
+    "min_detection_confidence": 0.7,
+    "min_tracking_confidence": 0.5,
+    "max_num_hands": MAX_NUM_HANDS,
+    "target_fps": 30,
+    "camera_width": 640,
+    "camera_height": 480,
+}
+
+# Parameters that only take effect when MediaPipe Hands is rebuilt
+HANDS_PARAMETERS = {"min_detection_confidence", "min_tracking_confidence", "max_num_hands"}
+CAMERA_PARAMETERS = {"camera_width", "camera_height", "target_fps"}
+
+def create_hands():
+    """Build MediaPipe Hands from the current config"""
+    return mp_hands.Hands(
+        static_image_mode=False,
+        max_num_hands=config["max_num_hands"],
+        min_detection_confidence=config["min_detection_confidence"],
+        min_tracking_confidence=config["min_tracking_confidence"]
+    )
+
+def apply_camera_config():
+    """Push resolution and frame rate to the camera, keeping what it actually accepted"""
+    if not cap:
+        return
+    cap.set(cv2.CAP_PROP_FRAME_WIDTH, config["camera_width"])
+    cap.set(cv2.CAP_PROP_FRAME_HEIGHT, config["camera_height"])
+    cap.set(cv2.CAP_PROP_FPS, config["target_fps"])
+    config["camera_width"] = int(cap.get(cv2.CAP_PROP_FRAME_WIDTH)) or config["camera_width"]
+    config["camera_height"] = int(cap.get(cv2.CAP_PROP_FRAME_HEIGHT)) or config["camera_height"]
+
 # Initialize MediaPipe Hands
-hands = mp_hands.Hands(
-    static_image_mode=False,
-    max_num_hands=1,
-    min_detection_confidence=0.7,
-    min_tracking_confidence=0.5
-)
+hands = create_hands()
 
 # Initialize camera
 cap = cv2.VideoCapture(0)
@@ -38,11 +83,62 @@ if not cap.isOpened():
     cap = None
 else:
     # Set camera properties for better performance
-    cap.set(cv2.CAP_PROP_FRAME_WIDTH, 640)
-    cap.set(cv2.CAP_PROP_FRAME_HEIGHT, 480)
-    cap.set(cv2.CAP_PROP_FPS, 30)
+    apply_camera_config()
     logger.info("Camera initialized successfully")
 
+def server_clock():
+    """Monotonic server clock in seconds, shared by frame timestamps and pong replies"""
+    return time.monotonic()
+
+def handedness_label(classification):
+    """Return the user's real hand ('Left' or 'Right') for a MediaPipe classification"""
+    label = classification.label
+    if not MIRRORED_INPUT:
+        label = "Left" if label == "Right" else "Right"
+    return label
+
+def serialize_landmark(lm):
+    """Normalized landmark; visibility and presence only when MediaPipe filled them in"""
+    point = {"x": lm.x, "y": lm.y, "z": lm.z}
+    if lm.HasField("visibility"):
+        point["visibility"] = lm.visibility
+    if lm.HasField("presence"):
+        point["presence"] = lm.presence
+    return point
+
+def build_hands(results):
+    """Serialize every detected hand with its handedness, landmarks and world landmarks"""
+    if not results.multi_hand_landmarks:
+        return []
+
+    # Metric landmarks (metres, origin at the hand's centre); missing on old MediaPipe versions
+    world = getattr(results, "multi_hand_world_landmarks", None) or []
+
+    detected = []
+    for index, hand_landmarks in enumerate(results.multi_hand_landmarks):
+        handedness = None
+        if results.multi_handedness and index < len(results.multi_handedness):
+            classification = results.multi_handedness[index].classification[0]
+            handedness = {
+                "label": handedness_label(classification),
+                "score": classification.score
+            }
+
+        world_landmarks = None
+        if index < len(world):
+            world_landmarks = [
+                {"x": lm.x, "y": lm.y, "z": lm.z}
+                for lm in world[index].landmark
+            ]
+
+        detected.append({
+            "landmarks": [serialize_landmark(lm) for lm in hand_landmarks.landmark],
+            "world_landmarks": world_landmarks,
+            "handedness": handedness
+        })
+
+    return detected
+
 @app.get("/")
 async def root():
     return {"message": "Hand Tracking WebSocket Server", "status": "running"}
@@ -56,22 +152,124 @@ async def health():
         "mediapipe": "loaded"
     }
 
+class CommandError(Exception):
+    """A client command that cannot be carried out; sent back as an error reply"""
+
+def validate_config(patch):
+    """Check a set_config patch against CONFIG_SCHEMA and return the coerced values"""
+    if not isinstance(patch, dict) or not patch:
+        raise CommandError("config must be a non-empty object")
+
+    validated = {}
+    for key, value in patch.items():
+        schema = CONFIG_SCHEMA.get(key)
+        if schema is None:
+            raise CommandError(f"Unknown parameter: {key}")
+        if isinstance(value, bool) or not isinstance(value, (int, float)):
+            raise CommandError(f"{key} must be a number")
+        if schema["type"] is int and value != int(value):
+            raise CommandError(f"{key} must be a whole number")
+
+        value = schema["type"](value)
+        if not schema["min"] <= value <= schema["max"]:
+            raise CommandError(f"{key} must be between {schema['min']} and {schema['max']}")
+        validated[key] = value
+
+    return validated
+
+def set_config(patch):
+    """Apply a validated config patch, rebuilding MediaPipe or reconfiguring the camera as needed"""
+    global hands
+
+    changed = {key for key, value in patch.items() if config[key] != value}
+    config.update(patch)
+
+    if changed & HANDS_PARAMETERS:
+        previous = hands
+        hands = create_hands()
+        previous.close()
+    if changed & CAMERA_PARAMETERS:
+        apply_camera_config()
+
+    if changed:
+        logger.info(f"Config updated: {', '.join(f'{key}={config[key]}' for key in sorted(changed))}")
+
+def handle_command(message):
+    """Run a typed command and return its reply payload (without type/id)"""
+    command = message.get("type")
+
+    if command == "get_config":
+        return {"config": dict(config)}
+    if command == "set_config":
+        set_config(validate_config(message.get("config")))
+        return {"config": dict(config)}
+
+    raise CommandError(f"Unknown command: {command}")
+
+async def receive_commands(websocket: WebSocket, send_json):
+    """Answer client messages. Pings carry the client's clock and are echoed with
+    the server clock so the client can estimate the offset between the two. Other
+    messages are commands, answered with an "ack" or an "error" carrying the same id."""
+    while True:
+        text = await websocket.receive_text()
+        try:
+            message = json.loads(text)
+        except json.JSONDecodeError:
+            logger.warning("Ignoring malformed client message")
+            continue
+
+        if not isinstance(message, dict):
+            logger.warning("Ignoring client message that is not an object")
+            continue
+
+        if message.get("type") == "ping":
+            await send_json({
+                "type": "pong",
+                "id": message.get("id"),
+                "client_time": message.get("client_time"),
+                "server_time": server_clock()
+            })
+            continue
+
+        reply = {"id": message.get("id"), "command": message.get("type")}
+        try:
+            await send_json({"type": "ack", **reply, **handle_command(message)})
+        except CommandError as e:
+            logger.warning(f"Rejected command {message.get('type')}: {e}")
+            await send_json({"type": "error", **reply, "message": str(e)})
+
 @app.websocket("/ws")
 async def websocket_endpoint(websocket: WebSocket):
     await websocket.accept()
     logger.info("WebSocket connection established")
-    
+
+    # Frames and pong replies are sent from two tasks; serialize the writes
+    send_lock = asyncio.Lock()
+
+    async def send_json(payload):
+        async with send_lock:
+            await websocket.send_text(json.dumps(payload))
+
+    receiver = asyncio.create_task(receive_commands(websocket, send_json))
+
     try:
         frame_count = 0
         while True:
+            if receiver.done():
+                # Client went away (or the receive loop failed): surface it here
+                receiver.result()
+                break
+
             if not cap or not cap.isOpened():
-                await websocket.send_text(json.dumps({
-                    "error": "Camera not available"
-                }))
+                await send_json({
+                    "error": "Camera not available",
+                    "code": "camera_unavailable"
+                })
                 await asyncio.sleep(0.1)
                 continue
 
             success, frame = cap.read()
+            capture_timestamp = server_clock()
             if not success:
                 logger.warning("Failed to read frame from camera")
                 await asyncio.sleep(0.01)
@@ -85,38 +283,35 @@ async def websocket_endpoint(websocket: WebSocket):
             
             frame_count += 1
             
-            # Prepare payload
-            if results.multi_hand_landmarks:
-                landmarks = results.multi_hand_landmarks[0].landmark
-                payload = {
-                    "landmarks": [
-                        {"x": lm.x, "y": lm.y, "z": lm.z} 
-                        for lm in landmarks
-                    ],
-                    "frame_count": frame_count,
-                    "timestamp": asyncio.get_event_loop().time()
-                }
-                
-                if frame_count % 30 == 0:  # Log every 30 frames
-                    logger.info(f"Hand detected - Frame {frame_count}")
-            else:
-                payload = {
-                    "landmarks": None,
-                    "frame_count": frame_count,
-                    "timestamp": asyncio.get_event_loop().time()
-                }
+            # Prepare payload. "landmarks" mirrors the first hand for older clients.
+            detected_hands = build_hands(results)
+            payload = {
+                "hands": detected_hands,
+                "landmarks": detected_hands[0]["landmarks"] if detected_hands else None,
+                "frame_count": frame_count,
+                "capture_timestamp": capture_timestamp,
+                "timestamp": server_clock()
+            }
+
+            if detected_hands and frame_count % 30 == 0:  # Log every 30 frames
+                labels = ", ".join(
+                    hand["handedness"]["label"] if hand["handedness"] else "?"
+                    for hand in detected_hands
+                )
+                logger.info(f"{len(detected_hands)} hand(s) detected ({labels}) - Frame {frame_count}")
 
             # Send data to frontend
-            await websocket.send_text(json.dumps(payload))
+            await send_json(payload)
             
-            # Control frame rate (~30 FPS)
-            await asyncio.sleep(0.033)
+            # Control frame rate (target_fps, 30 by default)
+            await asyncio.sleep(1 / config["target_fps"])
             
     except WebSocketDisconnect:
         logger.info("WebSocket connection closed by client")
     except Exception as e:
         logger.error(f"WebSocket error: {e}")
     finally:
+        receiver.cancel()
         logger.info("Cleaning up WebSocket connection")
 
 @app.on_event("shutdown")
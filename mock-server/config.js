@@ -0,0 +1,50 @@
+// mock-server/config.js
+// Tracking parameters with the same names, ranges and validation as CONFIG_SCHEMA in backend/server.py
+
+export const CONFIG_SCHEMA = {
+    min_detection_confidence: { integer: false, min: 0, max: 1 },
+    min_tracking_confidence: { integer: false, min: 0, max: 1 },
+    max_num_hands: { integer: true, min: 1, max: 4 },
+    target_fps: { integer: true, min: 1, max: 60 },
+    camera_width: { integer: true, min: 160, max: 1920 },
+    camera_height: { integer: true, min: 120, max: 1080 }
+}
+
+export const DEFAULT_CONFIG = {
+    min_detection_confidence: 0.7,
+    min_tracking_confidence: 0.5,
+    max_num_hands: 2,
+    target_fps: 30,
+    camera_width: 640,
+    camera_height: 480
+}
+
+/**
+ * Validate a set_config patch
+ * @param {Object} patch - Parameters to change
+ * @returns {Object} - The validated patch
+ * @throws {Error} - With the same messages the Python server replies with
+ */
+export function validateConfig(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch) || Object.keys(patch).length === 0) {
+        throw new Error('config must be a non-empty object')
+    }
+
+    Object.entries(patch).forEach(([key, value]) => {
+        const schema = CONFIG_SCHEMA[key]
+        if (!schema) {
+            throw new Error(`Unknown parameter: ${key}`)
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${key} must be a number`)
+        }
+        if (schema.integer && !Number.isInteger(value)) {
+            throw new Error(`${key} must be a whole number`)
+        }
+        if (value < schema.min || value > schema.max) {
+            throw new Error(`${key} must be between ${schema.min} and ${schema.max}`)
+        }
+    })
+
+    return patch
+}
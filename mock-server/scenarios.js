@@ -0,0 +1,102 @@
+// mock-server/scenarios.js
+// Scripted poses streamed by the mock server (--scenario <name>).
+// Screen coordinates are normalized, (0, 0) top-left; see BULB_TARGETS for the bulbs.
+import { BULB_TARGETS, DEFAULT_SCRIPT, buildScript } from '../src/utils/poseScript.js'
+
+const CEILING_BULB = BULB_TARGETS[1]
+const LEFT_BULB = BULB_TARGETS[2]
+
+export const SCENARIOS = {
+    // Visit every bulb and pinch on it (same as the in-browser synthetic source)
+    tour: {
+        description: 'Visit each bulb, pinch on it, then leave the frame',
+        script: DEFAULT_SCRIPT
+    },
+
+    'point-center': {
+        description: 'Point at the middle of the screen and hold',
+        script: buildScript([
+            { point: [0.5, 0.5], duration: 800 },
+            { hold: 5000 }
+        ], { x: 0.5, y: 0.5 })
+    },
+
+    'pinch-ceiling': {
+        description: 'Point at the ceiling bulb and pinch every two seconds',
+        script: buildScript([
+            { point: CEILING_BULB, duration: 800 },
+            { hold: 600 },
+            { pinch: 250 },
+            { hold: 200 },
+            { release: 250 }
+        ], { x: CEILING_BULB[0], y: CEILING_BULB[1] })
+    },
+
+    'bulb-2-pinch': {
+        description: 'Point at bulb 2 (left wall) and pinch once, then rest',
+        script: buildScript([
+            { point: LEFT_BULB, duration: 1000 },
+            { hold: 500 },
+            { pinch: 250 },
+            { hold: 200 },
+            { release: 250 },
+            { point: [0.5, 0.75], duration: 800 },
+            { hold: 1500 }
+        ])
+    },
+
+    'weak-pinch': {
+        description: 'Half-strength pinch on the ceiling bulb (should not toggle)',
+        script: buildScript([
+            { point: CEILING_BULB, duration: 800 },
+            { pinch: 300, strength: 0.5 },
+            { hold: 800 },
+            { release: 300 }
+        ], { x: CEILING_BULB[0], y: CEILING_BULB[1] })
+    },
+
+    'open-fist': {
+        description: 'Open palm, close into a fist, back to pointing',
+        script: buildScript([
+            { point: [0.5, 0.5], duration: 600 },
+            { pose: 'open', duration: 500 },
+            { hold: 800 },
+            { pose: 'fist', duration: 500 },
+            { hold: 800 },
+            { pose: 'point', duration: 500 }
+        ], { x: 0.5, y: 0.5 })
+    },
+
+    'sweep': {
+        description: 'Sweep the fingertip across all three bulbs without pinching',
+        script: buildScript([
+            { path: [LEFT_BULB, CEILING_BULB, BULB_TARGETS[3], [0.5, 0.75]], duration: 4000 }
+        ])
+    },
+
+    'hover-no-pinch': {
+        description: 'Hover over the left bulb without pinching',
+        script: buildScript([
+            { point: LEFT_BULB, duration: 1000 },
+            { hold: 3000 },
+            { point: [0.5, 0.75], duration: 1000 }
+        ])
+    },
+
+    'in-and-out': {
+        description: 'Hand enters, pinches mid-air, then leaves the frame',
+        script: buildScript([
+            { point: [0.6, 0.6], duration: 700 },
+            { pinch: 200 },
+            { release: 200 },
+            { noHand: 1500 }
+        ])
+    },
+
+    'no-hand': {
+        description: 'Empty frames (camera works, nobody in view)',
+        script: buildScript([{ noHand: 1000 }])
+    }
+}
+
+export const DEFAULT_SCENARIO = 'tour'
@@ -0,0 +1,278 @@
+// mock-server/server.js
+// Mock hand tracking server speaking the backend/server.py protocol (/ws and /health),
+// for working on the frontend without a webcam, MediaPipe or Python.
+//
+//   npm run dev:mock                                   scripted "tour" on ws://localhost:8001/ws
+//   npm run dev:mock -- --scenario pinch-ceiling       another scripted scenario
+//   npm run dev:mock -- --fixture session.ndjson       loop a recorded session
+//   npm run dev:mock -- --noise 0.002 --seed 7         add repeatable landmark jitter
+//   npm run dev:mock -- --no-camera                    report "camera unavailable"
+//   npm run dev:mock -- --list                         list scenarios
+import http from 'node:http'
+import { readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { WebSocketServer } from 'ws'
+import { sampleHand } from '../src/utils/poseScript.js'
+import { createRandom } from '../src/utils/handPoseGenerator.js'
+import { parseSession } from '../src/utils/sessionFile.js'
+import { SCENARIOS, DEFAULT_SCENARIO } from './scenarios.js'
+import { DEFAULT_CONFIG, validateConfig } from './config.js'
+
+const DEFAULT_PORT = 8001
+const NO_CAMERA_INTERVAL = 100 // ms between "Camera not available" messages, as in server.py
+
+const USAGE = `Usage: node mock-server/server.js [options]
+
+  --port <number>      Port to listen on (default ${DEFAULT_PORT}, or $PORT)
+  --scenario <name>    Scripted scenario to stream (default ${DEFAULT_SCENARIO})
+  --fixture <file>     Loop a recorded NDJSON session instead of a scenario
+  --noise <amount>     Landmark jitter in normalized units, e.g. 0.002 (default 0)
+  --seed <integer>     Seed for the jitter, so noisy runs repeat exactly (default 1)
+  --no-camera          Answer every frame with "Camera not available"
+  --list               List scenarios and exit
+  --help               Show this help`
+
+function parseArgs(argv) {
+    const options = {
+        port: Number(process.env.PORT) || DEFAULT_PORT,
+        scenario: DEFAULT_SCENARIO,
+        fixture: null,
+        noise: 0,
+        seed: 1,
+        noCamera: false
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i]
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`)
+            return argv[++i]
+        }
+
+        if (arg === '--port') options.port = Number(value())
+        else if (arg === '--scenario') options.scenario = value()
+        else if (arg === '--fixture') options.fixture = value()
+        else if (arg === '--noise') options.noise = Number(value())
+        else if (arg === '--seed') options.seed = Number(value())
+        else if (arg === '--no-camera') options.noCamera = true
+        else if (arg === '--list') options.list = true
+        else if (arg === '--help' || arg === '-h') options.help = true
+        else throw new Error(`Unknown option: ${arg}`)
+    }
+
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+        throw new Error('--port must be a positive integer')
+    }
+    if (!Number.isFinite(options.noise) || options.noise < 0) {
+        throw new Error('--noise must be a non-negative number')
+    }
+    if (!Number.isInteger(options.seed)) {
+        throw new Error('--seed must be an integer')
+    }
+    if (!options.fixture && !SCENARIOS[options.scenario]) {
+        throw new Error(`Unknown scenario "${options.scenario}" (see --list)`)
+    }
+
+    return options
+}
+
+// Monotonic server clock in seconds (same role as server_clock() in server.py)
+const serverClock = () => performance.now() / 1000
+
+/**
+ * Frame producer for a scripted scenario
+ * @returns {Function} - (elapsed ms) → { hands, landmarks }
+ */
+function scenarioFrames(script, { noise, seed }) {
+    const random = createRandom(seed)
+
+    return (elapsed) => {
+        const hand = sampleHand(script, elapsed, { noise, random })
+
+        return {
+            hands: hand ? [hand] : [],
+            landmarks: hand?.landmarks ?? null
+        }
+    }
+}
+
+/**
+ * Frame producer looping a recorded session: picks the latest entry at or before the elapsed time
+ * @returns {Function} - (elapsed ms) → recorded /ws message
+ */
+function fixtureFrames(entries) {
+    const duration = entries[entries.length - 1].t + 33
+
+    return (elapsed) => {
+        const time = elapsed % duration
+        let index = 0
+        while (index + 1 < entries.length && entries[index + 1].t <= time) {
+            index += 1
+        }
+        return entries[index].message
+    }
+}
+
+function createFrameSource(options) {
+    if (options.fixture) {
+        const path = resolve(options.fixture)
+        const { header, entries } = parseSession(readFileSync(path, 'utf8'))
+        console.log(`📼 Looping fixture ${path} (${entries.length} frames${header?.recorded_at ? `, recorded ${header.recorded_at}` : ''})`)
+        return { name: `fixture:${path}`, nextFrame: fixtureFrames(entries) }
+    }
+
+    const scenario = SCENARIOS[options.scenario]
+    console.log(`🎬 Streaming scenario "${options.scenario}": ${scenario.description}`)
+    return { name: `scenario:${options.scenario}`, nextFrame: scenarioFrames(scenario.script, options) }
+}
+
+function startServer(options) {
+    const frameSource = createFrameSource(options)
+    const config = { ...DEFAULT_CONFIG } // Shared by all clients, like the Python server
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        })
+        res.end(JSON.stringify(body))
+    }
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost')
+
+        if (pathname === '/') {
+            sendJson(res, 200, { message: 'Hand Tracking WebSocket Server (mock)', status: 'running' })
+        } else if (pathname === '/health') {
+            sendJson(res, 200, {
+                status: 'healthy',
+                camera: options.noCamera ? 'disconnected' : 'connected',
+                mediapipe: 'mock',
+                source: frameSource.name
+            })
+        } else {
+            sendJson(res, 404, { detail: 'Not Found' })
+        }
+    })
+
+    const wss = new WebSocketServer({ server, path: '/ws' })
+
+    wss.on('connection', (ws) => {
+        console.log('✅ WebSocket connection established')
+
+        const startedAt = performance.now()
+        let frameCount = 0
+        let timer = null
+
+        const send = (payload) => {
+            if (ws.readyState === ws.OPEN) {
+                ws.send(JSON.stringify(payload))
+            }
+        }
+
+        const streamFrame = () => {
+            if (options.noCamera) {
+                send({ error: 'Camera not available', code: 'camera_unavailable' })
+                timer = setTimeout(streamFrame, NO_CAMERA_INTERVAL)
+                return
+            }
+
+            const captureTimestamp = serverClock()
+            const frame = frameSource.nextFrame(performance.now() - startedAt)
+            frameCount += 1
+
+            send({
+                ...frame,
+                ...(frame.hands && { hands: frame.hands.slice(0, config.max_num_hands) }),
+                frame_count: frameCount,
+                capture_timestamp: captureTimestamp,
+                timestamp: serverClock()
+            })
+
+            if (frameCount % 300 === 0) {
+                console.log(`📊 Sent ${frameCount} frames`)
+            }
+
+            timer = setTimeout(streamFrame, 1000 / config.target_fps)
+        }
+
+        ws.on('message', (raw) => {
+            let message
+            try {
+                message = JSON.parse(raw.toString())
+            } catch {
+                console.warn('Ignoring malformed client message')
+                return
+            }
+
+            if (!message || typeof message !== 'object') return
+
+            if (message.type === 'ping') {
+                send({
+                    type: 'pong',
+                    id: message.id,
+                    client_time: message.client_time,
+                    server_time: serverClock()
+                })
+                return
+            }
+
+            const reply = { id: message.id, command: message.type }
+            try {
+                if (message.type === 'set_config') {
+                    Object.assign(config, validateConfig(message.config))
+                    console.log('⚙️ Config updated:', message.config)
+                } else if (message.type !== 'get_config') {
+                    throw new Error(`Unknown command: ${message.type}`)
+                }
+                send({ type: 'ack', ...reply, config: { ...config } })
+            } catch (commandError) {
+                console.warn(`Rejected command ${message.type}: ${commandError.message}`)
+                send({ type: 'error', ...reply, message: commandError.message })
+            }
+        })
+
+        ws.on('close', () => {
+            clearTimeout(timer)
+            console.log('🔌 WebSocket connection closed by client')
+        })
+
+        streamFrame()
+    })
+
+    server.on('error', (serverError) => {
+        console.error(`❌ Mock server error: ${serverError.message}`)
+        process.exit(1)
+    })
+
+    server.listen(options.port, () => {
+        console.log(`🖐️ Mock hand tracking server at ws://localhost:${options.port}/ws`)
+        console.log(`   Health check at http://localhost:${options.port}/health`)
+    })
+
+    const shutdown = () => {
+        console.log('Mock server shutting down')
+        wss.clients.forEach(client => client.terminate())
+        server.close(() => process.exit(0))
+    }
+    process.on('SIGINT', shutdown)
+    process.on('SIGTERM', shutdown)
+}
+
+let options
+try {
+    options = parseArgs(process.argv.slice(2))
+} catch (argError) {
+    console.error(`${argError.message}\n\n${USAGE}`)
+    process.exit(1)
+}
+
+if (options.help) {
+    console.log(USAGE)
+} else if (options.list) {
+    Object.entries(SCENARIOS).forEach(([name, scenario]) => {
+        console.log(`${name.padEnd(16)} ${scenario.description}${name === DEFAULT_SCENARIO ? ' (default)' : ''}`)
+    })
+} else {
+    startServer(options)
+}
@@ -0,0 +1,111 @@
+// scripts/check-mock-server.js
+// Mock server smoke check (`npm run test:mock`): starts mock-server/server.js on a free port,
+// checks /health, reads one /ws frame and checks it has the backend's message shape.
+// Gives up after TIMEOUT ms and always stops the server it started.
+import { spawn } from 'node:child_process'
+import { createServer } from 'node:net'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import WebSocket from 'ws'
+
+const TIMEOUT = 15000       // ms for the whole check
+const RETRY_INTERVAL = 100  // ms between /health attempts while the server starts
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..')
+
+// Let the OS pick a port that is free right now
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer()
+        probe.once('error', reject)
+        probe.listen(0, () => {
+            const { port } = probe.address()
+            probe.close(() => resolve(port))
+        })
+    })
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message)
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+async function fetchHealth(port, server) {
+    for (;;) {
+        assert(server.exitCode === null, `mock server exited with code ${server.exitCode}`)
+        try {
+            const response = await fetch(`http://localhost:${port}/health`)
+            return { status: response.status, body: await response.json() }
+        } catch {
+            // Not listening yet
+            await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL))
+        }
+    }
+}
+
+function readFrame(port) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws`)
+        ws.once('message', (raw) => {
+            ws.close()
+            try {
+                resolve(JSON.parse(raw.toString()))
+            } catch (parseError) {
+                reject(new Error(`/ws frame is not JSON: ${parseError.message}`))
+            }
+        })
+        ws.once('error', reject)
+    })
+}
+
+function checkHealth({ status, body }) {
+    assert(status === 200, `/health answered ${status}`)
+    assert(body.status === 'healthy', `/health status is ${body.status}`)
+    assert(body.camera === 'connected', `/health camera is ${body.camera}`)
+    assert(body.mediapipe === 'mock', `/health mediapipe is ${body.mediapipe}`)
+    assert(typeof body.source === 'string' && body.source.startsWith('scenario:'), `/health source is ${body.source}`)
+}
+
+function checkFrame(frame) {
+    assert(Array.isArray(frame.hands) && frame.hands.length === 1, 'frame should carry one hand')
+    assert(frame.frame_count === 1, `first frame_count is ${frame.frame_count}`)
+    assert(isNumber(frame.capture_timestamp) && isNumber(frame.timestamp), 'frame timestamps should be numbers')
+    assert(frame.timestamp >= frame.capture_timestamp, 'timestamp should not precede capture_timestamp')
+
+    const [hand] = frame.hands
+    assert(['Left', 'Right'].includes(hand.handedness?.label), `handedness label is ${hand.handedness?.label}`)
+    assert(isNumber(hand.handedness.score), 'handedness score should be a number')
+    ;[['landmarks', hand.landmarks], ['world_landmarks', hand.world_landmarks]].forEach(([name, landmarks]) => {
+        assert(Array.isArray(landmarks) && landmarks.length === 21, `${name} should hold 21 points`)
+        assert(landmarks.every(point => isNumber(point.x) && isNumber(point.y) && isNumber(point.z)), `${name} should be { x, y, z } numbers`)
+    })
+    assert(JSON.stringify(frame.landmarks) === JSON.stringify(hand.landmarks), 'legacy landmarks should be the first hand\'s')
+}
+
+const port = await findFreePort()
+const server = spawn(
+    process.execPath,
+    [join(root, 'mock-server', 'server.js'), '--port', String(port), '--scenario', 'bulb-2-pinch'],
+    { cwd: root, stdio: ['ignore', 'ignore', 'inherit'] }
+)
+
+const timeout = setTimeout(() => {
+    console.error(`❌ Mock server check timed out after ${TIMEOUT} ms`)
+    server.kill('SIGKILL')
+    process.exit(1)
+}, TIMEOUT)
+
+try {
+    checkHealth(await fetchHealth(port, server))
+    console.log(`✅ /health on port ${port}`)
+
+    checkFrame(await readFrame(port))
+    console.log('✅ /ws frame shape')
+} catch (checkError) {
+    console.error(`❌ Mock server check failed: ${checkError.message}`)
+    process.exitCode = 1
+} finally {
+    clearTimeout(timeout)
+    server.kill('SIGTERM')
+}
@@ -0,0 +1,26 @@
+// scripts/check-scenarios.js
+// Scenario checks (`npm run test:scenarios`): scripted hands run through the app's own frame
+// logic in Node. The checks in scripts/checks/ import src/ the way the app does (no file
+// extensions), so they are loaded through Vite. Exits non-zero when any check fails.
+import { readdirSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import { runnerImport } from 'vite'
+
+const checksDir = join(dirname(fileURLToPath(import.meta.url)), 'checks')
+const files = readdirSync(checksDir).filter(file => file.endsWith('.js')).sort()
+
+let failures = 0
+for (const file of files) {
+    try {
+        const { module } = await runnerImport(join(checksDir, file), { configFile: false, logLevel: 'error' })
+        const summary = module.default()
+        console.log(`✅ ${file}: ${module.description} (${summary})`)
+    } catch (checkError) {
+        failures += 1
+        console.error(`❌ ${file}: ${checkError.message}`)
+    }
+}
+
+console.log(`${files.length - failures}/${files.length} scenario checks passed`)
+process.exitCode = failures > 0 ? 1 : 0
@@ -0,0 +1,129 @@
+// scripts/checks/bulb-2-pinch.js
+// Regression check: a synthetic hand points at bulb 2 (left wall) and pinches once, and only
+// bulb 2 toggles. The frames take the app's path without a browser: JSON over the wire,
+// parseHands, frame validation, pointing-hand selection and the raycast against the scene
+// layout, pinch and pinch-sequence classification, then the default bindings.
+// Loaded through Vite by scripts/check-scenarios.js, so it imports src/ as the app does.
+import * as THREE from 'three'
+import { buildScript, sampleHand, BULB_TARGETS } from '../../src/utils/poseScript'
+import { createRandom } from '../../src/utils/handPoseGenerator'
+import { parseHands, selectPointingHand } from '../../src/utils/handFrame'
+import FrameValidator, { DEFAULT_FRAME_POLICY } from '../../src/utils/frameValidator'
+import { findIntersectedBulb } from '../../src/utils/raycastUtils'
+import { applyPointingTransform, DEFAULT_POINTING_TRANSFORM } from '../../src/utils/calibration'
+import PinchClassifier from '../../src/utils/pinchClassifier'
+import PinchSequenceClassifier from '../../src/utils/pinchSequence'
+import { DEFAULT_BINDINGS, findBindings } from '../../src/utils/bindings'
+import { SCENE_CAMERA, BULBS, HITBOX_RADIUS, bulbCenterOffset } from '../../src/utils/sceneLayout'
+
+const FRAME_INTERVAL = 33   // ms, as the backend streams
+const ASPECT = 16 / 9       // Browser window the bulb targets were measured in
+const NOISE = 0.002         // Camera-like landmark jitter (seeded, so every run is identical)
+
+export const description = 'Point at bulb 2 and pinch: bulb 2 toggles once, nothing else does'
+
+// The scene's camera and bulb hitboxes, as LightsScene lays them out
+function createScene() {
+    const camera = new THREE.PerspectiveCamera(SCENE_CAMERA.fov, ASPECT, 0.1, 1000)
+    camera.position.set(...SCENE_CAMERA.position)
+    camera.lookAt(...SCENE_CAMERA.target)
+    camera.updateMatrixWorld()
+
+    const hitboxes = BULBS.map(({ id, position, isCeiling }) => {
+        const hitbox = new THREE.Mesh(new THREE.SphereGeometry(HITBOX_RADIUS, 16, 16))
+        const offset = bulbCenterOffset(isCeiling)
+        hitbox.position.set(position[0] + offset[0], position[1] + offset[1], position[2] + offset[2])
+        hitbox.userData = { id }
+        hitbox.updateMatrixWorld()
+        return hitbox
+    })
+
+    return { camera, hitboxes }
+}
+
+/**
+ * Run the scenario
+ * @returns {Object} - { toggles: { bulbId: count }, pinches, taps }
+ */
+export function runScenario() {
+    const script = buildScript([
+        { point: BULB_TARGETS[2], duration: 1000 },
+        { hold: 500 },
+        { pinch: 250 },
+        { hold: 200 },
+        { release: 250 },
+        { point: [0.5, 0.75], duration: 800 },
+        { hold: 1500 }
+    ])
+    const duration = script[script.length - 1].t
+
+    const { camera, hitboxes } = createScene()
+    const random = createRandom(7)
+    const validator = new FrameValidator(DEFAULT_FRAME_POLICY)
+    const pinch = new PinchClassifier()
+    const sequence = new PinchSequenceClassifier()
+
+    const pinchTargets = {} // hand key → bulb pointed at when its pinch started (as in App.jsx)
+    const toggles = {}
+    let pinches = 0
+    let taps = 0
+    let pointingKey = null
+    let targetBulbId = null
+
+    const runSequenceEvents = (events) => events.forEach(event => {
+        if (event.type === 'tap') taps += 1
+        const bulbId = pinchTargets[event.hand] ?? null
+        findBindings(DEFAULT_BINDINGS, `pinch:${event.type}`, { hasTarget: bulbId !== null, handedness: event.handedness })
+            .filter(binding => binding.action === 'toggleTarget' && bulbId !== null)
+            .forEach(() => { toggles[bulbId] = (toggles[bulbId] ?? 0) + 1 })
+    })
+
+    // Stop before the script loops back to its start
+    for (let t = 0, frame = 1; t < duration; t += FRAME_INTERVAL, frame++) {
+        const hand = sampleHand(script, t, { noise: NOISE, random })
+        const message = JSON.parse(JSON.stringify({
+            hands: hand ? [hand] : [],
+            landmarks: hand?.landmarks ?? null,
+            frame_count: frame,
+            timestamp: t / 1000
+        }))
+
+        const { hands } = validator.validate(parseHands(message), t)
+
+        // Pointing: the selected hand's index fingertip, through the (uncalibrated) pointing transform
+        const pointingHand = selectPointingHand(hands, 'either', pointingKey)
+        pointingKey = pointingHand?.key ?? null
+        const tip = pointingHand?.landmarks?.[8]
+        const pointer = tip ? applyPointingTransform(DEFAULT_POINTING_TRANSFORM, tip) : null
+        targetBulbId = pointer ? findIntersectedBulb(camera, pointer.x, pointer.y, hitboxes)?.bulbId ?? null : null
+
+        pinch.update(hands).events.forEach(event => {
+            if (event.type === 'pinch_start') {
+                pinches += 1
+                pinchTargets[event.hand] = targetBulbId
+            }
+            runSequenceEvents(sequence.handle(event, t))
+        })
+        runSequenceEvents(sequence.tick(t))
+    }
+
+    // Let a pending tap resolve after the double-tap window
+    runSequenceEvents(sequence.tick(duration + 1000))
+
+    return { toggles, pinches, taps }
+}
+
+/**
+ * @throws {Error} - When the scenario does not toggle exactly bulb 2, once
+ */
+export default function check() {
+    const { toggles, pinches, taps } = runScenario()
+
+    if (pinches !== 1) throw new Error(`expected 1 pinch, saw ${pinches}`)
+    if (taps !== 1) throw new Error(`expected 1 tap, saw ${taps}`)
+
+    const toggled = JSON.stringify(toggles)
+    if (toggled !== JSON.stringify({ 2: 1 })) throw new Error(`expected bulb 2 to toggle once, toggles were ${toggled}`)
+
+    return `pinch on bulb 2, toggles ${toggled}`
+}
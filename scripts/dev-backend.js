@@ -0,0 +1,28 @@
+// scripts/dev-backend.js
+// Backend for `npm run dev:full`: the Python server via its Windows scripts where they
+// exist, otherwise the Node mock server on the backend's port (8000) so the frontend's
+// default endpoint works unchanged.
+import { spawn } from 'node:child_process'
+import { existsSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..')
+const backendDir = join(root, 'backend')
+const usePython = process.platform === 'win32' && existsSync(join(backendDir, 'start-backend.bat'))
+
+let child
+if (usePython) {
+    child = spawn('cmd.exe', ['/c', 'start-backend.bat'], { cwd: backendDir, stdio: 'inherit' })
+} else {
+    console.log('ℹ️ No Python backend launcher for this platform, starting the mock server on port 8000')
+    child = spawn(
+        process.execPath,
+        [join(root, 'mock-server', 'server.js'), '--port', '8000', ...process.argv.slice(2)],
+        { cwd: root, stdio: 'inherit' }
+    )
+}
+
+child.on('exit', code => process.exit(code ?? 0))
+process.on('SIGINT', () => child.kill('SIGINT'))
+process.on('SIGTERM', () => child.kill('SIGTERM'))
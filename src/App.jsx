@@ -1,67 +1,375 @@
-import { useRef, useEffect } from 'react'
+import { useRef, useEffect, useState, useMemo, useCallback } from 'react'
 import LightsScene from './components/LightsScene'
 import HandOverlay from './components/HandOverlay'
 import DebugPanel from './components/DebugPanel'
 import MetricsPanel from './components/MetricsPanel'
+import GestureStudio from './components/GestureStudio'
+import CalibrationWizard from './components/CalibrationWizard'
 import useHandPython from './hooks/useHandPython'
 import useRaycasting from './hooks/useRaycasting'
 import usePinchDetection from './hooks/usePinchDetection'
+import useGestures from './hooks/useGestures'
+import useSwipes from './hooks/useSwipes'
+import useCustomGestures from './hooks/useCustomGestures'
+import useBindings from './hooks/useBindings'
+import useCalibration from './hooks/useCalibration'
 import useMetrics from './hooks/useMetrics'
+import useSessionRecorder from './hooks/useSessionRecorder'
+import useSetting from './hooks/useSetting'
+import useLandmarkFilter from './hooks/useLandmarkFilter'
+import useFrameValidation from './hooks/useFrameValidation'
+import useFaultInjection from './hooks/useFaultInjection'
+import useLandmarkInterpolation from './hooks/useLandmarkInterpolation'
+import useRenderCount from './hooks/useRenderCount'
+import { getLastFrameTiming } from './utils/latencyTracker'
+import { toPoseDefinition } from './gestures/customGestures'
+import { BINDING_ACTIONS, findBindings } from './utils/bindings'
+
+// Statuses in which the landmark stream is interrupted; gesture state starts over afterwards
+const INTERRUPTED_STATUSES = ['stale', 'camera-unavailable', 'disconnected', 'connecting', 'error']
+
+// Pinch-drag brightness control, in image units (frame heights): how far the fingertip has to
+// move up or down before a pinch on a bulb becomes a drag, and the travel for the full range
+const BRIGHTNESS_DRAG = {
+  deadZone: 0.03,
+  range: 0.4
+}
+
+// Bulb selection steps through the bulbs in this order (left wall, ceiling, right wall, as the
+// user sees them); the preset actions step through the lighting presets
+const BULB_ORDER = [2, 1, 3]
+const SELECTION_TIMEOUT = 5000 // ms a selection lasts before pointing takes over again
+const LIGHTING_PRESETS = [
+  { id: 'off', label: 'Off', levels: { 1: 0, 2: 0, 3: 0 } },
+  { id: 'night', label: 'Night light', levels: { 1: 0, 2: 0.15, 3: 0.15 } },
+  { id: 'evening', label: 'Evening', levels: { 1: 0.3, 2: 0.6, 3: 0.6 } },
+  { id: 'reading', label: 'Reading', levels: { 1: 0.5, 2: 1, 3: 0.2 } },
+  { id: 'bright', label: 'Bright', levels: { 1: 1, 2: 1, 3: 1 } }
+]
 
 function App() {
   const bulbRefs = useRef([])
   const cameraRef = useRef(null)
+  useRenderCount('App')
+
+  // Session recording captures the raw message stream from the live connection
+  const recorder = useSessionRecorder()
+
+  // Hand tracking from the selected source (Python backend, recorded file, synthetic, mock server).
+  // Sources run in the hand pipeline worker, which also smooths landmarks and classifies pinches;
+  // raw messages are only sent over while a session is being recorded. The source is the store
+  // for per-frame data: the hooks below subscribe to it, so App only re-renders on status changes
+  const handSource = useHandPython({ onMessage: recorder.record, forwardMessages: recorder.isRecording })
+  const { source, connectionStatus, error, reconnect } = handSource
+
+  // Corrupt frames (bad point count, NaN or out-of-range values, time going backwards, teleports)
+  // are rejected in the worker before smoothing; a rejected hand is held or dropped per policy
+  const frameValidation = useFrameValidation(source)
+
+  // Debug mode that degrades the stream (drops, latency, noise, disconnects) to test the above
+  const faultInjection = useFaultInjection(source)
+
+  // Smoothed landmarks for pointing; the raw stream still drives pinch detection, whose
+  // hysteresis already absorbs jitter and which should not pay the filter's lag
+  const landmarkFilter = useLandmarkFilter(source)
+  const resetFilter = landmarkFilter.reset
+
+  // Smoothed frames are sampled every render frame, interpolated or predicted per the latency mode
+  const interpolation = useLandmarkInterpolation(source)
+  const resetInterpolation = interpolation.reset
 
-  // Connect to Python backend for hand tracking
-  const { landmarks, connectionStatus, error, frameCount, reconnect } = useHandPython()
+  // Which hand drives the pointer: 'either' | 'left' | 'right'
+  const [pointingHand, setPointingHand] = useSetting('pointingHand', 'either')
 
   // Metrics system for performance tracking
   const metrics = useMetrics()
 
+  // Pinch detection (every hand is tracked separately), classified into taps, double taps
+  // and long presses for the bulb actions
+  const {
+    isPinching,
+    pinchStates,
+    onPinch,
+    onPinchDrag,
+    onPinchSequence,
+    reset: resetPinch,
+    thresholds: pinchThresholds,
+    timing: pinchTiming
+  } = usePinchDetection(source)
+
+  // Per-user calibration: the active profile's pointing transform steers the raycast and its
+  // pinch range is loaded into the pinch thresholds
+  const calibration = useCalibration(source, { pointingHand, pinchThresholds })
+
   // Ray casting logic with selection hold
-  const { hitInfo, pointing, fingerPosition, isHoldingSelection } = useRaycasting(
+  const {
+    hitInfo,
+    pointing,
+    isHoldingSelection,
+    pointingHandKey,
+    updateAtDisplayRate,
+    getDisplayPointer,
+    reset: resetRaycast
+  } = useRaycasting(
     cameraRef.current,
-    landmarks,
-    bulbRefs
+    source,
+    bulbRefs,
+    pointingHand,
+    interpolation,
+    calibration.pointingTransform
+  )
+
+  // hand key → { bulbId, frameTime, adjusting, drag } of the bulb captured when its pinch started
+  const pinchTargetsRef = useRef({})
+
+  // Long-press feedback: the ring filling round the pressed bulb, then the bulb whose
+  // brightness control is open (after a long press or once the pinch is dragged) until release
+  const [pinchHold, setPinchHold] = useState(null) // { bulbId, progress }
+  const [brightnessControl, setBrightnessControl] = useState(null) // { bulbId, hand }
+
+  // Gesture recognition (open palm, fist, point, thumbs up/down, peace sign, finger pinches)
+  const { activeGestures, onGesture, reset: resetGestures, definitions } = useGestures(source)
+  const firedGestureActionsRef = useRef(new Map()) // hand:gesture → ids of the bindings that ran for it
+
+  // What pinch sequences, gestures and swipes do, editable in the Debug Panel
+  const bindings = useBindings()
+  const { removeTriggerBindings } = bindings
+
+  // Gestures trained in the Gesture Studio, matched in the worker next to the built-in ones.
+  // A deleted gesture takes its bindings along
+  const unbindGesture = useCallback((gestureId) => removeTriggerBindings(`gesture:${gestureId}`), [removeTriggerBindings])
+  const customGestures = useCustomGestures(source, { onGestureRemoved: unbindGesture })
+  const [lastCustomMatch, setLastCustomMatch] = useState(null) // { name, confidence }
+  const customGesturesById = useMemo(
+    () => Object.fromEntries(customGestures.gestures.map(gesture => [gesture.id, gesture])),
+    [customGestures.gestures]
+  )
+  const gestureDefinitions = useMemo(
+    () => [...definitions, ...customGestures.gestures.map(toPoseDefinition)],
+    [definitions, customGestures.gestures]
   )
 
-  // Pinch detection for bulb toggling
-  const { isPinching, pinchStrength, onPinch } = usePinchDetection(landmarks)
+  // Swipes select bulbs and switch presets (by default), for when pointing precisely is hard
+  // (e.g. from the back of the room). A selection overrides pointing until it times out
+  const { lastSwipe, onSwipe, reset: resetSwipes } = useSwipes(source)
+  const [swipeSelection, setSwipeSelection] = useState(null) // { bulbId }
+  const [presetIndex, setPresetIndex] = useState(0)           // Bulbs start off
+  const targetBulbId = swipeSelection?.bulbId ?? hitInfo?.bulbId ?? null
 
-  // Handle pinch events to toggle bulbs
+  const customGestureActions = useMemo(
+    () => Object.fromEntries(bindings.bindings
+      .filter(binding => binding.trigger.startsWith('gesture:custom_'))
+      .reverse() // The first binding of a trigger wins
+      .map(binding => [binding.trigger.slice('gesture:'.length), binding.action])),
+    [bindings.bindings]
+  )
+
+  // Start pointer, pinch, gesture and swipe state and the landmark filters over
+  const resetTracking = useCallback(() => {
+    resetRaycast()
+    resetPinch()
+    resetGestures()
+    resetSwipes()
+    resetFilter()
+    resetInterpolation()
+  }, [resetRaycast, resetPinch, resetGestures, resetSwipes, resetFilter, resetInterpolation])
+
+  // An interrupted stream must not leave the pointer or a pinch stuck on old data,
+  // so the first frames after a reconnect start from a clean gesture state
+  useEffect(() => {
+    if (INTERRUPTED_STATUSES.includes(connectionStatus)) resetTracking()
+  }, [connectionStatus, resetTracking])
+
+  // Pinches do nothing while the calibration wizard runs. Ones under way when it starts are
+  // forgotten, so their release and drags do not act either
+  const isCalibrating = calibration.wizard !== null
+  const isCalibratingRef = useRef(false)
+  useEffect(() => {
+    isCalibratingRef.current = isCalibrating
+    if (isCalibrating) {
+      pinchTargetsRef.current = {}
+      setPinchHold(null)
+      setBrightnessControl(null)
+    }
+  }, [isCalibrating])
+
+  // Remember what each pinch started on; the sequence actions below apply to it
   useEffect(() => {
     onPinch((pinchEvent) => {
+      if (isCalibratingRef.current) return
+
       if (pinchEvent.type === 'pinch_start') {
-        metrics.logPinchStart(hitInfo?.bulbId)
-
-        if (hitInfo) {
-          // Start measuring latency
-          const pinchStartTime = performance.now()
-
-          // Toggle the bulb that's being pointed at
-          const targetBulb = bulbRefs.current.find(bulbRef =>
-            bulbRef && bulbRef.id === hitInfo.bulbId
-          )
-
-          if (targetBulb && targetBulb.toggle) {
-            console.log(`🔄 Toggling bulb ${hitInfo.bulbId} via pinch gesture`)
-            targetBulb.toggle()
-
-            // Log successful toggle with latency
-            metrics.logToggleSuccess(hitInfo.bulbId, pinchStartTime)
-          } else {
-            // Log miss if target not found
-            metrics.logMiss(hitInfo.bulbId)
-          }
-        } else {
-          // Log miss if no target
-          metrics.logMiss()
+        metrics.logPinchStart(targetBulbId)
+
+        // Latency is measured from the frame that completed the pinch (capture time when
+        // the clock is synced, receive time otherwise)
+        const frameTiming = getLastFrameTiming()
+        pinchTargetsRef.current[pinchEvent.hand] = {
+          bulbId: targetBulbId,
+          frameTime: frameTiming ? frameTiming.capturedAt ?? frameTiming.receivedAt : null
         }
       } else if (pinchEvent.type === 'pinch_end') {
-        metrics.logPinchEnd(hitInfo?.bulbId, !!hitInfo)
+        metrics.logPinchEnd(targetBulbId, targetBulbId !== null)
+        setBrightnessControl(previous => previous?.hand === pinchEvent.hand ? null : previous)
       }
     })
-  }, [onPinch, hitInfo, metrics])
+  }, [onPinch, targetBulbId, metrics])
+
+  // Dragging a pinch up or down sets the brightness of the captured bulb. Short moves are
+  // ignored so a tap does not dim the bulb, except once a long press has opened the control
+  useEffect(() => {
+    onPinchDrag((dragEvent) => {
+      if (isCalibratingRef.current) return
+
+      const target = pinchTargetsRef.current[dragEvent.hand]
+      const bulb = target && bulbRefs.current.find(bulbRef => bulbRef && bulbRef.id === target.bulbId)
+      if (!bulb?.setLevel) return
+
+      if (!target.drag) {
+        if (!target.adjusting && Math.abs(dragEvent.totalDy) < BRIGHTNESS_DRAG.deadZone) return
+
+        target.drag = { startLevel: bulb.level, startDy: dragEvent.totalDy }
+        setPinchHold(null)
+        setBrightnessControl({ bulbId: target.bulbId, hand: dragEvent.hand })
+        console.log(`🎚️ Adjusting brightness of bulb ${target.bulbId}`)
+      }
+
+      // Image y grows downwards, so moving up brightens
+      bulb.setLevel(target.drag.startLevel - (dragEvent.totalDy - target.drag.startDy) / BRIGHTNESS_DRAG.range)
+    })
+  }, [onPinchDrag])
+
+  const startCalibration = calibration.startCalibration
+
+  // Run the bound actions (see src/utils/bindings.js) for pinch sequences, gestures and swipes.
+  // Pinch actions apply to the bulb the pinch started on, the others to the current target
+  useEffect(() => {
+    const findBulb = (bulbId) => bulbRefs.current.find(bulbRef => bulbRef && bulbRef.id === bulbId)
+    const setBulbs = (bulbs, on) => bulbs.forEach(bulb => bulb?.setOn?.(on))
+    const stepSelection = (step) => {
+      const current = BULB_ORDER.indexOf(targetBulbId)
+      const next = current === -1
+        ? (step > 0 ? 0 : BULB_ORDER.length - 1)
+        : (current + step + BULB_ORDER.length) % BULB_ORDER.length
+      setSwipeSelection({ bulbId: BULB_ORDER[next] })
+    }
+    const stepPreset = (step) => {
+      const next = (presetIndex + step + LIGHTING_PRESETS.length) % LIGHTING_PRESETS.length
+      const preset = LIGHTING_PRESETS[next]
+      console.log(`🎨 Lighting preset: ${preset.label}`)
+      bulbRefs.current.forEach(bulb => bulb?.setLevel?.(preset.levels[bulb.id] ?? 0))
+      setPresetIndex(next)
+    }
+
+    // Each action gets { bulbId, hand, pinch } where pinch is the pinch target for pinch triggers
+    const actions = {
+      toggleTarget: ({ bulbId, pinch }) => {
+        if (pinch?.drag) return // A quick drag is not a tap
+
+        const targetBulb = findBulb(bulbId)
+        if (targetBulb && targetBulb.toggle) {
+          console.log(`🔄 Toggling bulb ${bulbId}`)
+          targetBulb.toggle()
+
+          // Log successful toggle with latency
+          if (pinch) metrics.logToggleSuccess(bulbId, pinch.frameTime)
+        } else if (pinch) {
+          // Log miss if no target
+          metrics.logMiss(bulbId)
+        }
+      },
+      targetOn: ({ bulbId }) => setBulbs([findBulb(bulbId)], true),
+      targetOff: ({ bulbId }) => setBulbs([findBulb(bulbId)], false),
+      brightness: ({ bulbId, hand, pinch }) => {
+        if (!pinch || !findBulb(bulbId)) return
+        pinch.adjusting = true
+        setBrightnessControl({ bulbId, hand })
+      },
+      allOn: () => setBulbs(bulbRefs.current, true),
+      allOff: () => setBulbs(bulbRefs.current, false),
+      selectNext: () => stepSelection(1),
+      selectPrevious: () => stepSelection(-1),
+      nextPreset: () => stepPreset(1),
+      previousPreset: () => stepPreset(-1),
+      resetMetrics: () => metrics.resetMetrics(),
+      recalibrate: () => startCalibration()
+    }
+
+    const runBinding = (binding, context) => {
+      if (isCalibrating) return // The wizard asks for pinches and open hands; they must not act
+      console.log(`🎛️ ${binding.trigger} → ${binding.action}`)
+      actions[binding.action]?.(context)
+    }
+
+    onPinchSequence((sequenceEvent) => {
+      const target = pinchTargetsRef.current[sequenceEvent.hand] ?? { bulbId: null, frameTime: null }
+
+      if (sequenceEvent.type === 'long_press_progress') {
+        // Rounded so the ring redraws a few times per press rather than every frame
+        const progress = Math.round(sequenceEvent.progress * 10) / 10
+        if (target.bulbId && !target.drag) {
+          setPinchHold(previous => previous?.bulbId === target.bulbId && previous.progress === progress
+            ? previous
+            : { bulbId: target.bulbId, progress })
+        }
+      } else if (sequenceEvent.type === 'long_press' || sequenceEvent.type === 'hold_end') {
+        setPinchHold(null)
+      }
+
+      const context = { bulbId: target.bulbId, hand: sequenceEvent.hand, pinch: target }
+      findBindings(bindings.bindings, `pinch:${sequenceEvent.type}`, { hasTarget: target.bulbId !== null, handedness: sequenceEvent.handedness })
+        .forEach(binding => runBinding(binding, context))
+    })
+
+    onGesture((gestureEvent) => {
+      const custom = customGesturesById[gestureEvent.gesture]
+      if (custom && gestureEvent.type === 'gesture_start') {
+        setLastCustomMatch({ name: custom.name, confidence: gestureEvent.confidence })
+      }
+
+      const instance = `${gestureEvent.hand}:${gestureEvent.gesture}`
+      if (gestureEvent.type === 'gesture_end') {
+        firedGestureActionsRef.current.delete(instance)
+        return
+      }
+
+      // Each binding runs once per gesture: at its start, or once held for holdFor. Motions
+      // start and end in one frame, so they never hold
+      const fired = firedGestureActionsRef.current.get(instance) ?? new Set()
+      firedGestureActionsRef.current.set(instance, fired)
+      const isMotion = custom?.kind === 'motion'
+      const due = (binding) => binding.holdFor && !isMotion
+        ? gestureEvent.type === 'gesture_hold' && gestureEvent.duration >= binding.holdFor
+        : gestureEvent.type === 'gesture_start'
+
+      const context = { bulbId: targetBulbId, hand: gestureEvent.hand, pinch: null }
+      findBindings(bindings.bindings, `gesture:${gestureEvent.gesture}`, { hasTarget: targetBulbId !== null, handedness: gestureEvent.handedness })
+        .filter(binding => due(binding) && !fired.has(binding.id))
+        .forEach(binding => {
+          fired.add(binding.id)
+          runBinding(binding, context)
+        })
+    })
+
+    onSwipe((swipeEvent) => {
+      const context = { bulbId: targetBulbId, hand: swipeEvent.hand, pinch: null }
+      findBindings(bindings.bindings, `swipe:${swipeEvent.direction}`, { hasTarget: targetBulbId !== null, handedness: swipeEvent.handedness })
+        .forEach(binding => runBinding(binding, context))
+    })
+  }, [onPinchSequence, onGesture, onSwipe, bindings.bindings, targetBulbId, presetIndex, customGesturesById, metrics, isCalibrating, startCalibration])
+
+  // Metrics exports record which faults were being injected
+  const setTestConditions = metrics.setTestConditions
+  useEffect(() => {
+    setTestConditions(faultInjection.description)
+  }, [setTestConditions, faultInjection.description])
+
+  // A selection lapses after a while without selection actions
+  useEffect(() => {
+    if (!swipeSelection) return
+    const timer = setTimeout(() => setSwipeSelection(null), SELECTION_TIMEOUT)
+    return () => clearTimeout(timer)
+  }, [swipeSelection])
 
   // Track pointing events for dwell time and accuracy metrics
   useEffect(() => {
@@ -85,14 +393,19 @@ function App() {
       <LightsScene
         bulbRefs={bulbRefs}
         onCameraReady={handleCameraReady}
-        pointedBulbId={hitInfo?.bulbId || null}
-        fingerPosition={fingerPosition}
+        pointedBulbId={targetBulbId}
+        getPointer={getDisplayPointer}
+        onRenderFrame={updateAtDisplayRate}
         pointing={pointing}
+        pinchHold={pinchHold}
+        brightnessBulbId={brightnessControl?.bulbId ?? null}
       />
 
       {/* Hand tracking visualization */}
       <HandOverlay
-        landmarks={landmarks}
+        source={source}
+        canCompare={landmarkFilter.type !== 'none'}
+        pointingHandKey={pointingHandKey}
         connectionStatus={connectionStatus}
       />
 
@@ -100,16 +413,30 @@ function App() {
       <DebugPanel
         connectionStatus={connectionStatus}
         error={error}
-        frameCount={frameCount}
-        landmarks={landmarks}
+        pinchStates={pinchStates}
+        pointingHand={pointingHand}
+        pointingHandKey={pointingHandKey}
+        onPointingHandChange={setPointingHand}
         hitInfo={hitInfo}
+        swipeSelection={swipeSelection}
+        lastSwipe={lastSwipe}
+        gestureDefinitions={gestureDefinitions}
+        bindings={bindings}
+        calibration={calibration}
+        lightingPreset={LIGHTING_PRESETS[presetIndex]}
         pointing={pointing}
-        fingerPosition={fingerPosition}
         isPinching={isPinching}
-        pinchStrength={pinchStrength}
+        pinchThresholds={pinchThresholds}
+        pinchTiming={pinchTiming}
         cameraReady={!!cameraRef.current}
         bulbCount={bulbRefs.current?.length || 0}
         isHoldingSelection={isHoldingSelection}
+        handSource={handSource}
+        landmarkFilter={landmarkFilter}
+        frameValidation={frameValidation}
+        faultInjection={faultInjection}
+        interpolation={interpolation}
+        recorder={recorder}
         onReconnect={reconnect}
       />
 
@@ -120,6 +447,19 @@ function App() {
         onReset={() => metrics.resetMetrics()}
         visible={true}
       />
+
+      {/* Custom gesture recording and bindings */}
+      <GestureStudio
+        studio={customGestures}
+        actions={BINDING_ACTIONS.filter(action => !action.pinchOnly)}
+        boundActions={customGestureActions}
+        onBindAction={(gestureId, action) => bindings.setTriggerAction(`gesture:${gestureId}`, action)}
+        activeGestures={activeGestures}
+        lastMatch={lastCustomMatch}
+      />
+
+      {/* Guided calibration (over everything while it runs) */}
+      <CalibrationWizard calibration={calibration} />
     </div>
   )
 }
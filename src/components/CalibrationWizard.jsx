@@ -0,0 +1,107 @@
+// src/components/CalibrationWizard.jsx - Guided per-user calibration
+import { useState } from 'react'
+import useRenderCount from '../hooks/useRenderCount'
+import './CalibrationWizard.css'
+
+const STEP_ICONS = { point: '☝️', pinch: '🤏', relax: '🖐️', open: '✋' }
+
+export default function CalibrationWizard({ calibration }) {
+    const [name, setName] = useState('')
+    useRenderCount('CalibrationWizard')
+
+    const wizard = calibration?.wizard
+    if (!wizard) return null
+
+    const step = calibration.steps[wizard.stepIndex]
+    const isReview = wizard.phase === 'review'
+
+    const close = () => {
+        setName('')
+        calibration.cancelCalibration()
+    }
+
+    const save = () => {
+        calibration.saveCalibration(name)
+        setName('')
+    }
+
+    return (
+        <div className="calibration-overlay">
+            {!isReview && step.kind === 'point' && (
+                <div
+                    className={`calibration-target ${wizard.phase}`}
+                    style={{ left: `${step.target.x * 100}%`, top: `${step.target.y * 100}%` }}
+                />
+            )}
+
+            <div className="calibration-card">
+                <div className="calibration-header">
+                    <span className="calibration-icon">🎯</span>
+                    <h3>Calibration</h3>
+                    {!isReview && (
+                        <span className="calibration-progress">
+                            Step {wizard.stepIndex + 1} of {calibration.steps.length}
+                        </span>
+                    )}
+                </div>
+
+                {!isReview && (
+                    <>
+                        <div className="calibration-instruction">
+                            <span className="calibration-step-icon">{STEP_ICONS[step.kind]}</span>
+                            {step.instruction}
+                        </div>
+                        <div className={`calibration-status ${wizard.phase}`}>
+                            {wizard.phase === 'capture'
+                                ? 'Measuring… hold still'
+                                : wizard.retry ? 'No hand seen, once more: get ready…' : 'Get ready…'}
+                        </div>
+                        <div className="calibration-actions">
+                            <button className="calibration-btn" onClick={close}>Cancel</button>
+                        </div>
+                    </>
+                )}
+
+                {isReview && wizard.result && (
+                    <>
+                        <div className="calibration-results">
+                            <div className="calibration-result">
+                                <span>Pointing error</span>
+                                <span>{(wizard.result.pointingError * 100).toFixed(1)}% of the screen</span>
+                            </div>
+                            <div className="calibration-result">
+                                <span>Pinch range</span>
+                                <span>
+                                    {wizard.result.pinch.closed.toFixed(2)} – {wizard.result.pinch.open.toFixed(2)} × hand
+                                </span>
+                            </div>
+                        </div>
+                        <input
+                            className="calibration-name"
+                            type="text"
+                            placeholder={wizard.result.name}
+                            value={name}
+                            maxLength={32}
+                            onChange={(e) => setName(e.target.value)}
+                        />
+                        <div className="calibration-actions">
+                            <button className="calibration-btn primary" onClick={save}>Save profile</button>
+                            <button className="calibration-btn" onClick={calibration.startCalibration}>Start over</button>
+                            <button className="calibration-btn" onClick={close}>Discard</button>
+                        </div>
+                    </>
+                )}
+
+                {isReview && !wizard.result && (
+                    <>
+                        <div className="calibration-error">⚠️ {wizard.error}</div>
+                        <div className="calibration-actions">
+                            <button className="calibration-btn primary" onClick={calibration.startCalibration}>Try again</button>
+                            <button className="calibration-btn" onClick={close}>Cancel</button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    )
+}
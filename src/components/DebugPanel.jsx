@@ -1,24 +1,88 @@
 import { useState, useEffect } from 'react'
+import { REPLAY_SPEEDS } from '../sources/ReplaySource'
+import { POINTING_HAND_OPTIONS } from '../utils/handFrame'
+import { BACKEND_PARAMETERS } from '../utils/backendProtocol'
+import { GESTURES, getGesture } from '../gestures/gestureDefinitions'
+import { SWIPE_ARROWS } from '../hooks/useSwipes'
+import { BINDING_ACTIONS, TARGET_CONDITIONS, HAND_CONDITIONS, isActionAllowed, listTriggers } from '../utils/bindings'
+import useTimeSince, { useTimeUntil, formatDuration } from '../hooks/useTimeSince'
+import useHandStore, { shallowEqual } from '../hooks/useHandStore'
+import useRenderCount from '../hooks/useRenderCount'
+import { getRenderCounts, resetRenderCounts } from '../utils/renderStats'
 import './DebugPanel.css'
 
+// Show as many decimals as the slider step has
+function formatParameter(value, step) {
+    const decimals = step < 1 ? Math.ceil(-Math.log10(step)) : 0
+    return value.toFixed(decimals)
+}
+
+const LIVE_REFRESH_INTERVAL = 250 // ms between refreshes of per-frame values
+const RENDER_STATS_INTERVAL = 1000 // ms between render count samples
+
+// Per-frame values shown in the panel; picked up a few times a second instead of every frame
+function selectLiveStats(state) {
+    return {
+        hands: state.hands || [],
+        filteredHands: state.filteredHands || [],
+        pinchStates: state.pinch?.states || {},
+        gestureStates: state.gestures?.states || {},
+        frameCount: state.frameCount || 0,
+        lastFrameAt: state.lastFrameAt ?? null,
+        position: state.position ?? 0,
+        faultStats: state.faultStats ?? null
+    }
+}
+
 export default function DebugPanel({
     cameraReady = false,
     bulbCount = 0,
     connectionStatus = 'disconnected',
-    handDetected = false,
-    frameCount = 0,
+    pinchStates = {},
+    pointingHand = 'either',
+    pointingHandKey = null,
     pointing = false,
     hitInfo = null,
-    fingerPosition = null,
+    swipeSelection = null,
+    lastSwipe = null,
+    gestureDefinitions = GESTURES,
+    bindings = null,
+    calibration = null,
+    lightingPreset = null,
     isPinching = false,
-    pinchStrength = 0,
+    pinchThresholds = null,
+    pinchTiming = null,
     isHoldingSelection = false,
     error = null,
-    onReconnect = () => { }
+    handSource = null,
+    landmarkFilter = null,
+    frameValidation = null,
+    faultInjection = null,
+    interpolation = null,
+    recorder = null,
+    onReconnect = () => { },
+    onPointingHandChange = () => { }
 }) {
     const [isVisible, setIsVisible] = useState(true)
     const [isExpanded, setIsExpanded] = useState(true)
     const [animationClass, setAnimationClass] = useState('')
+    const [isEditingEndpoints, setIsEditingEndpoints] = useState(false)
+    const [endpointDraft, setEndpointDraft] = useState('')
+    const [backendDraft, setBackendDraft] = useState({})   // Unapplied backend parameter edits
+    const [backendStatus, setBackendStatus] = useState(null) // { type: 'pending' | 'ok' | 'error', message }
+    const [renderRates, setRenderRates] = useState([]) // [{ name, count, perSecond }]
+    useRenderCount('DebugPanel')
+
+    const { hands, filteredHands, pinchStates: livePinchStates, gestureStates, frameCount, lastFrameAt, position, faultStats } = useHandStore(
+        handSource?.source ?? null,
+        selectLiveStats,
+        { isEqual: shallowEqual, interval: LIVE_REFRESH_INTERVAL }
+    )
+    const handDetected = hands.length > 0
+    const pinchStrength = Math.max(0, ...Object.values(livePinchStates).map(state => state.strength))
+    const fingerPosition = filteredHands.find(hand => hand.key === pointingHandKey)?.landmarks?.[8] ?? null
+    const sinceLastFrame = useTimeSince(lastFrameAt)
+    const retryIn = useTimeUntil(handSource?.nextRetryAt ?? null)
 
     // Animate status changes
     useEffect(() => {
@@ -27,6 +91,29 @@ export default function DebugPanel({
         return () => clearTimeout(timer)
     }, [connectionStatus, handDetected, pointing, isPinching, isHoldingSelection])
 
+    // Sample render counts while the panel is open; rates are per second since the previous sample
+    useEffect(() => {
+        if (!isVisible || !isExpanded) return
+
+        let previous = getRenderCounts()
+        const timer = setInterval(() => {
+            const counts = getRenderCounts()
+            setRenderRates(Object.entries(counts).map(([name, count]) => ({
+                name,
+                count,
+                perSecond: Math.max(0, count - (previous[name] || 0)) * 1000 / RENDER_STATS_INTERVAL
+            })))
+            previous = counts
+        }, RENDER_STATS_INTERVAL)
+
+        return () => clearInterval(timer)
+    }, [isVisible, isExpanded])
+
+    const clearRenderCounts = () => {
+        resetRenderCounts()
+        setRenderRates([])
+    }
+
     // Calculate connection quality based on frame rate
     const getConnectionQuality = () => {
         if (connectionStatus !== 'connected') return 'poor'
@@ -44,6 +131,58 @@ export default function DebugPanel({
         setIsExpanded(!isExpanded)
     }
 
+    // Source-specific state (WebSocket endpoints, replay playback)
+    const source = handSource?.source
+    const endpoints = handSource?.endpoints || []
+    const activeEndpoint = handSource?.activeEndpoint || null
+    const isReplay = handSource?.sourceId === 'replay'
+
+    // Tunable parameters of the active landmark filter
+    const filterParameters = landmarkFilter?.types.find(option => option.id === landmarkFilter.type)?.parameters || []
+
+    // Everything a binding can be triggered by, custom gestures included
+    const triggers = listTriggers(gestureDefinitions)
+
+    const startEditingEndpoints = () => {
+        setEndpointDraft(endpoints.join(', '))
+        setIsEditingEndpoints(true)
+    }
+
+    const saveEndpoints = (value) => {
+        source?.setEndpointOverride(value)
+        setIsEditingEndpoints(false)
+    }
+
+    const backendConfig = source?.setBackendConfig ? handSource.backendConfig : null
+    const hasBackendChanges = Object.keys(backendDraft).length > 0
+
+    const editBackendParameter = (key, value) => {
+        setBackendDraft(draft => ({ ...draft, [key]: value }))
+        setBackendStatus(null)
+    }
+
+    const applyBackendConfig = async () => {
+        setBackendStatus({ type: 'pending', message: 'Applying…' })
+        try {
+            await source.setBackendConfig(backendDraft)
+            setBackendDraft({})
+            setBackendStatus({ type: 'ok', message: 'Applied' })
+        } catch (commandError) {
+            setBackendStatus({ type: 'error', message: commandError.message })
+        }
+    }
+
+    const reloadBackendConfig = () => {
+        setBackendDraft({})
+        setBackendStatus(null)
+        source.fetchBackendConfig()
+    }
+
+    const loadReplayFile = (file) => {
+        handSource.getSource('replay').load(file)
+        handSource.setSourceId('replay')
+    }
+
     if (!isVisible) {
         return (
             <div className="debug-toggle-btn" onClick={toggleVisibility}>
@@ -114,6 +253,21 @@ export default function DebugPanel({
                         </div>
 
                         <div className="connection-info">
+                            {handSource && (
+                                <div className="source-selector">
+                                    <span className="frame-label">Source:</span>
+                                    <select
+                                        className="session-select"
+                                        value={handSource.sourceId}
+                                        onChange={(e) => handSource.setSourceId(e.target.value)}
+                                    >
+                                        {handSource.sources.map(option => (
+                                            <option key={option.id} value={option.id}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
                             <div className="connection-status">
                                 <div className={`connection-indicator ${connectionStatus}`}>
                                     <div className="connection-dot"></div>
@@ -136,9 +290,159 @@ export default function DebugPanel({
                                     ></div>
                                 </div>
                             </div>
+
+                            <div className={`frame-age ${sinceLastFrame > 1000 ? 'late' : ''}`}>
+                                <span className="frame-label">Last frame:</span>
+                                <span className="frame-age-value">
+                                    {sinceLastFrame === null ? 'never' : `${formatDuration(sinceLastFrame)} ago`}
+                                </span>
+                            </div>
+
+                            {handSource?.clock && (
+                                <div className="endpoint-meta" title="Server clock offset from ping/pong (best round trip)">
+                                    <span>Clock offset: {handSource.clock.offset.toFixed(1)}ms</span>
+                                    <span>RTT: {handSource.clock.rtt.toFixed(1)}ms</span>
+                                </div>
+                            )}
+
+                            {retryIn !== null && (
+                                <div className="retry-countdown">
+                                    <span className="frame-label">Retry in:</span>
+                                    <span className="frame-age-value">{formatDuration(retryIn)}</span>
+                                    <span className="retry-attempt">
+                                        attempt {handSource.reconnectAttempt}/{handSource.reconnectPolicy?.maxAttempts ?? '∞'}
+                                    </span>
+                                    <button className="endpoint-edit-btn" onClick={() => source.retryNow()}>
+                                        Now
+                                    </button>
+                                </div>
+                            )}
+
+                            {handSource?.reconnectPolicy && (
+                                <label className="retry-toggle" title="Keep reconnecting instead of giving up (for unattended kiosks)">
+                                    <input
+                                        type="checkbox"
+                                        checked={handSource.reconnectPolicy.maxAttempts === null}
+                                        onChange={(e) => source.setUnlimitedRetries(e.target.checked)}
+                                    />
+                                    <span>Retry forever</span>
+                                </label>
+                            )}
+
+                            {endpoints.length > 0 && (
+                                <div className="endpoint-info">
+                                    <div className="endpoint-row">
+                                        <span className="frame-label">Endpoint:</span>
+                                        <span className="endpoint-value" title={activeEndpoint || ''}>
+                                            {activeEndpoint || '—'}
+                                        </span>
+                                    </div>
+                                    <div className="endpoint-meta">
+                                        <span>
+                                            {Math.max(endpoints.indexOf(activeEndpoint) + 1, 1)}/{endpoints.length} · from {handSource.endpointSource}
+                                        </span>
+                                        {!isEditingEndpoints && handSource.endpointSource !== 'fixed' && (
+                                            <button
+                                                className="endpoint-edit-btn"
+                                                onClick={startEditingEndpoints}
+                                                disabled={handSource.endpointSource === 'query'}
+                                            >
+                                                Edit
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {/* The URL parameter outranks a saved override, so editing would change nothing */}
+                                    {handSource.endpointSource === 'query' && (
+                                        <div className="endpoint-note">
+                                            Set by the <code>?ws=</code> URL parameter. Remove it from the address to use a saved override.
+                                        </div>
+                                    )}
+
+                                    {isEditingEndpoints && (
+                                        <div className="endpoint-editor">
+                                            <input
+                                                className="endpoint-input"
+                                                value={endpointDraft}
+                                                onChange={(e) => setEndpointDraft(e.target.value)}
+                                                placeholder="ws://localhost:8000/ws, ws://other-host:8000/ws"
+                                            />
+                                            <div className="endpoint-editor-actions">
+                                                <button className="endpoint-edit-btn" onClick={() => saveEndpoints(endpointDraft)}>
+                                                    Save
+                                                </button>
+                                                <button className="endpoint-edit-btn" onClick={() => saveEndpoints(null)}>
+                                                    Clear override
+                                                </button>
+                                                <button className="endpoint-edit-btn" onClick={() => setIsEditingEndpoints(false)}>
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
                         </div>
                     </div>
 
+                    {/* Backend tracking parameters */}
+                    {backendConfig && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🛠️</span>
+                                <h4>Backend</h4>
+                            </div>
+
+                            <div className="backend-params">
+                                {BACKEND_PARAMETERS.map(param => {
+                                    const value = backendDraft[param.key] ?? backendConfig[param.key]
+                                    if (value === undefined) return null
+
+                                    return (
+                                        <label
+                                            key={param.key}
+                                            className={`backend-param ${param.key in backendDraft ? 'changed' : ''}`}
+                                        >
+                                            <span className="backend-param-label">{param.label}</span>
+                                            <input
+                                                className={`backend-param-input ${param.control || 'range'}`}
+                                                type={param.control || 'range'}
+                                                min={param.min}
+                                                max={param.max}
+                                                step={param.step}
+                                                value={value}
+                                                onChange={(e) => editBackendParameter(param.key, Number(e.target.value))}
+                                            />
+                                            <span className="backend-param-value">
+                                                {param.step < 1 ? value.toFixed(2) : value}{param.unit ? ` ${param.unit}` : ''}
+                                            </span>
+                                        </label>
+                                    )
+                                })}
+                            </div>
+
+                            <div className="session-controls">
+                                <button
+                                    className="session-btn"
+                                    onClick={applyBackendConfig}
+                                    disabled={!hasBackendChanges || backendStatus?.type === 'pending'}
+                                >
+                                    ✓ Apply
+                                </button>
+                                <button className="session-btn" onClick={() => setBackendDraft({})} disabled={!hasBackendChanges}>
+                                    ↺ Revert
+                                </button>
+                                <button className="session-btn" onClick={reloadBackendConfig} title="Read the current values from the server">
+                                    ⟳ Reload
+                                </button>
+                            </div>
+
+                            {backendStatus && (
+                                <div className={`backend-status ${backendStatus.type}`}>{backendStatus.message}</div>
+                            )}
+                        </div>
+                    )}
+
                     {/* Hand Tracking */}
                     <div className="debug-section">
                         <div className="section-header">
@@ -150,10 +454,48 @@ export default function DebugPanel({
                             <div className="tracking-status">
                                 <div className={`hand-indicator ${handDetected ? 'detected' : 'not-detected'}`}>
                                     <div className="hand-dot"></div>
-                                    <span>{handDetected ? 'Hand Detected' : 'No Hand'}</span>
+                                    <span>
+                                        {handDetected ? `${hands.length > 1 ? `${hands.length} Hands` : 'Hand'} Detected` : 'No Hand'}
+                                    </span>
+                                </div>
+                            </div>
+
+                            <div className="pointing-hand-selector">
+                                <span className="frame-label">Pointing hand:</span>
+                                <div className="segmented-control">
+                                    {POINTING_HAND_OPTIONS.map(option => (
+                                        <button
+                                            key={option}
+                                            className={`segment-btn ${pointingHand === option ? 'active' : ''}`}
+                                            onClick={() => onPointingHandChange(option)}
+                                        >
+                                            {option}
+                                        </button>
+                                    ))}
                                 </div>
                             </div>
 
+                            {hands.length > 0 && (
+                                <div className="hand-list">
+                                    {hands.map(hand => (
+                                        <div
+                                            key={hand.key}
+                                            className={`hand-list-item ${hand.key === pointingHandKey ? 'pointing' : ''}`}
+                                        >
+                                            <span className="hand-list-label">
+                                                {hand.label || 'Unknown'} hand{hand.key === pointingHandKey ? ' ☝️' : ''}
+                                            </span>
+                                            <span className="hand-list-score">
+                                                {hand.score !== null ? `${(hand.score * 100).toFixed(0)}%` : '—'}
+                                            </span>
+                                            <span className="hand-list-pinch">
+                                                {pinchStates[hand.key]?.isPinching ? '🤏' : ''}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
                             {fingerPosition && (
                                 <div className="finger-position">
                                     <div className="coordinate-display">
@@ -184,6 +526,143 @@ export default function DebugPanel({
                         </div>
                     </div>
 
+                    {/* Corrupt-frame filtering */}
+                    {frameValidation && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🛡️</span>
+                                <h4>Frame Validation</h4>
+                            </div>
+
+                            <div className="pointing-hand-selector">
+                                <span className="frame-label">Rejected hand:</span>
+                                <div className="segmented-control">
+                                    {frameValidation.policies.map(option => (
+                                        <button
+                                            key={option.id}
+                                            className={`segment-btn ${frameValidation.policy === option.id ? 'active' : ''}`}
+                                            onClick={() => frameValidation.setPolicy(option.id)}
+                                            title={option.description}
+                                        >
+                                            {option.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="render-list">
+                                {frameValidation.reasons.map(reason => {
+                                    const count = frameValidation.rejections[reason.id] || 0
+
+                                    return (
+                                        <div key={reason.id} className={`rejection-list-item ${count > 0 ? 'rejected' : ''}`}>
+                                            <span className="render-list-name">{reason.label}</span>
+                                            <span className="rejection-list-count">{count}</span>
+                                        </div>
+                                    )
+                                })}
+                            </div>
+
+                            <button className="session-btn render-reset-btn" onClick={frameValidation.resetCounts} title="Start counting from zero">
+                                ↺ Reset counts
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Landmark smoothing */}
+                    {landmarkFilter && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🪶</span>
+                                <h4>Smoothing</h4>
+                            </div>
+
+                            <div className="pointing-hand-selector">
+                                <span className="frame-label">Filter:</span>
+                                <div className="segmented-control">
+                                    {landmarkFilter.types.map(option => (
+                                        <button
+                                            key={option.id}
+                                            className={`segment-btn ${landmarkFilter.type === option.id ? 'active' : ''}`}
+                                            onClick={() => landmarkFilter.setType(option.id)}
+                                        >
+                                            {option.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {filterParameters.length > 0 && (
+                                <>
+                                    <div className="backend-params">
+                                        {filterParameters.map(param => {
+                                            const value = landmarkFilter.params[param.key]
+
+                                            return (
+                                                <label key={param.key} className="backend-param">
+                                                    <span className="backend-param-label">{param.label}</span>
+                                                    <input
+                                                        className="backend-param-input range"
+                                                        type="range"
+                                                        min={param.min}
+                                                        max={param.max}
+                                                        step={param.step}
+                                                        value={value}
+                                                        onChange={(e) => landmarkFilter.setParameter(param.key, Number(e.target.value))}
+                                                    />
+                                                    <span className="backend-param-value">
+                                                        {formatParameter(value, param.step)}{param.unit ? ` ${param.unit}` : ''}
+                                                    </span>
+                                                </label>
+                                            )
+                                        })}
+                                    </div>
+
+                                    <div className="session-controls">
+                                        <button className="session-btn" onClick={landmarkFilter.resetParameters}>
+                                            ↺ Defaults
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Display-rate interpolation */}
+                    {interpolation && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🎞️</span>
+                                <h4>Frame Interpolation</h4>
+                            </div>
+
+                            <div className="pointing-hand-selector">
+                                <span className="frame-label">Latency mode:</span>
+                                <div className="segmented-control">
+                                    {interpolation.modes.map(option => (
+                                        <button
+                                            key={option.id}
+                                            className={`segment-btn ${interpolation.mode === option.id ? 'active' : ''}`}
+                                            onClick={() => interpolation.setMode(option.id)}
+                                            title={option.description}
+                                        >
+                                            {option.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="interpolation-info">
+                                {interpolation.modes.find(option => option.id === interpolation.mode)?.description}
+                                {interpolation.mode !== 'off' && (
+                                    <span className="interpolation-delay">
+                                        {' '}(+{Math.round(interpolation.interpolator.getDelay())} ms)
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
                     {/* Ray Casting */}
                     <div className="debug-section">
                         <div className="section-header">
@@ -250,19 +729,519 @@ export default function DebugPanel({
                                         className="strength-fill"
                                         style={{ width: `${pinchStrength * 100}%` }}
                                     ></div>
-                                    <div className="strength-threshold" style={{ left: '70%' }}></div>
+                                    <div
+                                        className="strength-threshold"
+                                        style={{ left: `${(pinchThresholds?.settings.start ?? 0.7) * 100}%` }}
+                                    ></div>
                                 </div>
                             </div>
 
-                            {isPinching && hitInfo && (
+                            {/* Hand-size reference the thumb-index gap is measured against */}
+                            {Object.entries(livePinchStates).filter(([, state]) => state.handSize).map(([key, state]) => (
+                                <div key={key} className="pinch-reference">
+                                    <span>{state.label || key}: hand</span>
+                                    <span className="pinch-reference-value">
+                                        {state.space === 'world'
+                                            ? `${(state.handSize * 100).toFixed(1)} cm`
+                                            : `${state.handSize.toFixed(3)} (image)`}
+                                    </span>
+                                    <span>gap</span>
+                                    <span className="pinch-reference-value">{state.gap.toFixed(2)}×</span>
+                                </div>
+                            ))}
+
+                            {isPinching && (swipeSelection || hitInfo) && (
                                 <div className="action-ready">
                                     <div className="ready-indicator">
                                         <span className="ready-icon">⚡</span>
-                                        <span>Ready to toggle Bulb {hitInfo.bulbId}!</span>
+                                        <span>Bulb {swipeSelection?.bulbId ?? hitInfo.bulbId}: tap to toggle, drag up or down for brightness</span>
                                     </div>
                                 </div>
                             )}
                         </div>
+
+                        {pinchThresholds && (
+                            <>
+                                <div className="backend-params">
+                                    {pinchThresholds.parameters.map(param => {
+                                        const value = pinchThresholds.settings[param.key]
+
+                                        return (
+                                            <label key={param.key} className="backend-param">
+                                                <span className="backend-param-label">{param.label}</span>
+                                                <input
+                                                    className="backend-param-input range"
+                                                    type="range"
+                                                    min={param.min}
+                                                    max={param.max}
+                                                    step={param.step}
+                                                    value={value}
+                                                    onChange={(e) => pinchThresholds.setThreshold(param.key, Number(e.target.value))}
+                                                />
+                                                <span className="backend-param-value">
+                                                    {formatParameter(value, param.step)}{param.unit ? ` ${param.unit}` : ''}
+                                                </span>
+                                            </label>
+                                        )
+                                    })}
+                                </div>
+
+                                {/* Tap / double tap / long press timing windows */}
+                                {pinchTiming && (
+                                    <div className="backend-params">
+                                        {pinchTiming.parameters.map(param => {
+                                            const value = pinchTiming.settings[param.key]
+
+                                            return (
+                                                <label key={param.key} className="backend-param">
+                                                    <span className="backend-param-label">{param.label}</span>
+                                                    <input
+                                                        className="backend-param-input range"
+                                                        type="range"
+                                                        min={param.min}
+                                                        max={param.max}
+                                                        step={param.step}
+                                                        value={value}
+                                                        onChange={(e) => pinchTiming.setTiming(param.key, Number(e.target.value))}
+                                                    />
+                                                    <span className="backend-param-value">
+                                                        {formatParameter(value, param.step)}{param.unit ? ` ${param.unit}` : ''}
+                                                    </span>
+                                                </label>
+                                            )
+                                        })}
+                                    </div>
+                                )}
+
+                                <div className="session-controls">
+                                    <button
+                                        className="session-btn"
+                                        onClick={() => {
+                                            pinchThresholds.reset()
+                                            pinchTiming?.reset()
+                                        }}
+                                    >
+                                        ↺ Defaults
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+
+                    {/* Gesture recognition */}
+                    <div className="debug-section">
+                        <div className="section-header">
+                            <span className="section-icon">🖐️</span>
+                            <h4>Gestures</h4>
+                        </div>
+
+                        {hands.length > 0 ? (
+                            <div className="hand-list">
+                                {hands.map(hand => {
+                                    const state = gestureStates[hand.key]
+                                    const shown = state?.gesture
+                                        ? { gesture: state.gesture, confidence: state.confidence }
+                                        : state?.candidate
+                                    const definition = shown ? getGesture(shown.gesture, gestureDefinitions) : null
+
+                                    return (
+                                        <div key={hand.key} className={`hand-list-item ${state?.gesture ? 'gesturing' : ''}`}>
+                                            <span className="hand-list-label">
+                                                {hand.label || 'Unknown'} hand · {state?.gesture ? definition?.label : 'no gesture'}
+                                                {!state?.gesture && definition && (
+                                                    <span className="gesture-candidate"> (closest: {definition.label})</span>
+                                                )}
+                                            </span>
+                                            <span className="hand-list-score">
+                                                {shown ? `${(shown.confidence * 100).toFixed(0)}%` : '—'}
+                                            </span>
+                                            <span className="hand-list-pinch">{state?.gesture ? definition?.icon : ''}</span>
+                                        </div>
+                                    )
+                                })}
+                            </div>
+                        ) : (
+                            <div className="interpolation-info">No hands in view</div>
+                        )}
+
+                        {/* Swipes: by default left / right select a bulb, up / down switch the lighting preset */}
+                        <div className="hand-list">
+                            <div className="hand-list-item">
+                                <span className="hand-list-label">
+                                    {lastSwipe
+                                        ? `Last swipe: ${lastSwipe.direction} (${lastSwipe.handedness || lastSwipe.hand}), ${lastSwipe.speed.toFixed(1)} hands/s`
+                                        : 'No swipe yet'}
+                                </span>
+                                <span className="hand-list-score">
+                                    {lastSwipe ? `${(lastSwipe.confidence * 100).toFixed(0)}%` : '—'}
+                                </span>
+                                <span className="hand-list-pinch">{lastSwipe ? SWIPE_ARROWS[lastSwipe.direction] : ''}</span>
+                            </div>
+                            <div className="hand-list-item">
+                                <span className="hand-list-label">
+                                    Preset: {lightingPreset?.label ?? '—'} · Selected: {swipeSelection ? `Bulb ${swipeSelection.bulbId}` : 'by pointing'}
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Calibration profiles */}
+                    {calibration && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🎯</span>
+                                <h4>Calibration</h4>
+                            </div>
+
+                            <div className="session-controls">
+                                <select
+                                    className="session-select"
+                                    value={calibration.activeProfile?.id ?? ''}
+                                    onChange={(e) => calibration.activateProfile(e.target.value || null)}
+                                >
+                                    <option value="">Default (uncalibrated)</option>
+                                    {calibration.profiles.map(profile => (
+                                        <option key={profile.id} value={profile.id}>{profile.name}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    className="session-btn"
+                                    onClick={calibration.startCalibration}
+                                    disabled={Boolean(calibration.wizard)}
+                                >
+                                    Calibrate…
+                                </button>
+                                {calibration.activeProfile && (
+                                    <button
+                                        className="session-btn"
+                                        onClick={() => calibration.removeProfile(calibration.activeProfile.id)}
+                                        title="Delete this profile"
+                                    >
+                                        🗑️
+                                    </button>
+                                )}
+                            </div>
+                            <div className="interpolation-info">
+                                {calibration.activeProfile
+                                    ? `Pointing error ${(calibration.activeProfile.pointingError * 100).toFixed(1)}% · Pinch ${calibration.activeProfile.pinch.closed.toFixed(2)}–${calibration.activeProfile.pinch.open.toFixed(2)}`
+                                    : 'Mirrored fingertip pointing, default pinch range'}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Gesture-to-action bindings */}
+                    {bindings && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🎛️</span>
+                                <h4>Bindings</h4>
+                            </div>
+
+                            <div className="binding-list">
+                                {bindings.bindings.map(binding => {
+                                    const trigger = triggers.find(option => option.id === binding.trigger)
+                                    // Motions start and end at once, so there is nothing to hold
+                                    const canHold = binding.trigger.startsWith('gesture:') && trigger?.kind !== 'motion'
+
+                                    return (
+                                        <div key={binding.id} className={`binding-item ${binding.enabled ? '' : 'disabled'}`}>
+                                            <div className="binding-row">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={binding.enabled}
+                                                    onChange={(e) => bindings.updateBinding(binding.id, { enabled: e.target.checked })}
+                                                    title="Enabled"
+                                                />
+                                                <select
+                                                    className="session-select binding-select"
+                                                    value={binding.trigger}
+                                                    onChange={(e) => bindings.updateBinding(binding.id, {
+                                                        trigger: e.target.value,
+                                                        // An action the new trigger cannot run falls back to the first one it can
+                                                        action: isActionAllowed(binding.action, e.target.value) ? binding.action : BINDING_ACTIONS[0].id
+                                                    })}
+                                                >
+                                                    {!trigger && <option value={binding.trigger}>{binding.trigger} (missing)</option>}
+                                                    {triggers.map(option => (
+                                                        <option key={option.id} value={option.id}>{option.icon} {option.label}</option>
+                                                    ))}
+                                                </select>
+                                                <span className="binding-arrow">→</span>
+                                                <select
+                                                    className="session-select binding-select"
+                                                    value={binding.action}
+                                                    onChange={(e) => bindings.updateBinding(binding.id, { action: e.target.value })}
+                                                >
+                                                    {BINDING_ACTIONS
+                                                        .filter(action => isActionAllowed(action.id, binding.trigger))
+                                                        .map(action => (
+                                                            <option key={action.id} value={action.id}>{action.label}</option>
+                                                        ))}
+                                                </select>
+                                                <button
+                                                    className="binding-remove"
+                                                    onClick={() => bindings.removeBinding(binding.id)}
+                                                    title="Remove binding"
+                                                >
+                                                    ✕
+                                                </button>
+                                            </div>
+                                            <div className="binding-row conditions">
+                                                <select
+                                                    className="session-select"
+                                                    value={binding.conditions.target}
+                                                    onChange={(e) => bindings.updateBinding(binding.id, { conditions: { target: e.target.value } })}
+                                                >
+                                                    {TARGET_CONDITIONS.map(condition => (
+                                                        <option key={condition.id} value={condition.id}>{condition.label}</option>
+                                                    ))}
+                                                </select>
+                                                <select
+                                                    className="session-select"
+                                                    value={binding.conditions.hand}
+                                                    onChange={(e) => bindings.updateBinding(binding.id, { conditions: { hand: e.target.value } })}
+                                                >
+                                                    {HAND_CONDITIONS.map(condition => (
+                                                        <option key={condition.id} value={condition.id}>{condition.label}</option>
+                                                    ))}
+                                                </select>
+                                                {canHold && (
+                                                    <label className="session-toggle" title="Hold the gesture this long first (0 runs it at the start)">
+                                                        Hold
+                                                        <input
+                                                            className="backend-param-input number binding-hold"
+                                                            type="number"
+                                                            min={0}
+                                                            max={5000}
+                                                            step={100}
+                                                            value={binding.holdFor}
+                                                            onChange={(e) => bindings.updateBinding(binding.id, { holdFor: Math.max(0, Number(e.target.value) || 0) })}
+                                                        />
+                                                        ms
+                                                    </label>
+                                                )}
+                                            </div>
+                                        </div>
+                                    )
+                                })}
+                                {bindings.bindings.length === 0 && <div className="interpolation-info">No bindings: gestures do nothing</div>}
+                            </div>
+
+                            <div className="session-controls">
+                                <button className="session-btn" onClick={() => bindings.addBinding(triggers[0].id, BINDING_ACTIONS[0].id)}>
+                                    ＋ Add
+                                </button>
+                                <button className="session-btn" onClick={bindings.resetBindings} title="Restore the default bindings">
+                                    Defaults
+                                </button>
+                                <button className="session-btn" onClick={bindings.exportBindings} title="Download the bindings as JSON">
+                                    💾 Export
+                                </button>
+                                <label className="session-btn" title="Replace the bindings with an exported JSON file">
+                                    📂 Import
+                                    <input
+                                        type="file"
+                                        accept=".json,application/json"
+                                        hidden
+                                        onChange={(e) => {
+                                            const file = e.target.files?.[0]
+                                            if (file) bindings.importBindings(file)
+                                            e.target.value = ''
+                                        }}
+                                    />
+                                </label>
+                            </div>
+                            {bindings.error && <div className="backend-status error">{bindings.error}</div>}
+                        </div>
+                    )}
+
+                    {/* Session Record / Replay */}
+                    {recorder && handSource && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🎬</span>
+                                <h4>Session</h4>
+                            </div>
+
+                            <div className="session-info">
+                                {isReplay && handSource.totalFrames > 0 && (
+                                    <>
+                                        <div className="session-row">
+                                            <span className="session-name" title={handSource.sessionName}>{handSource.sessionName}</span>
+                                            <span className="session-progress">{position}/{handSource.totalFrames}</span>
+                                        </div>
+                                        <div className="frame-bar">
+                                            <div
+                                                className="frame-fill"
+                                                style={{ width: `${position / handSource.totalFrames * 100}%` }}
+                                            ></div>
+                                        </div>
+                                        <div className="session-controls">
+                                            <button className="session-btn" onClick={() => handSource.isPlaying ? source.pause() : source.play()}>
+                                                {handSource.isPlaying ? '⏸ Pause' : '▶ Play'}
+                                            </button>
+                                            <button className="session-btn" onClick={() => source.step()} title="Next frame">
+                                                ⏭ Step
+                                            </button>
+                                            <select
+                                                className="session-select"
+                                                value={handSource.speed}
+                                                onChange={(e) => source.setSpeed(Number(e.target.value))}
+                                            >
+                                                {REPLAY_SPEEDS.map(speed => (
+                                                    <option key={speed} value={speed}>{speed}x</option>
+                                                ))}
+                                            </select>
+                                            <label className="session-toggle">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={handSource.loop}
+                                                    onChange={(e) => source.setLoop(e.target.checked)}
+                                                />
+                                                Loop
+                                            </label>
+                                            <button className="session-btn" onClick={() => source.restart()} title="Restart from the first frame">
+                                                ⏮ Restart
+                                            </button>
+                                        </div>
+                                    </>
+                                )}
+
+                                <div className="session-controls">
+                                    <button
+                                        className={`session-btn ${recorder.isRecording ? 'recording' : ''}`}
+                                        onClick={recorder.isRecording ? recorder.stop : recorder.start}
+                                    >
+                                        {recorder.isRecording ? '⏹ Stop' : '⏺ Record'}
+                                    </button>
+                                    <span className="session-progress">{recorder.recordedFrames} frames</span>
+                                    <button
+                                        className="session-btn"
+                                        disabled={recorder.isRecording || recorder.recordedFrames === 0}
+                                        onClick={() => recorder.download({ endpoint: activeEndpoint })}
+                                        title="Download NDJSON"
+                                    >
+                                        💾 Save
+                                    </button>
+                                    <label className="session-btn" title="Replay an NDJSON session">
+                                        📂 Replay
+                                        <input
+                                            type="file"
+                                            accept=".ndjson,.jsonl,.json"
+                                            hidden
+                                            onChange={(e) => {
+                                                const file = e.target.files?.[0]
+                                                if (file) loadReplayFile(file)
+                                                e.target.value = ''
+                                            }}
+                                        />
+                                    </label>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Fault injection */}
+                    {faultInjection && (
+                        <div className="debug-section">
+                            <div className="section-header">
+                                <span className="section-icon">🧪</span>
+                                <h4>Fault Injection</h4>
+                            </div>
+
+                            <div className="session-controls">
+                                <label className="session-toggle" title="Degrade the incoming landmark stream on purpose">
+                                    <input
+                                        type="checkbox"
+                                        checked={faultInjection.enabled}
+                                        onChange={(e) => faultInjection.setEnabled(e.target.checked)}
+                                    />
+                                    Degrade stream
+                                </label>
+                                <span className="interpolation-info">{faultInjection.description}</span>
+                            </div>
+
+                            <div className="backend-params">
+                                {faultInjection.parameters.map(param => {
+                                    const value = faultInjection.settings[param.key]
+
+                                    return (
+                                        <label key={param.key} className="backend-param">
+                                            <span className="backend-param-label">{param.label}</span>
+                                            <input
+                                                className="backend-param-input range"
+                                                type="range"
+                                                min={param.min}
+                                                max={param.max}
+                                                step={param.step}
+                                                value={value}
+                                                disabled={param.key === 'disconnectInterval' && !faultInjection.canDisconnect}
+                                                onChange={(e) => faultInjection.setParameter(param.key, Number(e.target.value))}
+                                            />
+                                            <span className="backend-param-value">
+                                                {param.key === 'disconnectInterval' && value === 0
+                                                    ? 'off'
+                                                    : `${formatParameter(value, param.step)}${param.unit ? ` ${param.unit}` : ''}`}
+                                            </span>
+                                        </label>
+                                    )
+                                })}
+                            </div>
+
+                            {faultStats && (
+                                <div className="render-list">
+                                    {Object.entries(faultStats).map(([stat, count]) => (
+                                        <div key={stat} className="rejection-list-item">
+                                            <span className="render-list-name">{stat}</span>
+                                            <span className="rejection-list-count">{count}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="session-controls render-reset-btn">
+                                <button
+                                    className="session-btn"
+                                    disabled={!faultInjection.canDisconnect}
+                                    onClick={faultInjection.disconnectNow}
+                                    title={faultInjection.canDisconnect ? 'Drop the connection once' : 'Only WebSocket sources have a connection to drop'}
+                                >
+                                    ⚡ Disconnect now
+                                </button>
+                                <button className="session-btn" onClick={faultInjection.resetParameters}>
+                                    ↺ Defaults
+                                </button>
+                                <button className="session-btn" onClick={faultInjection.resetStats} title="Start counting from zero">
+                                    ↺ Reset counts
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Render counts */}
+                    <div className="debug-section">
+                        <div className="section-header">
+                            <span className="section-icon">🔁</span>
+                            <h4>Renders</h4>
+                        </div>
+
+                        {renderRates.length > 0 ? (
+                            <div className="render-list">
+                                {renderRates.map(({ name, count, perSecond }) => (
+                                    <div key={name} className={`render-list-item ${perSecond >= 20 ? 'hot' : ''}`}>
+                                        <span className="render-list-name">{name}</span>
+                                        <span className="render-list-rate">{perSecond.toFixed(0)}/s</span>
+                                        <span className="render-list-count">{count}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <div className="interpolation-info">Collecting render counts…</div>
+                        )}
+
+                        <button className="session-btn render-reset-btn" onClick={clearRenderCounts} title="Start counting from zero">
+                            ↺ Reset counts
+                        </button>
                     </div>
 
                     {/* Error Display */}
@@ -279,7 +1258,7 @@ export default function DebugPanel({
                     )}
 
                     {/* Reconnect Button */}
-                    {connectionStatus !== 'connected' && (
+                    {connectionStatus !== 'connected' && !isReplay && (
                         <div className="debug-actions">
                             <button className="reconnect-btn" onClick={onReconnect}>
                                 <span className="btn-icon">🔄</span>
@@ -0,0 +1,10 @@
+import { useFrame } from '@react-three/fiber'
+
+// Runs the pointer update once per rendered frame, before the ray and latency probe read it
+export default function DisplayRatePointer({ onFrame }) {
+    useFrame(() => {
+        onFrame?.(performance.now())
+    })
+
+    return null
+}
@@ -0,0 +1,208 @@
+// src/components/GestureStudio.jsx - Record and bind custom gestures
+import { useState } from 'react'
+import useRenderCount from '../hooks/useRenderCount'
+import './GestureStudio.css'
+
+const KIND_LABELS = { pose: '✋ Pose', motion: '〰️ Motion' }
+
+const RECORDING_HINTS = {
+    countdown: 'Get ready…',
+    pose: 'Hold the pose',
+    motion: 'Move now!'
+}
+
+export default function GestureStudio({
+    studio,
+    actions = [],
+    boundActions = {},
+    onBindAction = () => { },
+    activeGestures = {},
+    lastMatch = null
+}) {
+    const [isExpanded, setIsExpanded] = useState(false)
+    const [name, setName] = useState('')
+    const [kind, setKind] = useState('pose')
+    const [thresholdDrafts, setThresholdDrafts] = useState({}) // Gesture id → threshold while its slider moves
+    useRenderCount('GestureStudio')
+
+    if (!studio) return null
+
+    const { gestures, recording } = studio
+    const activeIds = new Set(Object.values(activeGestures).map(active => active.gesture))
+
+    const handleCreate = (event) => {
+        event.preventDefault()
+        studio.createGesture(name, kind)
+        setName('')
+    }
+
+    // Thresholds are saved (and sent to the worker) once the slider is let go, not on every step
+    const draftThreshold = (id, value) => setThresholdDrafts(drafts => ({ ...drafts, [id]: value }))
+    const saveThreshold = (id) => {
+        if (thresholdDrafts[id] === undefined) return
+        studio.updateGesture(id, { threshold: thresholdDrafts[id] })
+        setThresholdDrafts(drafts => {
+            const { [id]: _saved, ...rest } = drafts
+            return rest
+        })
+    }
+
+    if (!isExpanded) {
+        return (
+            <div className="studio-minimized" onClick={() => setIsExpanded(true)}>
+                <span className="studio-icon">⭐</span>
+                <span className="studio-text">Gesture Studio</span>
+                {gestures.length > 0 && <span className="studio-count">{gestures.length}</span>}
+                {recording && <div className="studio-recording-dot" />}
+            </div>
+        )
+    }
+
+    return (
+        <div className="studio-panel">
+            <div className="studio-header">
+                <div className="studio-title">
+                    <span className="studio-icon">⭐</span>
+                    <h3>Gesture Studio</h3>
+                </div>
+                <button
+                    className="control-btn"
+                    onClick={() => setIsExpanded(false)}
+                    title="Minimize"
+                >
+                    −
+                </button>
+            </div>
+
+            <div className="studio-content">
+                {/* New gesture */}
+                <form className="studio-create" onSubmit={handleCreate}>
+                    <input
+                        className="studio-name-input"
+                        type="text"
+                        placeholder="Gesture name"
+                        value={name}
+                        maxLength={32}
+                        onChange={(e) => setName(e.target.value)}
+                    />
+                    <select
+                        className="studio-select"
+                        value={kind}
+                        onChange={(e) => setKind(e.target.value)}
+                    >
+                        {studio.kinds.map(option => (
+                            <option key={option} value={option}>{KIND_LABELS[option] ?? option}</option>
+                        ))}
+                    </select>
+                    <button className="studio-btn" type="submit">＋ Add</button>
+                </form>
+
+                {studio.error && <div className="studio-error">⚠️ {studio.error}</div>}
+
+                {lastMatch && (
+                    <div className="studio-last-match">
+                        Last match: ⭐ {lastMatch.name} ({(lastMatch.confidence * 100).toFixed(0)}%)
+                    </div>
+                )}
+
+                {gestures.length === 0 && (
+                    <div className="studio-empty">
+                        Add a gesture, then record a few examples of it in front of the camera.
+                    </div>
+                )}
+
+                {/* Gesture list */}
+                {gestures.map(gesture => {
+                    const isRecording = recording?.gestureId === gesture.id
+                    const hint = isRecording && RECORDING_HINTS[recording.phase === 'countdown' ? 'countdown' : gesture.kind]
+
+                    return (
+                        <div
+                            key={gesture.id}
+                            className={`studio-gesture ${activeIds.has(gesture.id) ? 'active' : ''}`}
+                        >
+                            <div className="studio-gesture-header">
+                                <span className="studio-gesture-name">{gesture.name}</span>
+                                <span className="studio-kind">{KIND_LABELS[gesture.kind] ?? gesture.kind}</span>
+                                <button
+                                    className="studio-delete-btn"
+                                    onClick={() => studio.removeGesture(gesture.id)}
+                                    disabled={isRecording}
+                                    title="Delete gesture"
+                                >
+                                    🗑️
+                                </button>
+                            </div>
+
+                            {/* Examples */}
+                            <div className="studio-examples">
+                                {gesture.examples.map((_, index) => (
+                                    <span key={index} className="studio-example">
+                                        #{index + 1}
+                                        <button
+                                            className="studio-example-remove"
+                                            onClick={() => studio.removeExample(gesture.id, index)}
+                                            disabled={Boolean(recording)}
+                                            title="Remove example"
+                                        >
+                                            ✕
+                                        </button>
+                                    </span>
+                                ))}
+                                {gesture.examples.length === 0 && <span className="studio-hint">No examples yet</span>}
+                            </div>
+
+                            <div className="studio-record-row">
+                                {isRecording ? (
+                                    <>
+                                        <span className={`studio-recording ${recording.phase}`}>⏺ {hint}</span>
+                                        <button className="studio-btn" onClick={studio.cancelRecording}>Cancel</button>
+                                    </>
+                                ) : (
+                                    <button
+                                        className="studio-btn"
+                                        onClick={() => studio.recordExample(gesture.id)}
+                                        disabled={Boolean(recording)}
+                                    >
+                                        ⏺ Record example
+                                    </button>
+                                )}
+                            </div>
+
+                            <label className="studio-field">
+                                <span className="studio-field-label">Threshold</span>
+                                <input
+                                    className="studio-range"
+                                    type="range"
+                                    min={0.3}
+                                    max={0.95}
+                                    step={0.05}
+                                    value={thresholdDrafts[gesture.id] ?? gesture.threshold}
+                                    onChange={(e) => draftThreshold(gesture.id, Number(e.target.value))}
+                                    onPointerUp={() => saveThreshold(gesture.id)}
+                                    onKeyUp={() => saveThreshold(gesture.id)}
+                                    onBlur={() => saveThreshold(gesture.id)}
+                                />
+                                <span className="studio-field-value">{(thresholdDrafts[gesture.id] ?? gesture.threshold).toFixed(2)}</span>
+                            </label>
+
+                            <label className="studio-field">
+                                <span className="studio-field-label">Action</span>
+                                <select
+                                    className="studio-select"
+                                    value={boundActions[gesture.id] ?? ''}
+                                    onChange={(e) => onBindAction(gesture.id, e.target.value || null)}
+                                >
+                                    <option value="">No action</option>
+                                    {actions.map(action => (
+                                        <option key={action.id} value={action.id}>{action.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+                    )
+                })}
+            </div>
+        </div>
+    )
+}
@@ -1,148 +1,268 @@
 // src/components/HandOverlay.jsx
 import { useRef, useEffect, useState } from 'react'
+import useTimeSince, { formatDuration } from '../hooks/useTimeSince'
+import useHandStore, { shallowEqual } from '../hooks/useHandStore'
+import useRenderCount from '../hooks/useRenderCount'
 import './HandOverlay.css'
 
-export default function HandOverlay({ landmarks, connectionStatus }) {
+// Connections between landmarks
+const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],       // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8],       // Index finger
+    [5, 9], [9, 10], [10, 11], [11, 12],  // Middle finger
+    [9, 13], [13, 14], [14, 15], [15, 16], // Ring finger
+    [13, 17], [17, 18], [18, 19], [19, 20] // Pinky
+]
+
+/**
+ * Draw one hand's landmarks and skeleton
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} hand - { key, label, score, landmarks }
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} options - { isPointing, showDetails }
+ */
+function drawHand(ctx, hand, width, height, { isPointing, showDetails }) {
+    const { landmarks } = hand
+
+    // Hands that don't drive the pointer are drawn dimmed
+    ctx.globalAlpha = isPointing ? 1 : 0.45
+
+    // Enhanced landmark drawing
+    landmarks.forEach((landmark, index) => {
+        const x = landmark.x * width
+        const y = landmark.y * height
+
+        // Create glow effect for landmarks
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, 8)
+
+        // Different colors for different finger parts
+        let color = '#3b82f6' // Default blue
+        if ([4, 8, 12, 16, 20].includes(index)) {
+            color = '#8b5cf6' // Purple for fingertips
+        } else if ([0].includes(index)) {
+            color = '#22c55e' // Green for thumb base
+        }
+
+        gradient.addColorStop(0, color)
+        gradient.addColorStop(1, 'rgba(59, 130, 246, 0)')
+
+        // Draw glow
+        ctx.fillStyle = gradient
+        ctx.beginPath()
+        ctx.arc(x, y, 8, 0, 2 * Math.PI)
+        ctx.fill()
+
+        // Draw landmark point
+        ctx.beginPath()
+        ctx.arc(x, y, 2, 0, 2 * Math.PI)
+        ctx.fillStyle = color
+        ctx.fill()
+
+        // Enhanced landmark labels for key points
+        if ([0, 4, 8, 12, 16, 20].includes(index) && showDetails) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)'
+            ctx.font = 'bold 9px Inter, system-ui, sans-serif'
+            ctx.textAlign = 'center'
+            ctx.fillText(index.toString(), x, y - 12)
+        }
+    })
+
+    // Enhanced connections with gradient lines
+    HAND_CONNECTIONS.forEach(([start, end]) => {
+        const startPoint = landmarks[start]
+        const endPoint = landmarks[end]
+        const startX = startPoint.x * width
+        const startY = startPoint.y * height
+        const endX = endPoint.x * width
+        const endY = endPoint.y * height
+
+        // Create gradient for connection lines
+        const lineGradient = ctx.createLinearGradient(startX, startY, endX, endY)
+        lineGradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)')
+        lineGradient.addColorStop(1, 'rgba(59, 130, 246, 0.6)')
+
+        ctx.strokeStyle = lineGradient
+        ctx.lineWidth = 1.5
+        ctx.beginPath()
+        ctx.moveTo(startX, startY)
+        ctx.lineTo(endX, endY)
+        ctx.stroke()
+    })
+
+    // Enhanced fingertip highlighting (index finger tip - landmark 8) on the pointing hand
+    const fingertip = landmarks[8]
+    if (fingertip && isPointing) {
+        const x = fingertip.x * width
+        const y = fingertip.y * height
+
+        // Static ring around fingertip
+        const staticRadius = 12
+
+        // Outer glow
+        const fingertipGradient = ctx.createRadialGradient(x, y, 0, x, y, staticRadius + 3)
+        fingertipGradient.addColorStop(0, 'rgba(239, 68, 68, 0.8)')
+        fingertipGradient.addColorStop(1, 'rgba(239, 68, 68, 0)')
+
+        ctx.fillStyle = fingertipGradient
+        ctx.beginPath()
+        ctx.arc(x, y, staticRadius + 3, 0, 2 * Math.PI)
+        ctx.fill()
+
+        // Static ring
+        ctx.beginPath()
+        ctx.arc(x, y, staticRadius, 0, 2 * Math.PI)
+        ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)'
+        ctx.lineWidth = 2
+        ctx.stroke()
+
+        // Crosshair for precision
+        ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)'
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.moveTo(x - 6, y)
+        ctx.lineTo(x + 6, y)
+        ctx.moveTo(x, y - 6)
+        ctx.lineTo(x, y + 6)
+        ctx.stroke()
+    }
+
+    // Handedness label next to the wrist
+    if (showDetails && landmarks[0]) {
+        const score = hand.score !== null ? ` ${(hand.score * 100).toFixed(0)}%` : ''
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)'
+        ctx.font = 'bold 10px Inter, system-ui, sans-serif'
+        ctx.textAlign = 'center'
+        ctx.fillText(`${hand.label || 'Hand'}${score}`, landmarks[0].x * width, landmarks[0].y * height + 16)
+    }
+
+    ctx.globalAlpha = 1
+}
+
+/**
+ * Draw the unfiltered landmarks as a thin ghost skeleton, for comparing against the smoothed hand
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} hand - { key, landmarks }
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawRawHand(ctx, hand, width, height) {
+    const { landmarks } = hand
+
+    ctx.strokeStyle = 'rgba(251, 146, 60, 0.7)'
+    ctx.lineWidth = 1
+    HAND_CONNECTIONS.forEach(([start, end]) => {
+        ctx.beginPath()
+        ctx.moveTo(landmarks[start].x * width, landmarks[start].y * height)
+        ctx.lineTo(landmarks[end].x * width, landmarks[end].y * height)
+        ctx.stroke()
+    })
+
+    ctx.fillStyle = 'rgba(251, 146, 60, 0.9)'
+    landmarks.forEach(landmark => {
+        ctx.beginPath()
+        ctx.arc(landmark.x * width, landmark.y * height, 1.5, 0, 2 * Math.PI)
+        ctx.fill()
+    })
+}
+
+// Readable connection status after "Camera"
+const STATUS_LABELS = {
+    'camera-unavailable': 'unavailable',
+    stale: 'stalled'
+}
+
+const TEXT_REFRESH_INTERVAL = 250 // ms between refreshes of the text below the canvas
+
+// Values shown as text; the canvas itself is redrawn from the store on every frame
+function selectOverlayStats(state) {
+    return {
+        filteredHands: state.filteredHands || [],
+        jitter: state.jitter || {},
+        lastFrameAt: state.lastFrameAt ?? null
+    }
+}
+
+export default function HandOverlay({
+    source = null,
+    canCompare = false,
+    pointingHandKey = null,
+    connectionStatus
+}) {
     const canvasRef = useRef(null)
     const [isMinimized, setIsMinimized] = useState(false)
     const [showDetails, setShowDetails] = useState(true)
+    const [showComparison, setShowComparison] = useState(false) // Raw landmarks drawn under the filtered ones
+    const { filteredHands: hands, jitter: jitterByHand, lastFrameAt } = useHandStore(
+        source,
+        selectOverlayStats,
+        { isEqual: shallowEqual, interval: TEXT_REFRESH_INTERVAL }
+    )
+    const pointingHand = hands.find(hand => hand.key === pointingHandKey)
+    const landmarks = pointingHand?.landmarks || null
+    const jitter = showComparison && canCompare && pointingHandKey ? jitterByHand[pointingHandKey] ?? null : null
+    const sinceLastFrame = useTimeSince(lastFrameAt)
+    const isStale = connectionStatus === 'stale'
+    useRenderCount('HandOverlay')
 
+    // Redraw on every frame straight from the store subscription, without rendering
     useEffect(() => {
         const canvas = canvasRef.current
-        if (!canvas) return
+        if (!canvas || !source) return
 
         const ctx = canvas.getContext('2d')
         const { width, height } = canvas
+        let lastHands = null
 
-        // Clear canvas with transparent background for glassmorphism effect
-        ctx.clearRect(0, 0, width, height)
+        const draw = ({ hands: rawHands = [], filteredHands: hands = [] }) => {
+            if (hands === lastHands) return
+            lastHands = hands
 
-        if (!landmarks) {
-            // Draw "no hand" state with better styling
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)'
-            ctx.font = '14px Inter, system-ui, sans-serif'
-            ctx.textAlign = 'center'
-            ctx.fillText('No hand detected', width / 2, height / 2)
-
-            // Static scanning indicator
-            ctx.strokeStyle = 'rgba(59, 130, 246, 0.6)'
-            ctx.lineWidth = 2
-            ctx.setLineDash([5, 5])
-            ctx.beginPath()
-            ctx.moveTo(0, height / 2 + 20)
-            ctx.lineTo(width, height / 2 + 20)
-            ctx.stroke()
-            ctx.setLineDash([])
-            return
-        }
-
-        // Enhanced landmark drawing
-        landmarks.forEach((landmark, index) => {
-            const x = landmark.x * width
-            const y = landmark.y * height
+            // Clear canvas with transparent background for glassmorphism effect
+            ctx.clearRect(0, 0, width, height)
 
-            // Create glow effect for landmarks
-            const gradient = ctx.createRadialGradient(x, y, 0, x, y, 8)
+            if (hands.length === 0) {
+                // Draw "no hand" state with better styling
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)'
+                ctx.font = '14px Inter, system-ui, sans-serif'
+                ctx.textAlign = 'center'
+                ctx.fillText(isStale ? 'Stream stalled' : 'No hand detected', width / 2, height / 2)
 
-            // Different colors for different finger parts
-            let color = '#3b82f6' // Default blue
-            if ([4, 8, 12, 16, 20].includes(index)) {
-                color = '#8b5cf6' // Purple for fingertips
-            } else if ([0].includes(index)) {
-                color = '#22c55e' // Green for thumb base
+                // Static scanning indicator
+                ctx.strokeStyle = isStale ? 'rgba(245, 158, 11, 0.6)' : 'rgba(59, 130, 246, 0.6)'
+                ctx.lineWidth = 2
+                ctx.setLineDash([5, 5])
+                ctx.beginPath()
+                ctx.moveTo(0, height / 2 + 20)
+                ctx.lineTo(width, height / 2 + 20)
+                ctx.stroke()
+                ctx.setLineDash([])
+                return
             }
 
-            gradient.addColorStop(0, color)
-            gradient.addColorStop(1, 'rgba(59, 130, 246, 0)')
+            if (showComparison && canCompare) {
+                rawHands.forEach(hand => drawRawHand(ctx, hand, width, height))
 
-            // Draw glow
-            ctx.fillStyle = gradient
-            ctx.beginPath()
-            ctx.arc(x, y, 8, 0, 2 * Math.PI)
-            ctx.fill()
-
-            // Draw landmark point
-            ctx.beginPath()
-            ctx.arc(x, y, 2, 0, 2 * Math.PI)
-            ctx.fillStyle = color
-            ctx.fill()
-
-            // Enhanced landmark labels for key points
-            if ([0, 4, 8, 12, 16, 20].includes(index) && showDetails) {
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)'
+                // Legend
                 ctx.font = 'bold 9px Inter, system-ui, sans-serif'
-                ctx.textAlign = 'center'
-                ctx.fillText(index.toString(), x, y - 12)
+                ctx.textAlign = 'left'
+                ctx.fillStyle = 'rgba(251, 146, 60, 0.9)'
+                ctx.fillText('● raw', 8, 14)
+                ctx.fillStyle = 'rgba(139, 92, 246, 0.9)'
+                ctx.fillText('● filtered', 46, 14)
             }
-        })
-
-        // Enhanced connections with gradient lines
-        const connections = [
-            [0, 1], [1, 2], [2, 3], [3, 4],       // Thumb
-            [0, 5], [5, 6], [6, 7], [7, 8],       // Index finger
-            [5, 9], [9, 10], [10, 11], [11, 12],  // Middle finger
-            [9, 13], [13, 14], [14, 15], [15, 16], // Ring finger
-            [13, 17], [17, 18], [18, 19], [19, 20] // Pinky
-        ]
-
-        connections.forEach(([start, end]) => {
-            const startPoint = landmarks[start]
-            const endPoint = landmarks[end]
-            const startX = startPoint.x * width
-            const startY = startPoint.y * height
-            const endX = endPoint.x * width
-            const endY = endPoint.y * height
-
-            // Create gradient for connection lines
-            const lineGradient = ctx.createLinearGradient(startX, startY, endX, endY)
-            lineGradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)')
-            lineGradient.addColorStop(1, 'rgba(59, 130, 246, 0.6)')
-
-            ctx.strokeStyle = lineGradient
-            ctx.lineWidth = 1.5
-            ctx.beginPath()
-            ctx.moveTo(startX, startY)
-            ctx.lineTo(endX, endY)
-            ctx.stroke()
-        })
-
-        // Enhanced fingertip highlighting (index finger tip - landmark 8)
-        const fingertip = landmarks[8]
-        if (fingertip) {
-            const x = fingertip.x * width
-            const y = fingertip.y * height
-
-            // Static ring around fingertip
-            const staticRadius = 12
-
-            // Outer glow
-            const fingertipGradient = ctx.createRadialGradient(x, y, 0, x, y, staticRadius + 3)
-            fingertipGradient.addColorStop(0, 'rgba(239, 68, 68, 0.8)')
-            fingertipGradient.addColorStop(1, 'rgba(239, 68, 68, 0)')
-
-            ctx.fillStyle = fingertipGradient
-            ctx.beginPath()
-            ctx.arc(x, y, staticRadius + 3, 0, 2 * Math.PI)
-            ctx.fill()
-
-            // Static ring
-            ctx.beginPath()
-            ctx.arc(x, y, staticRadius, 0, 2 * Math.PI)
-            ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)'
-            ctx.lineWidth = 2
-            ctx.stroke()
-
-            // Crosshair for precision
-            ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)'
-            ctx.lineWidth = 1
-            ctx.beginPath()
-            ctx.moveTo(x - 6, y)
-            ctx.lineTo(x + 6, y)
-            ctx.moveTo(x, y - 6)
-            ctx.lineTo(x, y + 6)
-            ctx.stroke()
+
+            hands.forEach(hand => {
+                drawHand(ctx, hand, width, height, {
+                    isPointing: hand.key === pointingHandKey,
+                    showDetails
+                })
+            })
         }
-    }, [landmarks, connectionStatus, showDetails])
+
+        draw(source.getState())
+        return source.subscribe(draw)
+    }, [source, pointingHandKey, isMinimized, isStale, showDetails, showComparison, canCompare])
 
     if (isMinimized) {
         return (
@@ -162,6 +282,15 @@ export default function HandOverlay({ landmarks, connectionStatus }) {
                     <h4>Hand Tracking</h4>
                 </div>
                 <div className="overlay-controls">
+                    {canCompare && (
+                        <button
+                            className={`control-btn ${showComparison ? 'active' : ''}`}
+                            onClick={() => setShowComparison(!showComparison)}
+                            title="Compare raw and filtered landmarks"
+                        >
+                            ⚖️
+                        </button>
+                    )}
                     <button
                         className="control-btn"
                         onClick={() => setShowDetails(!showDetails)}
@@ -183,12 +312,17 @@ export default function HandOverlay({ landmarks, connectionStatus }) {
                 <div className="connection-status">
                     <div className={`connection-indicator ${connectionStatus}`}>
                         <div className="connection-dot" />
-                        <span>Camera {connectionStatus}</span>
+                        <span>Camera {STATUS_LABELS[connectionStatus] || connectionStatus}</span>
                     </div>
-                    {landmarks && (
+                    {sinceLastFrame !== null && (
+                        <span className={`frame-age ${sinceLastFrame > 1000 ? 'late' : ''}`} title="Time since the last frame">
+                            {formatDuration(sinceLastFrame)}
+                        </span>
+                    )}
+                    {hands.length > 0 && (
                         <div className="landmark-count">
-                            <span className="count-badge">{landmarks.length}</span>
-                            <span className="count-label">landmarks</span>
+                            <span className="count-badge">{hands.length}</span>
+                            <span className="count-label">{hands.length > 1 ? 'hands' : 'hand'}</span>
                         </div>
                     )}
                 </div>
@@ -201,12 +335,14 @@ export default function HandOverlay({ landmarks, connectionStatus }) {
                 />
 
                 <div className="overlay-footer">
-                    {landmarks ? (
+                    {hands.length > 0 ? (
                         <div className="detection-info">
-                            <span className="detection-status active">✨ Hand detected</span>
+                            <span className="detection-status active">
+                                ✨ {hands.map(hand => hand.label || 'Hand').join(' + ')} detected
+                            </span>
                             {showDetails && (
                                 <div className="fingertip-coords">
-                                    {landmarks[8] && (
+                                    {landmarks?.[8] && (
                                         <>
                                             <span className="coord-label">Fingertip:</span>
                                             <span className="coord-value">
@@ -216,10 +352,22 @@ export default function HandOverlay({ landmarks, connectionStatus }) {
                                     )}
                                 </div>
                             )}
+                            {jitter && (
+                                <div className="fingertip-coords jitter-comparison" title="Average fingertip movement per frame, in thousandths of the image size">
+                                    <span className="coord-label">Jitter:</span>
+                                    <span className="coord-value raw">{(jitter.raw * 1000).toFixed(1)}</span>
+                                    <span className="coord-label">→</span>
+                                    <span className="coord-value">{(jitter.filtered * 1000).toFixed(1)}</span>
+                                </div>
+                            )}
                         </div>
                     ) : (
                         <div className="detection-info">
-                            <span className="detection-status scanning">🔍 Scanning for hand...</span>
+                            <span className="detection-status scanning">
+                                {isStale
+                                    ? `⏸️ No frames for ${formatDuration(sinceLastFrame)}`
+                                    : '🔍 Scanning for hand...'}
+                            </span>
                         </div>
                     )}
                 </div>
@@ -0,0 +1,11 @@
+import { useFrame } from '@react-three/fiber'
+import { markRender } from '../utils/latencyTracker'
+
+// Marks each rendered frame for the latency tracker (raycast → render)
+export default function LatencyProbe() {
+    useFrame(() => {
+        markRender()
+    })
+
+    return null
+}
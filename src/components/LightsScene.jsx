@@ -1,5 +1,5 @@
 import { Canvas } from '@react-three/fiber'
-import { OrbitControls } from '@react-three/drei'
+import { OrbitControls, Billboard, Html } from '@react-three/drei'
 import { useRef, forwardRef, useImperativeHandle, useState } from 'react'
 import * as THREE from 'three'
 import RayVisualizer from './RayVisualizer'
@@ -7,13 +7,57 @@ import Room from './Room'
 import ParticleSystem from './ParticleSystem'
 import Skybox from './Skybox'
 import AdvancedLighting from './AdvancedLighting'
+import LatencyProbe from './LatencyProbe'
+import DisplayRatePointer from './DisplayRatePointer'
 import useAudio from '../hooks/useAudio'
+import useRenderCount from '../hooks/useRenderCount'
+import { SCENE_CAMERA, BULBS, HITBOX_RADIUS, bulbCenterOffset } from '../utils/sceneLayout'
 
-const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling = false }, ref) => {
-    const [on, setOn] = useState(false)
+const RING_RADIUS = 0.27 // Long-press ring, just outside the bulb's pointing outline
+
+const clampLevel = (level) => Math.max(0, Math.min(1, level))
+
+// Brightness readout floating above a bulb while it is being adjusted
+const READOUT_STYLE = {
+    padding: '4px 10px',
+    borderRadius: '12px',
+    background: 'rgba(15, 23, 42, 0.85)',
+    border: '1px solid rgba(255, 235, 59, 0.5)',
+    color: '#ffeb3b',
+    fontFamily: '"JetBrains Mono", "Courier New", monospace',
+    fontSize: '13px',
+    whiteSpace: 'nowrap',
+    pointerEvents: 'none'
+}
+
+// Ring round a bulb facing the camera: fills up during a long press (progress 0-1) and
+// stays full while the bulb's brightness control is open
+function HoldRing({ position, progress, isOpen }) {
+    return (
+        <Billboard position={position}>
+            <mesh>
+                <ringGeometry args={[RING_RADIUS - 0.02, RING_RADIUS + 0.02, 48]} />
+                <meshBasicMaterial color="#ffffff" transparent opacity={0.15} side={THREE.DoubleSide} />
+            </mesh>
+            <mesh rotation={[0, 0, Math.PI / 2]}>
+                {/* Filled clockwise from the top */}
+                <ringGeometry args={[RING_RADIUS - 0.02, RING_RADIUS + 0.02, 48, 1, 0, -Math.PI * 2 * (isOpen ? 1 : progress)]} />
+                <meshBasicMaterial color={isOpen ? '#ffeb3b' : '#00ccff'} transparent opacity={0.9} side={THREE.DoubleSide} />
+            </mesh>
+        </Billboard>
+    )
+}
+
+// A dimmable bulb: its level runs from 0 (off) to 1 (full brightness). Switching it on
+// restores the last level it had
+const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling = false, holdProgress = null, isAdjusting = false }, ref) => {
+    useRenderCount('Bulb')
+    const [level, setLevel] = useState(0)
+    const lastLevelRef = useRef(1) // Level to restore when switched back on
     const meshRef = useRef()
     const hitboxRef = useRef()
     const { playSound } = useAudio()
+    const on = level > 0
 
     const playClickSound = async () => {
         try {
@@ -28,18 +72,25 @@ const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling
         }
     }
 
+    // Change the level; the click only sounds when the bulb goes on or off
+    const changeLevel = (getNextLevel) => {
+        setLevel(prevLevel => {
+            const nextLevel = clampLevel(getNextLevel(prevLevel))
+            if ((prevLevel > 0) !== (nextLevel > 0)) playClickSound()
+            if (nextLevel > 0) lastLevelRef.current = nextLevel
+            return nextLevel
+        })
+    }
+
     useImperativeHandle(ref, () => ({
-        toggle: () => {
-            setOn(prevOn => {
-                const newOn = !prevOn
-                playClickSound()
-                return newOn
-            })
-        },
+        toggle: () => changeLevel(prevLevel => prevLevel > 0 ? 0 : lastLevelRef.current),
+        setOn: (nextOn) => changeLevel(prevLevel => nextOn ? prevLevel || lastLevelRef.current : 0),
+        setLevel: (nextLevel) => changeLevel(() => nextLevel),
         id,
         mesh: meshRef.current,
         hitbox: hitboxRef.current, // Add reference to hitbox
-        isOn: on
+        isOn: on,
+        level
     }))
 
     return (
@@ -90,12 +141,8 @@ const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling
                 position={isCeiling ? [0, -0.1, 0] : [0, -0.15, 0]}
                 userData={{ id }}
                 onClick={() => {
-                    setOn(prev => {
-                        const newOn = !prev
-                        playClickSound()
-                        onToggle?.(id)
-                        return newOn
-                    })
+                    changeLevel(prevLevel => prevLevel > 0 ? 0 : lastLevelRef.current)
+                    onToggle?.(id)
                 }}
                 castShadow
             >
@@ -103,7 +150,7 @@ const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling
                 <meshStandardMaterial
                     color={on ? '#fff8dc' : '#f5f5f5'}
                     emissive={on ? '#ffeb3b' : isPointed ? '#00ff88' : '#000000'}
-                    emissiveIntensity={on ? 0.6 : isPointed ? 0.2 : 0}
+                    emissiveIntensity={on ? 0.1 + 0.5 * level : isPointed ? 0.2 : 0}
                     roughness={0.2}
                     metalness={0.1}
                     transparent={!on}
@@ -114,11 +161,11 @@ const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling
             {/* Invisible larger hitbox for easier targeting */}
             <mesh
                 ref={hitboxRef}
-                position={isCeiling ? [0, -0.1, 0] : [0, -0.15, 0]}
+                position={bulbCenterOffset(isCeiling)}
                 userData={{ id }}
                 visible={false}
             >
-                <sphereGeometry args={[0.4, 16, 16]} />
+                <sphereGeometry args={[HITBOX_RADIUS, 16, 16]} />
                 <meshBasicMaterial transparent opacity={0} />
             </mesh>
 
@@ -126,7 +173,7 @@ const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling
             {on && (
                 <pointLight
                     position={isCeiling ? [0, -0.1, 0] : [0, -0.15, 0]}
-                    intensity={isCeiling ? 2.0 : 1.2}
+                    intensity={(isCeiling ? 2.0 : 1.2) * level}
                     distance={isCeiling ? 8 : 5}
                     decay={2}
                     color="#fff8dc"
@@ -136,6 +183,22 @@ const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling
                 />
             )}
 
+            {/* Long-press progress, then open brightness control */}
+            {(holdProgress !== null || isAdjusting) && (
+                <HoldRing
+                    position={isCeiling ? [0, -0.1, 0] : [0, -0.15, 0]}
+                    progress={holdProgress ?? 0}
+                    isOpen={isAdjusting}
+                />
+            )}
+
+            {/* Live brightness readout */}
+            {isAdjusting && (
+                <Html position={isCeiling ? [0, 0.25, 0] : [0, 0.2, 0]} center>
+                    <div style={READOUT_STYLE}>💡 {Math.round(level * 100)}%</div>
+                </Html>
+            )}
+
             {/* Outline effect when pointed at */}
             {isPointed && (
                 <>
@@ -155,9 +218,9 @@ const Bulb = forwardRef(({ id, position, onToggle, isPointed = false, isCeiling
 
                     {/* Hitbox visualization (subtle wireframe) */}
                     <mesh
-                        position={isCeiling ? [0, -0.1, 0] : [0, -0.15, 0]}
+                        position={bulbCenterOffset(isCeiling)}
                     >
-                        <sphereGeometry args={[0.4, 16, 16]} />
+                        <sphereGeometry args={[HITBOX_RADIUS, 16, 16]} />
                         <meshBasicMaterial
                             color="#00ff88"
                             transparent
@@ -177,10 +240,14 @@ export default function LightsScene({
     bulbRefs,
     onCameraReady,
     pointedBulbId = null,
-    fingerPosition = null,
-    pointing = false
+    getPointer = null,
+    onRenderFrame = null,
+    pointing = false,
+    pinchHold = null,          // { bulbId, progress } of a long press under way
+    brightnessBulbId = null    // Bulb whose brightness control is open
 }) {
     const { enableUserInteraction } = useAudio()
+    useRenderCount('LightsScene')
 
     const handleBulbToggle = (bulbId) => {
         // Enable audio on first interaction
@@ -195,7 +262,7 @@ export default function LightsScene({
             onTouchStart={enableUserInteraction}
         >
             <Canvas
-                camera={{ position: [0, 1.2, 2.5], fov: 65 }}
+                camera={{ position: SCENE_CAMERA.position, fov: SCENE_CAMERA.fov }}
                 style={{ width: '100%', height: '100%' }}
                 shadows
                 onCreated={({ camera, gl, scene }) => {
@@ -224,6 +291,12 @@ export default function LightsScene({
                     }
                 }}
             >
+                {/* Display-rate pointer update (interpolated landmarks → raycast) */}
+                <DisplayRatePointer onFrame={onRenderFrame} />
+
+                {/* Pipeline latency marker */}
+                <LatencyProbe />
+
                 {/* Skybox for realistic background */}
                 <Skybox />
 
@@ -238,6 +311,7 @@ export default function LightsScene({
 
                 {/* Orbit controls - enhance for room navigation */}
                 <OrbitControls
+                    target={SCENE_CAMERA.target}
                     enablePan={false}
                     enableZoom={true}
                     minDistance={2}
@@ -251,17 +325,15 @@ export default function LightsScene({
                 />
 
                 {/* Smart bulbs - one ceiling light and two wall sconces */}
-                {[
-                    [0, 1.8, 0],      // Ceiling bulb (center)
-                    [-3.5, 0.8, -2.5], // Left wall bulb  
-                    [3.5, 0.8, -2.5]   // Right wall bulb
-                ].map((position, index) => (
+                {BULBS.map(({ id, position, isCeiling }, index) => (
                     <Bulb
-                        key={index}
-                        id={index + 1}
+                        key={id}
+                        id={id}
                         position={position}
-                        isPointed={pointedBulbId === index + 1}
-                        isCeiling={index === 0} // First bulb is ceiling mounted
+                        isPointed={pointedBulbId === id}
+                        isCeiling={isCeiling}
+                        holdProgress={pinchHold?.bulbId === id ? pinchHold.progress : null}
+                        isAdjusting={brightnessBulbId === id}
                         ref={(el) => {
                             if (bulbRefs && bulbRefs.current) {
                                 bulbRefs.current[index] = el
@@ -271,10 +343,10 @@ export default function LightsScene({
                     />
                 ))}
 
-                {/* Enhanced ray visualization */}
-                {fingerPosition && (
+                {/* Enhanced ray visualization (reads the pointer every render frame, fades out without one) */}
+                {getPointer && (
                     <RayVisualizer
-                        fingerPosition={fingerPosition}
+                        getPointer={getPointer}
                         visible={true}
                         color={pointing ? 0x00ccff : 0x00ffcc}
                         length={8}
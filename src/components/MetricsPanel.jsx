@@ -1,5 +1,6 @@
 // src/components/MetricsPanel.jsx - Real-time Metrics Display
 import { useState, useEffect } from 'react'
+import useRenderCount from '../hooks/useRenderCount'
 import './MetricsPanel.css'
 
 export default function MetricsPanel({
@@ -10,6 +11,7 @@ export default function MetricsPanel({
 }) {
     const [isExpanded, setIsExpanded] = useState(false)
     const [summary, setSummary] = useState(null)
+    useRenderCount('MetricsPanel')
 
     useEffect(() => {
         if (metrics?.getMetricsSummary) {
@@ -47,6 +49,8 @@ export default function MetricsPanel({
         return 'poor'
     }
 
+    const formatLatency = (ms) => (ms !== null ? `${ms.toFixed(1)}ms` : 'N/A')
+
     if (!isExpanded) {
         return (
             <div className="metrics-panel-minimized" onClick={() => setIsExpanded(true)}>
@@ -143,6 +147,37 @@ export default function MetricsPanel({
                     </div>
                 </div>
 
+                {/* Pipeline Latency */}
+                <div className="metrics-section">
+                    <div className="section-header">
+                        <span className="section-icon">⏱️</span>
+                        <h4>Latency</h4>
+                    </div>
+                    <div className="metrics-grid">
+                        <div className="metric-item">
+                            <div className="metric-label">Capture→Receive</div>
+                            <div className="metric-value" title={summary.clockSynced ? undefined : 'Clock not synced with the server'}>
+                                {formatLatency(summary.averageCaptureToReceive)}
+                            </div>
+                        </div>
+                        <div className="metric-item">
+                            <div className="metric-label">Receive→Raycast</div>
+                            <div className="metric-value">{formatLatency(summary.averageReceiveToRaycast)}</div>
+                        </div>
+                        <div className="metric-item">
+                            <div className="metric-label">Raycast→Render</div>
+                            <div className="metric-value">{formatLatency(summary.averageRaycastToRender)}</div>
+                        </div>
+                        <div className="metric-item">
+                            <div className="metric-label">End to End (p95)</div>
+                            <div className="metric-value">
+                                {formatLatency(summary.averageEndToEnd)}
+                                {summary.p95EndToEnd !== null && ` (${summary.p95EndToEnd.toFixed(0)})`}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
                 {/* System Performance */}
                 <div className="metrics-section">
                     <div className="section-header">
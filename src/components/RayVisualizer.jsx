@@ -11,7 +11,8 @@ import {
 } from '../utils/raycastUtils'
 
 export default function RayVisualizer({
-    fingerPosition,
+    pointer: latestPointer,
+    getPointer = null, // Per-render-frame screen point (0-1) the ray aims at (falls back to pointer)
     visible = true,
     color = 0x00ffff,
     length = 15
@@ -156,7 +157,9 @@ export default function RayVisualizer({
 
     // Enhanced animation loop
     useFrame((state, delta) => {
-        if (!rayLineRef.current || !camera || !fingerPosition) {
+        const pointer = getPointer ? getPointer() : latestPointer
+
+        if (!rayLineRef.current || !camera || !pointer) {
             // Fade out when not active
             if (animationState.current.rayOpacity > 0) {
                 animationState.current.rayOpacity -= delta * 3
@@ -184,8 +187,8 @@ export default function RayVisualizer({
 
             // Convert screen coordinates to world ray
             const mouse = new THREE.Vector2(
-                -(fingerPosition.x * 2 - 1),
-                -fingerPosition.y * 2 + 1
+                pointer.x * 2 - 1,
+                -pointer.y * 2 + 1
             )
 
             const raycaster = new THREE.Raycaster()
@@ -193,8 +196,7 @@ export default function RayVisualizer({
 
             // Find intersection with scene objects
             const sceneObjects = getSceneObjects()
-            const correctedX = 1 - fingerPosition.x
-            const intersection = findSceneIntersection(camera, correctedX, fingerPosition.y, sceneObjects)
+            const intersection = findSceneIntersection(camera, pointer.x, pointer.y, sceneObjects)
 
             const rayOpacity = animationState.current.rayOpacity
 
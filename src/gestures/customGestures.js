@@ -0,0 +1,313 @@
+// src/gestures/customGestures.js
+// User-trained gestures, recorded in the Gesture Studio from live landmarks:
+//   pose    a static hand shape; its examples are normalized landmarks (wrist at the origin,
+//           scaled to the hand's size, turned upright, left hands mirrored onto right ones)
+//           plus the angle the hand was turned by, and live hands match the nearest example
+//           in shape and orientation (a thumbs down is no thumbs up)
+//   motion  a short movement of the palm centre; its examples are trajectories in hand sizes,
+//           resampled to MOTION_POINTS, and live movement is compared by dynamic time warping
+// Both turn the distance to the nearest example into a confidence (1 = identical) that has
+// to reach the gesture's threshold. Poses run inside the GestureEngine like the built-in
+// gestures; motions are matched by MotionMatcher, which reports the same gesture events.
+// A custom gesture record, as stored in IndexedDB:
+//   { id, name, kind: 'pose' | 'motion', threshold, examples, createdAt }
+// with pose examples { handedness, points, angle } and motion examples { handedness, duration, points }
+// What they do is set by the bindings (see src/utils/bindings.js), like any gesture.
+
+const WRIST = 0
+const MIDDLE_MCP = 9
+const PALM_POINTS = [0, 5, 9, 13, 17] // Wrist and the finger knuckles
+
+export const GESTURE_KINDS = ['pose', 'motion']
+export const DEFAULT_CUSTOM_THRESHOLD = 0.7
+export const MOTION_POINTS = 16      // Points per motion trajectory
+export const MOTION_DURATION = 1500  // ms of movement recorded for a motion example
+
+const POSE_RANGE = 0.4     // Mean landmark distance (hand sizes) at which a pose match reaches confidence 0
+const POSE_TURN_WEIGHT = 0.25 // Hand sizes of pose distance per radian the hand is turned differently
+const MOTION_RANGE = 1     // Mean DTW step distance (hand sizes) at which a motion match reaches confidence 0
+const MOTION_SCALES = [0.8, 1, 1.25] // Live windows tried per example, relative to its duration
+const MOTION_HISTORY = 3000 // ms of palm movement kept per hand
+const MOTION_COOLDOWN = 800 // ms after a motion match during which the hand cannot match again
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value))
+
+const handSizeOf = (landmarks) => Math.hypot(
+    landmarks[MIDDLE_MCP].x - landmarks[WRIST].x,
+    landmarks[MIDDLE_MCP].y - landmarks[WRIST].y
+)
+
+/**
+ * Palm centre and hand size of one frame, the raw material of motion trajectories
+ * @param {Array} landmarks - 21 { x, y, z } image landmarks
+ * @param {number} time - Frame time in ms
+ * @returns {Object|null} - { time, x, y, handSize } in image units
+ */
+export function toMotionSample(landmarks, time) {
+    if (!landmarks || landmarks.length < 21) return null
+
+    const handSize = handSizeOf(landmarks)
+    if (!(handSize > 0)) return null
+
+    const sample = { time, x: 0, y: 0, handSize }
+    PALM_POINTS.forEach(index => {
+        sample.x += landmarks[index].x / PALM_POINTS.length
+        sample.y += landmarks[index].y / PALM_POINTS.length
+    })
+    return sample
+}
+
+/**
+ * Normalize a hand's landmarks for pose matching
+ * @param {Array} landmarks - 21 { x, y, z } image landmarks
+ * @param {string} handedness - 'Left' | 'Right' (left hands are mirrored)
+ * @returns {Object|null} - { points, angle } where points are 21 [x, y, z] in hand sizes, wrist at
+ *   the origin, middle knuckle straight up, and angle is how far the hand was turned from upright
+ *   (radians, clockwise in the image)
+ */
+export function normalizePose(landmarks, handedness = 'Right') {
+    if (!landmarks || landmarks.length < 21) return null
+
+    const handSize = handSizeOf(landmarks)
+    if (!(handSize > 0)) return null
+
+    const wrist = landmarks[WRIST]
+    const mirror = handedness === 'Left' ? -1 : 1
+
+    // Rotate so the wrist → middle knuckle axis points up (-y)
+    const axisX = (landmarks[MIDDLE_MCP].x - wrist.x) * mirror
+    const axisY = landmarks[MIDDLE_MCP].y - wrist.y
+    const angle = Math.atan2(axisX, -axisY)
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+
+    const points = landmarks.map(({ x, y, z }) => {
+        const dx = (x - wrist.x) * mirror / handSize
+        const dy = (y - wrist.y) / handSize
+        return [dx * cos + dy * sin, dy * cos - dx * sin, ((z ?? 0) - (wrist.z ?? 0)) / handSize]
+    })
+    return { points, angle }
+}
+
+/**
+ * Distance between two normalized poses: the mean distance between corresponding landmarks
+ * (image plane only, as MediaPipe's depth is much noisier) plus the difference in how they
+ * were turned. Examples recorded without an angle match any orientation.
+ * @param {Object} a - { points, angle } from normalizePose, or a stored example
+ * @param {Object} b - { points, angle } from normalizePose
+ * @returns {number} - Hand sizes
+ */
+export function poseDistance(a, b) {
+    let total = 0
+    for (let index = 0; index < a.points.length; index++) {
+        total += Math.hypot(a.points[index][0] - b.points[index][0], a.points[index][1] - b.points[index][1])
+    }
+
+    let turn = 0
+    if (Number.isFinite(a.angle) && Number.isFinite(b.angle)) {
+        turn = Math.abs(a.angle - b.angle) % (2 * Math.PI)
+        if (turn > Math.PI) turn = 2 * Math.PI - turn
+    }
+    return total / a.points.length + turn * POSE_TURN_WEIGHT
+}
+
+/**
+ * Confidence (0-1) that a hand shows a custom pose: that of its nearest example
+ * @param {Object} gesture - Custom pose ({ examples: [{ points, angle }] })
+ * @param {Object} pose - From normalizePose
+ * @returns {number}
+ */
+export function matchPose(gesture, pose) {
+    if (!pose || !gesture.examples?.length) return 0
+
+    const nearest = Math.min(...gesture.examples.map(example => poseDistance(example, pose)))
+    return clamp01(1 - nearest / POSE_RANGE)
+}
+
+/**
+ * GestureEngine definition of a custom pose (matched by its examples instead of rules)
+ * @param {Object} gesture - Custom pose record (motions get one too, for their label and kind)
+ * @returns {Object} - { id, label, icon, kind, examples, threshold, release }
+ */
+export function toPoseDefinition(gesture) {
+    const threshold = gesture.threshold ?? DEFAULT_CUSTOM_THRESHOLD
+    return {
+        id: gesture.id,
+        label: gesture.name,
+        icon: '⭐',
+        kind: gesture.kind,
+        examples: gesture.examples,
+        threshold,
+        release: Math.max(0, threshold - 0.15)
+    }
+}
+
+/**
+ * Turn timed palm samples into a motion trajectory
+ * @param {Array} samples - [{ time, x, y, handSize }] in time order (image units)
+ * @param {number} points - Number of evenly timed points to resample to
+ * @returns {Array|null} - [[x, y]] relative to the first sample, in (mean) hand sizes
+ */
+export function toTrajectory(samples, points = MOTION_POINTS) {
+    if (!samples || samples.length < 2) return null
+
+    const start = samples[0]
+    const duration = samples[samples.length - 1].time - start.time
+    const handSize = samples.reduce((sum, sample) => sum + sample.handSize, 0) / samples.length
+    if (!(duration > 0) || !(handSize > 0)) return null
+
+    const trajectory = []
+    let index = 0
+    for (let step = 0; step < points; step++) {
+        const time = start.time + duration * step / (points - 1)
+        while (index < samples.length - 2 && samples[index + 1].time < time) index++
+
+        const from = samples[index]
+        const to = samples[index + 1]
+        const t = to.time > from.time ? clamp01((time - from.time) / (to.time - from.time)) : 0
+        trajectory.push([
+            (from.x + (to.x - from.x) * t - start.x) / handSize,
+            (from.y + (to.y - from.y) * t - start.y) / handSize
+        ])
+    }
+
+    return trajectory
+}
+
+// Path length of a trajectory (hand sizes)
+function pathLength(trajectory) {
+    let length = 0
+    for (let index = 1; index < trajectory.length; index++) {
+        length += Math.hypot(trajectory[index][0] - trajectory[index - 1][0], trajectory[index][1] - trajectory[index - 1][1])
+    }
+    return length
+}
+
+/**
+ * Dynamic time warping distance between two trajectories, per step of the warping path
+ * @param {Array} a - [[x, y]]
+ * @param {Array} b - [[x, y]]
+ * @returns {number} - Mean distance (hand sizes)
+ */
+export function dtwDistance(a, b) {
+    const rows = a.length
+    const columns = b.length
+    let previous = new Array(columns + 1).fill(Infinity)
+    let previousSteps = new Array(columns + 1).fill(0)
+    previous[0] = 0
+
+    for (let i = 1; i <= rows; i++) {
+        const current = new Array(columns + 1).fill(Infinity)
+        const currentSteps = new Array(columns + 1).fill(0)
+
+        for (let j = 1; j <= columns; j++) {
+            const cost = Math.hypot(a[i - 1][0] - b[j - 1][0], a[i - 1][1] - b[j - 1][1])
+            // Both advance, only a advances, or only b advances
+            let best = previous[j - 1]
+            let steps = previousSteps[j - 1]
+            if (previous[j] < best) {
+                best = previous[j]
+                steps = previousSteps[j]
+            }
+            if (current[j - 1] < best) {
+                best = current[j - 1]
+                steps = currentSteps[j - 1]
+            }
+            current[j] = best + cost
+            currentSteps[j] = steps + 1
+        }
+
+        previous = current
+        previousSteps = currentSteps
+    }
+
+    return previous[columns] / previousSteps[columns]
+}
+
+/**
+ * Matches recent palm movement of every hand key against custom motion gestures and reports
+ * a gesture_start immediately followed by a gesture_end per match, in the GestureEngine's
+ * event format ({ type, gesture, hand, handedness, confidence, duration, lost }).
+ */
+export class MotionMatcher {
+    /**
+     * @param {Array} gestures - Custom gesture records (only motions with examples are used)
+     */
+    constructor(gestures = []) {
+        this.setGestures(gestures)
+        this.hands = {} // hand key → { label, samples: [{ time, x, y, handSize }], cooldownUntil }
+    }
+
+    setGestures(gestures) {
+        this.gestures = gestures.filter(gesture => gesture.kind === 'motion' && gesture.examples?.length > 0)
+    }
+
+    /**
+     * Match one frame
+     * @param {Array} hands - [{ key, label, landmarks }]
+     * @param {number} time - Frame time in ms
+     * @returns {Array} - Gesture events
+     */
+    update(hands, time) {
+        const events = []
+        const nextHands = {}
+
+        for (const hand of hands || []) {
+            const sample = toMotionSample(hand.landmarks, time)
+            if (!sample) continue
+
+            const tracked = this.hands[hand.key] ?? { samples: [], cooldownUntil: 0 }
+            tracked.label = hand.label
+            nextHands[hand.key] = tracked
+
+            tracked.samples.push(sample)
+            tracked.samples = tracked.samples.filter(sample => time - sample.time <= MOTION_HISTORY && sample.time <= time)
+
+            if (this.gestures.length > 0 && time >= tracked.cooldownUntil) {
+                this.matchHand(hand.key, tracked, time, events)
+            }
+        }
+
+        this.hands = nextHands
+        return events
+    }
+
+    matchHand(key, tracked, time, events) {
+        let best = null
+
+        this.gestures.forEach(gesture => {
+            let confidence = 0
+
+            gesture.examples.forEach(example => {
+                MOTION_SCALES.forEach(scale => {
+                    const window = example.duration * scale
+                    const samples = tracked.samples.filter(sample => time - sample.time <= window)
+                    if (samples.length < 2 || time - samples[0].time < window * 0.8) return
+
+                    const trajectory = toTrajectory(samples, example.points.length)
+                    // Standing still must not match a small motion
+                    if (!trajectory || pathLength(trajectory) < pathLength(example.points) * 0.5) return
+
+                    confidence = Math.max(confidence, clamp01(1 - dtwDistance(example.points, trajectory) / MOTION_RANGE))
+                })
+            })
+
+            if (confidence >= (gesture.threshold ?? DEFAULT_CUSTOM_THRESHOLD) && (!best || confidence > best.confidence)) {
+                best = { gesture, confidence }
+            }
+        })
+
+        if (!best) return
+
+        const duration = Math.round(best.gesture.examples[0].duration)
+        const event = { gesture: best.gesture.id, hand: key, handedness: tracked.label, confidence: best.confidence, duration, lost: false }
+        events.push({ type: 'gesture_start', ...event }, { type: 'gesture_end', ...event })
+        tracked.cooldownUntil = time + MOTION_COOLDOWN
+        tracked.samples = []
+    }
+
+    // Forget every hand
+    reset() {
+        this.hands = {}
+    }
+}
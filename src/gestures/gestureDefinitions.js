@@ -0,0 +1,74 @@
+// src/gestures/gestureDefinitions.js
+// Built-in gestures as declarative rules over the hand features (handFeatures.js).
+// A definition lists conditions; its confidence is that of the weakest condition:
+//   fingers:   { [finger]: 'extended' | 'curled' | 'bent' }   ('bent' = anything but extended)
+//   spread:    { [pair]: 'apart' | 'together' }               (pairs from SPREAD_PAIRS)
+//   direction: { thumb | index | palm: 'up' | 'down' | 'left' | 'right' } (image directions)
+//   palm:      'camera' | 'away'                              (which side faces the camera)
+//   pinch:     finger                                         (thumb tip on that fingertip)
+// `threshold` is the confidence needed to start the gesture and `release` the confidence
+// below which it ends (defaults in DEFAULT_THRESHOLDS).
+
+export const DEFAULT_THRESHOLDS = {
+    threshold: 0.7,
+    release: 0.5
+}
+
+const CURLED = { thumb: 'bent', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' }
+
+export const GESTURES = [
+    {
+        id: 'open_palm',
+        label: 'Open palm',
+        icon: '🖐️',
+        fingers: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'extended' },
+        palm: 'camera'
+    },
+    {
+        id: 'fist',
+        label: 'Fist',
+        icon: '✊',
+        fingers: CURLED
+    },
+    {
+        id: 'point',
+        label: 'Point',
+        icon: '☝️',
+        fingers: { index: 'extended', middle: 'curled', ring: 'curled', pinky: 'curled' }
+    },
+    {
+        id: 'thumbs_up',
+        label: 'Thumbs up',
+        icon: '👍',
+        fingers: { ...CURLED, thumb: 'extended' },
+        direction: { thumb: 'up' }
+    },
+    {
+        id: 'thumbs_down',
+        label: 'Thumbs down',
+        icon: '👎',
+        fingers: { ...CURLED, thumb: 'extended' },
+        direction: { thumb: 'down' }
+    },
+    {
+        id: 'peace',
+        label: 'Peace sign',
+        icon: '✌️',
+        fingers: { index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' },
+        spread: { indexMiddle: 'apart' }
+    },
+    { id: 'pinch_index', label: 'Index pinch', icon: '🤏', pinch: 'index' },
+    { id: 'pinch_middle', label: 'Middle pinch', icon: '🤏', pinch: 'middle' },
+    { id: 'pinch_ring', label: 'Ring pinch', icon: '🤏', pinch: 'ring' },
+    { id: 'pinch_pinky', label: 'Pinky pinch', icon: '🤏', pinch: 'pinky' }
+]
+
+/**
+ * Look up a gesture definition
+ * @param {string} id - Gesture id
+ * @param {Array} definitions - Definitions to search (default GESTURES)
+ * @returns {Object|null}
+ */
+export function getGesture(id, definitions = GESTURES) {
+    return definitions.find(definition => definition.id === id) ?? null
+}
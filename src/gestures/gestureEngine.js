@@ -0,0 +1,196 @@
+// src/gestures/gestureEngine.js
+// Evaluates the declarative gesture rules (gestureDefinitions.js) on every tracked hand and
+// turns their confidences into gesture_start / gesture_hold / gesture_end events. Each hand
+// holds at most one gesture: the most confident one that clears its threshold for START_DELAY.
+// It lasts until its confidence drops below its release level (hysteresis) or the hand is lost.
+// Custom poses trained in the Gesture Studio are definitions with examples instead of rules.
+// Pure, so it runs in the hand pipeline worker next to the pinch classifier.
+
+import { computeHandFeatures } from './handFeatures'
+import { GESTURES, DEFAULT_THRESHOLDS } from './gestureDefinitions'
+import { matchPose, normalizePose } from './customGestures'
+
+const START_DELAY = 100    // ms a gesture must stay confident before it starts (ignores passing shapes)
+const HOLD_INTERVAL = 250  // ms between gesture_hold events
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value))
+
+// 0 at `from`, 1 at `to` (either order)
+const ramp = (value, from, to) => clamp01((value - from) / (to - from))
+
+// Degree to which a feature satisfies one condition
+const FINGER_STATES = {
+    extended: curl => ramp(curl, 0.45, 0.2),
+    curled: curl => ramp(curl, 0.45, 0.7),
+    bent: curl => ramp(curl, 0.2, 0.45)
+}
+
+const SPREAD_STATES = {
+    apart: angle => ramp(angle, 6, 12),
+    together: angle => ramp(angle, 12, 6)
+}
+
+const DIRECTIONS = {
+    up: ({ y }) => ramp(-y, 0.5, 0.8),
+    down: ({ y }) => ramp(y, 0.5, 0.8),
+    left: ({ x }) => ramp(-x, 0.5, 0.8),
+    right: ({ x }) => ramp(x, 0.5, 0.8)
+}
+
+const PINCH_CLOSED = 0.2 // Thumb tip to fingertip, in palm lengths, of a firm pinch
+const PINCH_OPEN = 0.4   // … and of fingers that merely sit near each other
+
+/**
+ * Confidence (0-1) that hand features match a gesture definition
+ * @param {Object} definition - Gesture definition
+ * @param {Object} features - From computeHandFeatures
+ * @returns {number}
+ */
+export function evaluateGesture(definition, features) {
+    const scores = []
+
+    Object.entries(definition.fingers || {}).forEach(([finger, state]) => {
+        scores.push(FINGER_STATES[state]?.(features.curl[finger]) ?? 0)
+    })
+    Object.entries(definition.spread || {}).forEach(([pair, state]) => {
+        scores.push(SPREAD_STATES[state]?.(features.spread[pair]) ?? 0)
+    })
+    Object.entries(definition.direction || {}).forEach(([part, direction]) => {
+        const vector = features[`${part}Direction`]
+        scores.push(vector ? DIRECTIONS[direction]?.(vector) ?? 0 : 0)
+    })
+    if (definition.palm) {
+        scores.push((definition.palm === 'camera' ? 1 : -1) === features.palmFacing ? 1 : 0)
+    }
+    if (definition.pinch) {
+        // The pinched finger has to be the one nearest the thumb
+        const closeness = ramp(features.pinch[definition.pinch], PINCH_OPEN, PINCH_CLOSED)
+        scores.push(features.nearestFinger === definition.pinch ? closeness : 0)
+    }
+
+    return scores.length > 0 ? Math.min(...scores) : 0
+}
+
+/**
+ * Tracks the gesture of every hand key across frames and reports events:
+ *   { type: 'gesture_start' | 'gesture_hold' | 'gesture_end', gesture, hand, handedness,
+ *     confidence, duration, lost }
+ * where duration is ms since the gesture started and lost marks a hand that left the frame.
+ */
+export default class GestureEngine {
+    /**
+     * @param {Array} definitions - Gesture definitions (default GESTURES)
+     */
+    constructor(definitions = GESTURES) {
+        this.definitions = definitions
+        this.hands = {} // hand key → { label, active: { gesture, since, lastHoldAt }, pending: { gesture, since } }
+    }
+
+    setDefinitions(definitions) {
+        this.definitions = definitions
+    }
+
+    /**
+     * Recognise gestures in one frame
+     * @param {Array} hands - [{ key, label, landmarks, worldLandmarks }]
+     * @param {number} time - Frame time in ms
+     * @returns {Object} - { states, events } where states maps hand key →
+     *   { gesture, confidence, label, candidate } (gesture null while none is active;
+     *   candidate is the best match { gesture, confidence } even when below threshold)
+     */
+    update(hands, time) {
+        const events = []
+        const states = {}
+        const nextHands = {}
+
+        for (const hand of hands || []) {
+            const tracked = this.hands[hand.key] ?? { active: null, pending: null }
+            tracked.label = hand.label
+            states[hand.key] = this.classifyHand(hand, tracked, time, events)
+            nextHands[hand.key] = tracked
+        }
+
+        // A hand that leaves the frame ends its gesture
+        Object.entries(this.hands).forEach(([key, tracked]) => {
+            if (!nextHands[key] && tracked.active) {
+                events.push(this.createEvent('gesture_end', key, tracked, 0, time, true))
+            }
+        })
+
+        this.hands = nextHands
+        return { states, events }
+    }
+
+    classifyHand(hand, tracked, time, events) {
+        const features = computeHandFeatures(hand)
+        const scores = {}
+        let candidate = null
+
+        if (features) {
+            let pose
+            this.definitions.forEach(definition => {
+                if (definition.examples && pose === undefined) {
+                    pose = normalizePose(hand.landmarks, hand.label)
+                }
+
+                const confidence = definition.examples
+                    ? matchPose(definition, pose)
+                    : evaluateGesture(definition, features)
+                scores[definition.id] = confidence
+                if (!candidate || confidence > candidate.confidence) {
+                    candidate = { gesture: definition.id, confidence }
+                }
+            })
+        }
+
+        const thresholdsOf = (id) => ({ ...DEFAULT_THRESHOLDS, ...this.definitions.find(definition => definition.id === id) })
+
+        // An active gesture lasts until its confidence falls below its release level
+        if (tracked.active) {
+            const confidence = scores[tracked.active.gesture] ?? 0
+            if (confidence >= thresholdsOf(tracked.active.gesture).release) {
+                if (time - tracked.active.lastHoldAt >= HOLD_INTERVAL) {
+                    tracked.active.lastHoldAt = time
+                    events.push(this.createEvent('gesture_hold', hand.key, tracked, confidence, time))
+                }
+                return { gesture: tracked.active.gesture, confidence, label: hand.label, candidate }
+            }
+
+            events.push(this.createEvent('gesture_end', hand.key, tracked, confidence, time))
+            tracked.active = null
+        }
+
+        // A new gesture starts once the best match has cleared its threshold for START_DELAY
+        if (!candidate || candidate.confidence < thresholdsOf(candidate.gesture).threshold) {
+            tracked.pending = null
+        } else if (tracked.pending?.gesture !== candidate.gesture) {
+            tracked.pending = { gesture: candidate.gesture, since: time }
+        }
+
+        if (tracked.pending && time - tracked.pending.since >= START_DELAY) {
+            tracked.active = { gesture: tracked.pending.gesture, since: time, lastHoldAt: time }
+            tracked.pending = null
+            events.push(this.createEvent('gesture_start', hand.key, tracked, candidate.confidence, time))
+            return { gesture: tracked.active.gesture, confidence: candidate.confidence, label: hand.label, candidate }
+        }
+
+        return { gesture: null, confidence: 0, label: hand.label, candidate }
+    }
+
+    createEvent(type, key, tracked, confidence, time, lost = false) {
+        return {
+            type,
+            gesture: tracked.active.gesture,
+            hand: key,
+            handedness: tracked.label,
+            confidence,
+            duration: time - tracked.active.since,
+            lost
+        }
+    }
+
+    // Forget every hand without reporting events (the caller ends open gestures itself)
+    reset() {
+        this.hands = {}
+    }
+}
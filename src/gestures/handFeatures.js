@@ -0,0 +1,141 @@
+// src/gestures/handFeatures.js
+// Shape features of one hand, computed from its 21 landmarks: how curled each finger is,
+// how far apart neighbouring fingers are, which way the palm faces, where the thumb and
+// index point, and how close the thumb tip is to each fingertip. Gesture rules
+// (gestureDefinitions.js) are written against these features, not raw landmarks.
+// Pure, so it runs in the hand pipeline worker.
+
+const DEG = 180 / Math.PI
+
+export const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky']
+
+// Landmark indices of each finger, base (MCP, or CMC for the thumb) to tip
+const FINGER_JOINTS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+}
+
+// Neighbouring finger pairs whose spread is measured
+export const SPREAD_PAIRS = {
+    thumbIndex: ['thumb', 'index'],
+    indexMiddle: ['index', 'middle'],
+    middleRing: ['middle', 'ring'],
+    ringPinky: ['ring', 'pinky']
+}
+
+const WRIST = 0
+const THUMB_TIP = 4
+const INDEX_MCP = 5
+const MIDDLE_MCP = 9
+const PINKY_MCP = 17
+
+const FINGER_FULL_BEND = 220 // Degrees of MCP + PIP + DIP flexion in a tight fist
+const THUMB_FULL_BEND = 90   // Degrees of MCP + IP flexion of a folded thumb
+const THUMB_TUCKED = 0.45    // Thumb tip to pinky MCP, in palm lengths, when the thumb lies across the palm
+const THUMB_OUT = 1.0        // The same distance with the thumb stretched out
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z })
+const length = (v) => Math.hypot(v.x, v.y, v.z)
+const clamp01 = (value) => Math.max(0, Math.min(1, value))
+
+function angleBetween(a, b) {
+    const lengths = length(a) * length(b)
+    if (lengths === 0) return 0
+    const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / lengths
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * DEG
+}
+
+// Sum of the bend angles along a chain of points
+function chainBend(points) {
+    let bend = 0
+    for (let i = 1; i < points.length - 1; i++) {
+        bend += angleBetween(subtract(points[i], points[i - 1]), subtract(points[i + 1], points[i]))
+    }
+    return bend
+}
+
+// Unit direction of a vector in the image plane (y down), or null for a zero vector
+function direction2D(v) {
+    const size = Math.hypot(v.x, v.y)
+    return size > 0 ? { x: v.x / size, y: v.y / size } : null
+}
+
+/**
+ * @typedef {Object} HandFeatures
+ * @property {Object} curl - Finger name → 0 (straight) … 1 (fully curled)
+ * @property {Object} spread - SPREAD_PAIRS key → angle between the two fingers in degrees
+ * @property {Object} pinch - Finger name (not thumb) → thumb tip distance in palm lengths
+ * @property {string|null} nearestFinger - Finger whose tip is closest to the thumb tip
+ * @property {number} palmFacing - 1 = palm towards the camera, -1 = back of the hand towards it
+ * @property {Object|null} palmDirection - Image direction wrist → middle knuckle { x, y }
+ * @property {Object|null} thumbDirection - Image direction of the thumb (MCP → tip)
+ * @property {Object|null} indexDirection - Image direction of the index finger (MCP → tip)
+ * @property {number} palmSize - Wrist → middle knuckle distance in the measured space
+ */
+
+/**
+ * Compute the shape features of a hand
+ * @param {Object} hand - { landmarks, worldLandmarks, label }; 3D shape is taken from the world
+ *   landmarks when present (true angles), directions always from the image landmarks
+ * @returns {HandFeatures|null} - null without a full set of landmarks
+ */
+export function computeHandFeatures({ landmarks, worldLandmarks = null, label = null }) {
+    if (!landmarks || landmarks.length < 21) return null
+    const points = worldLandmarks?.length === 21 ? worldLandmarks : landmarks
+
+    const palmSize = length(subtract(points[MIDDLE_MCP], points[WRIST]))
+    if (palmSize === 0) return null
+
+    const curl = {}
+    FINGER_NAMES.forEach(name => {
+        const joints = FINGER_JOINTS[name]
+        if (name === 'thumb') {
+            // The thumb folds little at its joints; it mostly swings across the palm
+            const bend = chainBend(joints.map(index => points[index])) / THUMB_FULL_BEND
+            const reach = length(subtract(points[THUMB_TIP], points[PINKY_MCP])) / palmSize
+            const tuck = (THUMB_OUT - reach) / (THUMB_OUT - THUMB_TUCKED)
+            curl.thumb = clamp01(Math.max(bend, tuck))
+            return
+        }
+        // Include the knuckle bend: wrist → MCP → PIP → DIP → tip
+        const chain = [points[WRIST], ...joints.map(index => points[index])]
+        curl[name] = clamp01(chainBend(chain) / FINGER_FULL_BEND)
+    })
+
+    const fingerVector = (name) => {
+        const joints = FINGER_JOINTS[name]
+        return subtract(points[joints[3]], points[joints[name === 'thumb' ? 1 : 0]])
+    }
+    const spread = {}
+    Object.entries(SPREAD_PAIRS).forEach(([pair, [a, b]]) => {
+        spread[pair] = angleBetween(fingerVector(a), fingerVector(b))
+    })
+
+    const pinch = {}
+    let nearestFinger = null
+    FINGER_NAMES.slice(1).forEach(name => {
+        pinch[name] = length(subtract(points[FINGER_JOINTS[name][3]], points[THUMB_TIP])) / palmSize
+        if (nearestFinger === null || pinch[name] < pinch[nearestFinger]) nearestFinger = name
+    })
+
+    // Palm normal from the image landmarks; its sign flips between left and right hands
+    const across = subtract(landmarks[INDEX_MCP], landmarks[WRIST])
+    const along = subtract(landmarks[PINKY_MCP], landmarks[WRIST])
+    const normalZ = across.x * along.y - across.y * along.x
+    const palmFacing = Math.sign(label === 'Left' ? -normalZ : normalZ) || 1
+
+    return {
+        curl,
+        spread,
+        pinch,
+        nearestFinger,
+        palmFacing,
+        palmDirection: direction2D(subtract(landmarks[MIDDLE_MCP], landmarks[WRIST])),
+        thumbDirection: direction2D(subtract(landmarks[THUMB_TIP], landmarks[2])),
+        indexDirection: direction2D(subtract(landmarks[8], landmarks[INDEX_MCP])),
+        palmSize
+    }
+}
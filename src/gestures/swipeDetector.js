@@ -0,0 +1,135 @@
+// src/gestures/swipeDetector.js
+// Velocity-based swipes (left, right, up, down) of the whole hand. The wrist and the palm
+// centre are tracked over a short window; a swipe is a fast, straight movement on which both
+// agree (a turning wrist moves one without the other). Speeds are in hand sizes per second,
+// so a swipe reads the same from the back of the room as up close. Directions are as the user
+// sees them: the camera image is not mirrored, so moving to the user's right lowers image x.
+// Pinching hands are skipped, so dragging a pinch never swipes. Pure, like the gesture engine.
+
+const WRIST = 0
+const MIDDLE_MCP = 9
+const PALM_POINTS = [0, 5, 9, 13, 17] // Wrist and the finger knuckles
+
+const WINDOW = 150          // ms of movement a swipe is measured over
+const MIN_DURATION = 40     // ms of history needed before measuring
+const MIN_SPEED = 6         // Hand sizes per second to count as a swipe
+const FULL_SPEED = 12       // … and to count fully
+const MIN_DISTANCE = 1      // Hand sizes travelled within the window
+const MIN_CONFIDENCE = 0.6  // Confidence needed to report a swipe
+const COOLDOWN = 500        // ms after a swipe during which the hand cannot swipe again (the return stroke)
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value))
+
+// 0 at `from`, 1 at `to`
+const ramp = (value, from, to) => clamp01((value - from) / (to - from))
+
+function palmCentre(landmarks) {
+    const centre = { x: 0, y: 0 }
+    PALM_POINTS.forEach(index => {
+        centre.x += landmarks[index].x / PALM_POINTS.length
+        centre.y += landmarks[index].y / PALM_POINTS.length
+    })
+    return centre
+}
+
+// Dominant direction of a movement in image coordinates, as the user sees it
+function directionOf({ x, y }) {
+    if (Math.abs(x) >= Math.abs(y)) return x < 0 ? 'right' : 'left'
+    return y < 0 ? 'up' : 'down'
+}
+
+/**
+ * Tracks the movement of every hand key and reports swipes:
+ *   { type: 'swipe', hand, handedness, direction, speed, confidence, distance, duration }
+ * with speed in hand sizes per second, distance in hand sizes and duration the ms measured
+ * (the same hand / handedness fields as the pinch events).
+ */
+export default class SwipeDetector {
+    constructor() {
+        this.hands = {} // hand key → { samples: [{ time, wrist, palm }], cooldownUntil }
+    }
+
+    /**
+     * Look for swipes in one frame
+     * @param {Array} hands - [{ key, label, landmarks }]
+     * @param {number} time - Frame time in ms
+     * @param {Object} pinchStates - Hand key → { isPinching } from the pinch classifier
+     * @returns {Object} - { states, events } where states maps hand key →
+     *   { speed, direction, label } of the movement over the window
+     */
+    update(hands, time, pinchStates = {}) {
+        const events = []
+        const states = {}
+        const nextHands = {}
+
+        for (const hand of hands || []) {
+            if (!hand.landmarks || hand.landmarks.length < 21) continue
+
+            const tracked = this.hands[hand.key] ?? { samples: [], cooldownUntil: 0 }
+            nextHands[hand.key] = tracked
+
+            if (pinchStates[hand.key]?.isPinching) {
+                tracked.samples = []
+                states[hand.key] = { speed: 0, direction: null, label: hand.label }
+                continue
+            }
+
+            states[hand.key] = this.trackHand(hand, tracked, time, events)
+        }
+
+        this.hands = nextHands
+        return { states, events }
+    }
+
+    trackHand({ key, label, landmarks }, tracked, time, events) {
+        const handSize = Math.hypot(
+            landmarks[WRIST].x - landmarks[MIDDLE_MCP].x,
+            landmarks[WRIST].y - landmarks[MIDDLE_MCP].y
+        )
+        if (!(handSize > 0)) return { speed: 0, direction: null, label }
+
+        // Keep the window's samples in hand sizes of the current frame
+        tracked.samples.push({ time, wrist: landmarks[WRIST], palm: palmCentre(landmarks) })
+        tracked.samples = tracked.samples.filter(sample => time - sample.time <= WINDOW && sample.time <= time)
+
+        const first = tracked.samples[0]
+        const duration = time - first.time
+        if (duration < MIN_DURATION) return { speed: 0, direction: null, label }
+
+        const seconds = duration / 1000
+        const movement = (from, to) => ({ x: (to.x - from.x) / handSize, y: (to.y - from.y) / handSize })
+        const latest = tracked.samples[tracked.samples.length - 1]
+        const wrist = movement(first.wrist, latest.wrist)
+        const palm = movement(first.palm, latest.palm)
+
+        const distance = Math.hypot(palm.x, palm.y)
+        const speed = distance / seconds
+        const direction = directionOf(palm)
+        const state = { speed, direction, label }
+
+        if (time < tracked.cooldownUntil || speed < MIN_SPEED || distance < MIN_DISTANCE) return state
+
+        // Confidence: fast, along one axis, and with wrist and palm moving together
+        const wristDistance = Math.hypot(wrist.x, wrist.y)
+        const straightness = Math.max(Math.abs(palm.x), Math.abs(palm.y)) / distance
+        const agreement = wristDistance > 0 ? (wrist.x * palm.x + wrist.y * palm.y) / (wristDistance * distance) : 0
+        const confidence = Math.min(
+            0.5 + 0.5 * ramp(speed, MIN_SPEED, FULL_SPEED),
+            ramp(straightness, 0.7, 0.9),
+            ramp(agreement, 0.7, 0.95)
+        )
+
+        if (confidence >= MIN_CONFIDENCE) {
+            events.push({ type: 'swipe', hand: key, handedness: label, direction, speed, confidence, distance, duration })
+            tracked.cooldownUntil = time + COOLDOWN
+            tracked.samples = []
+        }
+
+        return state
+    }
+
+    // Forget every hand
+    reset() {
+        this.hands = {}
+    }
+}
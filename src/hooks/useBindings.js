@@ -0,0 +1,110 @@
+// src/hooks/useBindings.js
+import { useState, useCallback, useMemo } from 'react'
+import useSetting from './useSetting'
+import { downloadText } from '../utils/sessionFile'
+import {
+    DEFAULT_BINDINGS,
+    createBinding,
+    normalizeBindings,
+    parseBindings,
+    serializeBindings
+} from '../utils/bindings'
+
+// Stored bindings, or the defaults when the stored list no longer validates
+function resolveBindings(stored) {
+    try {
+        return normalizeBindings(stored)
+    } catch {
+        return DEFAULT_BINDINGS
+    }
+}
+
+/**
+ * Hook holding the gesture-to-action bindings (see src/utils/bindings.js), persisted as a
+ * setting and exchanged as JSON files. App.jsx runs the actions they name.
+ * Changes apply to the latest stored list, so several made before a render has caught up all stick.
+ * @returns {Object} - { bindings, error, addBinding, updateBinding, removeBinding,
+ *   removeTriggerBindings, setTriggerAction, resetBindings, exportBindings, importBindings }
+ */
+export default function useBindings() {
+    const [stored, setStored] = useSetting('bindings', DEFAULT_BINDINGS)
+    const [error, setError] = useState(null)
+
+    const bindings = useMemo(() => {
+        try {
+            return normalizeBindings(stored)
+        } catch (storedError) {
+            console.warn('Ignoring stored bindings:', storedError.message)
+            return DEFAULT_BINDINGS
+        }
+    }, [stored])
+
+    const addBinding = useCallback((trigger, action) => {
+        setStored(previous => [...resolveBindings(previous), createBinding(trigger, action)])
+    }, [setStored])
+
+    const updateBinding = useCallback((id, changes) => {
+        setStored(previous => resolveBindings(previous).map(binding => binding.id === id
+            ? { ...binding, ...changes, conditions: { ...binding.conditions, ...changes.conditions } }
+            : binding))
+    }, [setStored])
+
+    const removeBinding = useCallback((id) => {
+        setStored(previous => resolveBindings(previous).filter(binding => binding.id !== id))
+    }, [setStored])
+
+    // Drop every binding of a trigger (e.g. of a deleted custom gesture)
+    const removeTriggerBindings = useCallback((trigger) => {
+        setStored(previous => resolveBindings(previous).filter(binding => binding.trigger !== trigger))
+    }, [setStored])
+
+    // Bind a trigger to one action (null unbinds it), replacing the trigger's first binding
+    const setTriggerAction = useCallback((trigger, action) => {
+        setStored(previous => {
+            const current = resolveBindings(previous)
+            const existing = current.find(binding => binding.trigger === trigger)
+            if (!action) {
+                return existing ? current.filter(binding => binding !== existing) : previous
+            }
+            return existing
+                ? current.map(binding => binding === existing ? { ...binding, action } : binding)
+                : [...current, createBinding(trigger, action)]
+        })
+    }, [setStored])
+
+    const resetBindings = useCallback(() => {
+        setStored(DEFAULT_BINDINGS)
+        setError(null)
+    }, [setStored])
+
+    const exportBindings = useCallback(() => {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+        downloadText(serializeBindings(bindings), `handcast_bindings_${timestamp}.json`, 'application/json')
+        console.log(`🎛️ Exported ${bindings.length} binding(s)`)
+    }, [bindings])
+
+    const importBindings = useCallback(async (file) => {
+        try {
+            const imported = parseBindings(await file.text())
+            setStored(imported)
+            setError(null)
+            console.log(`🎛️ Imported ${imported.length} binding(s) from ${file.name}`)
+        } catch (importError) {
+            console.warn('Failed to import bindings:', importError)
+            setError(`Could not import ${file.name}: ${importError.message}`)
+        }
+    }, [setStored])
+
+    return {
+        bindings,           // [{ id, trigger, action, holdFor, conditions: { target, hand }, enabled }]
+        error,              // Last import problem, or null
+        addBinding,         // (trigger, action)
+        updateBinding,      // (id, { trigger, action, holdFor, conditions, enabled })
+        removeBinding,
+        removeTriggerBindings, // (trigger) → unbind it entirely
+        setTriggerAction,   // (trigger, action | null) → one binding for the trigger
+        resetBindings,      // Back to the default bindings
+        exportBindings,     // Download as JSON
+        importBindings      // (file) → replace with the bindings of an exported file
+    }
+}
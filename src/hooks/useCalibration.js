@@ -0,0 +1,173 @@
+// src/hooks/useCalibration.js
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
+import useSetting from './useSetting'
+import { selectPointingHand } from '../utils/handFrame'
+import { measurePinch } from '../utils/pinchClassifier'
+import {
+    CALIBRATION_STEPS,
+    DEFAULT_POINTING_TRANSFORM,
+    createProfile,
+    median
+} from '../utils/calibration'
+
+const SETTLE_TIME = 1500   // ms to get into position before a step is measured
+const CAPTURE_TIME = 1000  // ms each step is measured for
+const MIN_SAMPLES = 5      // Frames a step needs; fewer and it is repeated
+
+const handSizeOf = (landmarks) => Math.hypot(landmarks[9].x - landmarks[0].x, landmarks[9].y - landmarks[0].y)
+
+/**
+ * Hook behind the calibration wizard and the calibration profiles. The wizard walks through
+ * CALIBRATION_STEPS (point at targets, pinch, relax, open hand), measuring each from the live
+ * frames after a short settling time, and derives a pointing transform and a pinch range
+ * (see src/utils/calibration.js). Profiles are named and kept as settings; the active one's
+ * pointing transform is used for raycasting and its pinch range is loaded into the pinch thresholds.
+ * @param {HandSource} source - Active source from useHandPython
+ * @param {Object} options - { pointingHand, pinchThresholds } where pointingHand is the
+ *   pointing hand preference and pinchThresholds comes from usePinchDetection
+ * @returns {Object} - { profiles, activeProfile, pointingTransform, wizard, steps, startCalibration,
+ *   cancelCalibration, saveCalibration, activateProfile, removeProfile }
+ */
+export default function useCalibration(source, { pointingHand = 'either', pinchThresholds = null } = {}) {
+    const [profiles, setProfiles] = useSetting('calibrationProfiles', [])
+    const [activeProfileId, setActiveProfileId] = useSetting('calibrationProfile', null)
+    // { stepIndex, phase: 'settle' | 'capture' | 'review', retry, result, error }
+    const [wizard, setWizard] = useState(null)
+    const measurementsRef = useRef(null) // { pointing, gaps, handSizes } collected so far
+
+    const activeProfile = useMemo(
+        () => profiles.find(profile => profile.id === activeProfileId) ?? null,
+        [profiles, activeProfileId]
+    )
+    const pointingTransform = activeProfile?.pointing ?? DEFAULT_POINTING_TRANSFORM
+
+    const setThresholds = pinchThresholds?.setThresholds
+    const activateProfile = useCallback((id) => {
+        const profile = profiles.find(candidate => candidate.id === id) ?? null
+        setActiveProfileId(profile?.id ?? null)
+        setThresholds?.(profile ? profile.pinch : { closed: undefined, open: undefined })
+        console.log(profile ? `🎯 Calibration profile "${profile.name}" active` : '🎯 No calibration profile active')
+    }, [profiles, setActiveProfileId, setThresholds])
+
+    const removeProfile = useCallback((id) => {
+        setProfiles(previous => previous.filter(profile => profile.id !== id))
+        if (id === activeProfileId) activateProfile(null)
+    }, [setProfiles, activeProfileId, activateProfile])
+
+    const startCalibration = useCallback(() => {
+        measurementsRef.current = { pointing: [], gaps: {}, handSizes: [] }
+        setWizard({ stepIndex: 0, phase: 'settle', retry: false, result: null, error: null })
+        console.log('🎯 Calibration started')
+    }, [])
+
+    const cancelCalibration = useCallback(() => {
+        measurementsRef.current = null
+        setWizard(null)
+    }, [])
+
+    // Store the reviewed profile under a name and make it the active one
+    const saveCalibration = useCallback((name) => {
+        const profile = wizard?.result
+        if (!profile) return
+
+        const named = { ...profile, name: name.trim() || profile.name }
+        setProfiles(previous => [...previous, named])
+        setActiveProfileId(named.id)
+        setThresholds?.(named.pinch)
+        setWizard(null)
+        console.log(`🎯 Calibration profile "${named.name}" saved`)
+    }, [wizard, setProfiles, setActiveProfileId, setThresholds])
+
+    // Settle, then measure the current step from the live frames
+    const stepIndex = wizard?.stepIndex ?? null
+    const phase = wizard?.phase ?? null
+    useEffect(() => {
+        if (stepIndex === null || phase === 'review') return
+
+        if (phase === 'settle') {
+            const timer = setTimeout(() => setWizard(previous => previous && { ...previous, phase: 'capture' }), SETTLE_TIME)
+            return () => clearTimeout(timer)
+        }
+
+        const step = CALIBRATION_STEPS[stepIndex]
+        const values = []
+        let lastHands = null
+        let pointingKey = null
+
+        const unsubscribe = source.subscribe(({ hands, filteredHands }) => {
+            // Pointing follows the smoothed landmarks, as the raycast does; pinches the raw ones
+            const frameHands = step.kind === 'point' ? filteredHands : hands
+            if (!frameHands || frameHands === lastHands) return
+            lastHands = frameHands
+
+            const hand = selectPointingHand(frameHands, pointingHand, pointingKey)
+            if (!hand?.landmarks?.[8]) return
+            pointingKey = hand.key
+
+            if (step.kind === 'point') {
+                values.push({ x: hand.landmarks[8].x, y: hand.landmarks[8].y })
+            } else {
+                const measured = measurePinch(hand)
+                if (measured) values.push({ gap: measured.gap, handSize: handSizeOf(hand.landmarks) })
+            }
+        })
+
+        const timer = setTimeout(() => {
+            if (values.length < MIN_SAMPLES) {
+                setWizard(previous => previous && { ...previous, phase: 'settle', retry: true })
+                return
+            }
+
+            const measurements = measurementsRef.current
+            if (step.kind === 'point') {
+                measurements.pointing.push({
+                    x: median(values.map(value => value.x)),
+                    y: median(values.map(value => value.y)),
+                    targetX: step.target.x,
+                    targetY: step.target.y
+                })
+            } else {
+                const gap = median(values.map(value => value.gap))
+                measurements.gaps[{ pinch: 'pinched', relax: 'relaxed', open: 'open' }[step.kind]] = gap
+                measurements.handSizes.push(median(values.map(value => value.handSize)))
+            }
+
+            if (stepIndex + 1 < CALIBRATION_STEPS.length) {
+                setWizard(previous => previous && { ...previous, stepIndex: stepIndex + 1, phase: 'settle', retry: false })
+                return
+            }
+
+            // Last step measured: fit the profile for review
+            try {
+                const result = createProfile(`Profile ${profiles.length + 1}`, {
+                    pointing: measurements.pointing,
+                    gaps: measurements.gaps,
+                    handSize: median(measurements.handSizes)
+                })
+                setWizard(previous => previous && { ...previous, phase: 'review', result, error: null })
+                console.log(`🎯 Calibration measured: pointing error ${(result.pointingError * 100).toFixed(1)}%, pinch ${result.pinch.closed.toFixed(2)}–${result.pinch.open.toFixed(2)} hand sizes`)
+            } catch (fitError) {
+                console.warn('Calibration failed:', fitError.message)
+                setWizard(previous => previous && { ...previous, phase: 'review', result: null, error: fitError.message })
+            }
+        }, CAPTURE_TIME)
+
+        return () => {
+            unsubscribe()
+            clearTimeout(timer)
+        }
+    }, [stepIndex, phase, source, pointingHand, profiles.length])
+
+    return {
+        profiles,           // Saved profiles ({ id, name, pointing, pointingError, pinch, hand })
+        activeProfile,      // Profile in use, or null for the defaults
+        pointingTransform,  // Fingertip → screen transform of the active profile (or the default)
+        wizard,             // Wizard in progress ({ stepIndex, phase, retry, result, error }), or null
+        steps: CALIBRATION_STEPS,
+        startCalibration,   // Open the wizard at its first step
+        cancelCalibration,
+        saveCalibration,    // (name) → keep the reviewed result as a profile and use it
+        activateProfile,    // (id | null) → use a profile, or the defaults
+        removeProfile
+    }
+}
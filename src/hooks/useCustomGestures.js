@@ -0,0 +1,200 @@
+// src/hooks/useCustomGestures.js
+import { useState, useCallback, useRef, useEffect } from 'react'
+import {
+    GESTURE_KINDS,
+    DEFAULT_CUSTOM_THRESHOLD,
+    MOTION_DURATION,
+    normalizePose,
+    toMotionSample,
+    toTrajectory
+} from '../gestures/customGestures'
+import { loadCustomGestures, saveCustomGesture, deleteCustomGesture } from '../utils/gestureStore'
+
+const COUNTDOWN = 2000     // ms to get the hand in place after pressing record
+const POSE_TIMEOUT = 3000  // ms to wait for a hand when recording a pose
+
+/**
+ * Hook behind the Gesture Studio: custom gestures recorded from the live landmarks, kept in
+ * IndexedDB and sent to the hand pipeline worker, where they are matched alongside the
+ * built-in gestures (their events arrive through useGestures). A recording counts down,
+ * then takes one frame of the first hand in view (pose) or MOTION_DURATION of its movement (motion).
+ * What a gesture does is a binding (useBindings), not part of its record.
+ * @param {HandSource} source - Active source from useHandPython
+ * @param {Object} options - { onGestureRemoved } called with the id of each deleted gesture
+ * @returns {Object} - { gestures, kinds, recording, error, createGesture, updateGesture,
+ *   removeGesture, recordExample, removeExample, cancelRecording }
+ */
+export default function useCustomGestures(source, { onGestureRemoved = null } = {}) {
+    const [gestures, setGestures] = useState([])
+    const [recording, setRecording] = useState(null) // { gestureId, kind, phase: 'countdown' | 'capturing' }
+    const [error, setError] = useState(null)
+    const gesturesRef = useRef([])
+    const onGestureRemovedRef = useRef(onGestureRemoved)
+
+    useEffect(() => {
+        onGestureRemovedRef.current = onGestureRemoved
+    }, [onGestureRemoved])
+
+    useEffect(() => {
+        gesturesRef.current = gestures
+    }, [gestures])
+
+    useEffect(() => {
+        let cancelled = false
+
+        loadCustomGestures()
+            .then(stored => {
+                if (cancelled) return
+                setGestures(stored)
+                console.log(`⭐ Loaded ${stored.length} custom gesture(s)`)
+            })
+            .catch(loadError => {
+                console.warn('Failed to load custom gestures:', loadError)
+                if (!cancelled) setError(`Could not load saved gestures: ${loadError.message}`)
+            })
+
+        return () => { cancelled = true }
+    }, [])
+
+    // The worker matches whatever the studio currently holds
+    useEffect(() => {
+        source.configurePipeline?.({ customGestures: gestures })
+    }, [source, gestures])
+
+    // Apply a change locally and store it
+    const persist = useCallback(async (gesture) => {
+        setGestures(previous => previous.some(existing => existing.id === gesture.id)
+            ? previous.map(existing => existing.id === gesture.id ? gesture : existing)
+            : [...previous, gesture])
+
+        try {
+            await saveCustomGesture(gesture)
+            setError(null)
+        } catch (saveError) {
+            console.warn('Failed to save custom gesture:', saveError)
+            setError(`Could not save "${gesture.name}": ${saveError.message}`)
+        }
+    }, [])
+
+    const createGesture = useCallback((name, kind = 'pose') => {
+        const gesture = {
+            id: `custom_${Date.now().toString(36)}`,
+            name: name.trim() || `Gesture ${gesturesRef.current.length + 1}`,
+            kind: GESTURE_KINDS.includes(kind) ? kind : 'pose',
+            threshold: DEFAULT_CUSTOM_THRESHOLD,
+            examples: [],
+            createdAt: Date.now()
+        }
+        persist(gesture)
+        return gesture.id
+    }, [persist])
+
+    const updateGesture = useCallback((id, changes) => {
+        const gesture = gesturesRef.current.find(existing => existing.id === id)
+        if (gesture) persist({ ...gesture, ...changes })
+    }, [persist])
+
+    const removeGesture = useCallback(async (id) => {
+        setGestures(previous => previous.filter(gesture => gesture.id !== id))
+        onGestureRemovedRef.current?.(id)
+        try {
+            await deleteCustomGesture(id)
+        } catch (deleteError) {
+            console.warn('Failed to delete custom gesture:', deleteError)
+            setError(`Could not delete gesture: ${deleteError.message}`)
+        }
+    }, [])
+
+    const removeExample = useCallback((id, index) => {
+        const gesture = gesturesRef.current.find(existing => existing.id === id)
+        if (gesture) persist({ ...gesture, examples: gesture.examples.filter((_, position) => position !== index) })
+    }, [persist])
+
+    const recordExample = useCallback((id) => {
+        const gesture = gesturesRef.current.find(existing => existing.id === id)
+        if (!gesture) return
+        setError(null)
+        setRecording({ gestureId: id, kind: gesture.kind, phase: 'countdown' })
+    }, [])
+
+    const cancelRecording = useCallback(() => setRecording(null), [])
+
+    // Countdown, then capture from the live frames
+    useEffect(() => {
+        if (!recording) return
+
+        if (recording.phase === 'countdown') {
+            const timer = setTimeout(() => setRecording({ ...recording, phase: 'capturing' }), COUNTDOWN)
+            return () => clearTimeout(timer)
+        }
+
+        const samples = []
+        let lastHands = null
+        let finished = false
+
+        const finish = (example, failure = null) => {
+            if (finished) return
+            finished = true
+            setRecording(null)
+
+            if (!example) {
+                setError(failure)
+                return
+            }
+
+            const gesture = gesturesRef.current.find(existing => existing.id === recording.gestureId)
+            if (gesture) {
+                persist({ ...gesture, examples: [...gesture.examples, example] })
+                console.log(`⭐ Recorded ${recording.kind} example ${gesture.examples.length + 1} for "${gesture.name}"`)
+            }
+        }
+
+        const unsubscribe = source.subscribe(({ hands }) => {
+            if (!hands || hands === lastHands || hands.length === 0) return
+            lastHands = hands
+            const hand = hands[0]
+
+            if (recording.kind === 'pose') {
+                const pose = normalizePose(hand.landmarks, hand.label)
+                if (pose) finish({ handedness: hand.label, points: pose.points, angle: pose.angle })
+            } else {
+                const sample = toMotionSample(hand.landmarks, performance.now())
+                if (sample) samples.push(sample)
+            }
+        })
+
+        const timer = setTimeout(() => {
+            if (recording.kind === 'pose') {
+                finish(null, 'No hand in view, nothing recorded')
+                return
+            }
+
+            const points = toTrajectory(samples)
+            const example = points && {
+                handedness: lastHands?.[0]?.label ?? null,
+                duration: samples[samples.length - 1].time - samples[0].time,
+                points
+            }
+            finish(example, 'Hand not seen long enough, nothing recorded')
+        }, recording.kind === 'pose' ? POSE_TIMEOUT : MOTION_DURATION)
+
+        return () => {
+            finished = true
+            unsubscribe()
+            clearTimeout(timer)
+        }
+    }, [recording, source, persist])
+
+    return {
+        gestures,           // Custom gesture records ({ id, name, kind, threshold, examples })
+        kinds: GESTURE_KINDS,
+        recording,          // Recording in progress, or null
+        error,              // Last storage or recording problem, or null
+        createGesture,      // (name, kind) → id of the new, still untrained gesture
+        updateGesture,      // (id, { name, threshold }) → store the changes
+        removeGesture,
+        recordExample,      // Count down, then record one example from the live hand
+        removeExample,      // (id, index)
+        cancelRecording
+    }
+}
@@ -0,0 +1,45 @@
+// src/hooks/useFaultInjection.js
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import useSetting from './useSetting'
+import { FAULT_PARAMETERS, resolveFaultSettings, describeFaults } from '../utils/faultInjector'
+
+const DEFAULT_PARAMS = {}
+
+/**
+ * Hook for fault-injection mode, which degrades the landmark stream on purpose (see
+ * faultInjector.js). The injector runs in the hand pipeline worker; this hook keeps its
+ * parameters in localStorage and sends them over. The on/off switch itself is not stored,
+ * so a reload always starts with a clean stream.
+ * @param {HandSource} source - Active source from useHandPython
+ */
+export default function useFaultInjection(source) {
+    const [enabled, setEnabled] = useState(false)
+    const [storedParams, setStoredParams] = useSetting('faultInjection', DEFAULT_PARAMS)
+
+    const settings = useMemo(() => resolveFaultSettings({ ...storedParams, enabled }), [storedParams, enabled])
+
+    useEffect(() => {
+        source.configurePipeline?.({ faults: settings })
+    }, [source, settings])
+
+    const setParameter = useCallback((key, value) => {
+        setStoredParams(previous => ({ ...previous, [key]: value }))
+    }, [setStoredParams])
+
+    const resetParameters = useCallback(() => setStoredParams(DEFAULT_PARAMS), [setStoredParams])
+    const disconnectNow = useCallback(() => source.simulateDisconnect?.(), [source])
+    const resetStats = useCallback(() => source.resetPipeline?.({ faultStats: true }), [source])
+
+    return {
+        enabled,                                       // Whether the stream is being degraded
+        setEnabled,                                    // Switch fault injection on or off
+        settings,                                      // Active parameters (see FAULT_PARAMETERS)
+        parameters: FAULT_PARAMETERS,                  // Tunable parameters
+        description: describeFaults(settings),         // e.g. "drop 10%, +100–150 ms", or 'none'
+        setParameter,                                  // Tune one parameter
+        resetParameters,                               // Back to an undegraded stream
+        canDisconnect: !!source.canSimulateDisconnect, // Only WebSocket sources have a connection to drop
+        disconnectNow,                                 // Drop the connection once
+        resetStats                                     // Clear the injector's counters
+    }
+}
@@ -0,0 +1,36 @@
+// src/hooks/useFrameValidation.js
+import { useEffect, useCallback } from 'react'
+import useSetting from './useSetting'
+import useHandStore from './useHandStore'
+import { FRAME_POLICIES, DEFAULT_FRAME_POLICY, REJECTION_REASONS } from '../utils/frameValidator'
+
+const EMPTY_COUNTS = {}
+const selectRejections = (state) => state.rejections ?? EMPTY_COUNTS
+
+/**
+ * Hook for the frame validator that rejects corrupt landmark frames (see frameValidator.js).
+ * Validation runs in the hand pipeline worker; this hook persists what happens to a rejected
+ * hand, sends it to the worker and reads the rejection counters, which only change when a
+ * frame is rejected.
+ * @param {HandSource} source - Active source from useHandPython
+ */
+export default function useFrameValidation(source) {
+    const [storedPolicy, setPolicy] = useSetting('framePolicy', DEFAULT_FRAME_POLICY)
+    const policy = FRAME_POLICIES.some(option => option.id === storedPolicy) ? storedPolicy : DEFAULT_FRAME_POLICY
+
+    useEffect(() => {
+        source.configurePipeline?.({ validation: { policy } })
+    }, [source, policy])
+
+    const rejections = useHandStore(source, selectRejections)
+    const resetCounts = useCallback(() => source.resetPipeline?.({ rejections: true }), [source])
+
+    return {
+        policy,                      // What happens to a rejected hand ('hold' | 'drop')
+        policies: FRAME_POLICIES,    // Available policies
+        setPolicy,                   // Switch policy
+        reasons: REJECTION_REASONS,  // Rejection reasons, in display order
+        rejections,                  // Reason id → rejected hands since the last reset
+        resetCounts                  // Clear the counters
+    }
+}
@@ -0,0 +1,88 @@
+// src/hooks/useGestures.js
+import { useState, useCallback, useRef, useEffect } from 'react'
+import { GESTURES } from '../gestures/gestureDefinitions'
+
+// Active gestures only: confidences change every frame and are read from the store where shown
+function toActiveGestures(states) {
+    const active = {}
+    Object.entries(states).forEach(([key, { gesture, label }]) => {
+        if (gesture) active[key] = { gesture, label }
+    })
+    return active
+}
+
+/**
+ * Hook relaying the gestures recognised on every tracked hand (open palm, fist, point,
+ * thumbs up/down, peace sign, finger pinches; see src/gestures). Recognition runs in the hand
+ * pipeline worker; this hook fires its gesture_start / gesture_hold / gesture_end events on the
+ * main thread, straight from the source subscription. React state only changes when a
+ * gesture starts or ends.
+ * @param {HandSource} source - Active source from useHandPython (its gestures field is used)
+ * @returns {Object} - { activeGestures, onGesture, reset, definitions }
+ */
+export default function useGestures(source) {
+    const [activeGestures, setActiveGestures] = useState({}) // hand key → { gesture, label }
+    const lastStatesRef = useRef({})                         // hand key → { gesture, confidence, label }
+    const gestureCallbackRef = useRef(null)
+
+    // Register callback for gesture events
+    const onGesture = useCallback((callback) => {
+        gestureCallbackRef.current = callback
+    }, [])
+
+    // Relay the events of every recognised frame
+    useEffect(() => {
+        let lastGestures = null
+
+        return source.subscribe(({ gestures }) => {
+            if (!gestures || gestures === lastGestures) return
+            lastGestures = gestures
+            lastStatesRef.current = gestures.states
+            if (gestures.events.length === 0) return
+
+            let changed = false
+            gestures.events.forEach(event => {
+                if (event.type !== 'gesture_hold') {
+                    const name = event.handedness || event.hand
+                    const verb = event.type === 'gesture_start' ? 'started' : event.lost ? 'ended (hand lost)' : 'ended'
+                    console.log(`🖐️ Gesture ${event.gesture} ${verb} (${name}), confidence ${event.confidence.toFixed(2)}`)
+                    changed = true
+                }
+
+                gestureCallbackRef.current?.(event)
+            })
+
+            if (changed) {
+                setActiveGestures(toActiveGestures(gestures.states))
+            }
+        })
+    }, [source])
+
+    // Drop all gesture state (e.g. when the stream goes stale); active gestures end as lost
+    const reset = useCallback(() => {
+        Object.entries(lastStatesRef.current).forEach(([key, previous]) => {
+            if (previous.gesture) {
+                gestureCallbackRef.current?.({
+                    type: 'gesture_end',
+                    gesture: previous.gesture,
+                    hand: key,
+                    handedness: previous.label,
+                    confidence: 0,
+                    duration: null,
+                    lost: true
+                })
+            }
+        })
+
+        lastStatesRef.current = {}
+        setActiveGestures({})
+        source.resetPipeline?.({ gestures: true })
+    }, [source])
+
+    return {
+        activeGestures,          // { gesture, label } of each hand holding a gesture, keyed by hand key
+        onGesture,               // Register the gesture event callback
+        reset,
+        definitions: GESTURES    // Recognised gestures ({ id, label, icon, ...rules })
+    }
+}
@@ -1,123 +1,86 @@
 // src/hooks/useHandPython.js
 import { useEffect, useState, useCallback, useRef } from 'react'
+import useHandStore, { selectStatus, shallowEqual } from './useHandStore'
+import { HAND_SOURCES, DEFAULT_SOURCE_ID, createHandSource } from '../sources'
+import { loadSetting, saveSetting } from '../utils/settings'
 
-export default function useHandPython() {
-    const [landmarks, setLandmarks] = useState(null)
-    const [connectionStatus, setConnectionStatus] = useState('disconnected')
-    const [error, setError] = useState(null)
-    const [frameCount, setFrameCount] = useState(0)
-    const wsRef = useRef(null)
-    const reconnectTimeoutRef = useRef(null)
-    const maxReconnectAttempts = 5
-    const reconnectAttemptsRef = useRef(0)
+const SOURCE_SETTING_KEY = 'handSource'
 
-    const connect = useCallback(() => {
-        if (wsRef.current?.readyState === WebSocket.OPEN) {
-            return // Already connected
-        }
-
-        console.log('Connecting to hand tracking WebSocket...')
-        setConnectionStatus('connecting')
-        setError(null)
-
-        try {
-            const ws = new WebSocket('ws://localhost:8000/ws')
-            wsRef.current = ws
-
-            ws.onopen = () => {
-                console.log('✅ WebSocket connected to hand tracking server')
-                setConnectionStatus('connected')
-                setError(null)
-                reconnectAttemptsRef.current = 0
-            }
-
-            ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data)
-
-                    if (data.error) {
-                        setError(data.error)
-                        setLandmarks(null)
-                        return
-                    }
-
-                    setLandmarks(data.landmarks)
-                    setFrameCount(data.frame_count || 0)
+function loadSourceId() {
+    const id = loadSetting(SOURCE_SETTING_KEY, DEFAULT_SOURCE_ID)
+    return HAND_SOURCES.some(source => source.id === id) ? id : DEFAULT_SOURCE_ID
+}
 
-                    // Log every 60 frames to avoid spam
-                    if (data.frame_count && data.frame_count % 60 === 0) {
-                        console.log(`📊 Processed ${data.frame_count} frames, Hand detected: ${data.landmarks ? '✅' : '❌'}`)
-                    }
-                } catch (parseError) {
-                    console.warn('Failed to parse WebSocket message:', parseError)
-                }
-            }
+/**
+ * Hook for streaming hand landmarks from the selected hand tracking source
+ * (Python backend by default, see src/sources). Only status fields are returned as React
+ * state; per-frame data (hands, pinch, frameCount, ...) stays in the source, which is an
+ * external store: read it with source.getState() or subscribe to a slice with useHandStore.
+ * @param {Object} options - { onMessage, forwardMessages } where onMessage receives every raw
+ * parsed message while forwardMessages is on (raw messages stay in the pipeline worker otherwise)
+ */
+export default function useHandPython({ onMessage, forwardMessages = false } = {}) {
+    const [sourceId, setSourceIdState] = useState(loadSourceId)
+    const sourcesRef = useRef(new Map()) // One instance per source id, kept while switching
+    const onMessageRef = useRef(onMessage)
+
+    // Lazily create (and cache) a source instance
+    const getSource = useCallback((id) => {
+        if (!sourcesRef.current.has(id)) {
+            sourcesRef.current.set(id, createHandSource(id))
+        }
+        return sourcesRef.current.get(id)
+    }, [])
 
-            ws.onerror = (error) => {
-                console.error('❌ WebSocket error:', error)
-                setError('WebSocket connection error')
-                setConnectionStatus('error')
-            }
+    const source = getSource(sourceId)
+    const status = useHandStore(source, selectStatus, { isEqual: shallowEqual })
 
-            ws.onclose = (event) => {
-                console.log('🔌 WebSocket connection closed:', event.code, event.reason)
-                setConnectionStatus('disconnected')
-                setLandmarks(null)
-                wsRef.current = null
+    useEffect(() => {
+        onMessageRef.current = onMessage
+    }, [onMessage])
 
-                // Attempt to reconnect if not manually closed
-                if (event.code !== 1000 && reconnectAttemptsRef.current < maxReconnectAttempts) {
-                    reconnectAttemptsRef.current += 1
-                    console.log(`🔄 Attempting to reconnect (${reconnectAttemptsRef.current}/${maxReconnectAttempts})...`)
+    // Run the selected source
+    useEffect(() => {
+        const unsubscribeMessages = source.onMessage((data) => onMessageRef.current?.(data))
 
-                    reconnectTimeoutRef.current = setTimeout(() => {
-                        connect()
-                    }, 2000 * reconnectAttemptsRef.current) // Exponential backoff
-                } else if (reconnectAttemptsRef.current >= maxReconnectAttempts) {
-                    setError('Max reconnection attempts reached. Please refresh the page.')
-                }
-            }
-        } catch (connectionError) {
-            console.error('Failed to create WebSocket connection:', connectionError)
-            setConnectionStatus('error')
-            setError('Failed to connect to hand tracking server')
-        }
-    }, [])
+        source.start()
 
-    const disconnect = useCallback(() => {
-        if (reconnectTimeoutRef.current) {
-            clearTimeout(reconnectTimeoutRef.current)
-            reconnectTimeoutRef.current = null
+        // Cleanup on unmount or source switch
+        return () => {
+            unsubscribeMessages()
+            source.stop()
         }
+    }, [source])
 
-        if (wsRef.current) {
-            console.log('🔌 Manually disconnecting WebSocket')
-            wsRef.current.close(1000, 'Manual disconnect')
-            wsRef.current = null
-        }
+    useEffect(() => {
+        source.setMessageForwarding?.(forwardMessages)
+    }, [source, forwardMessages])
 
-        setConnectionStatus('disconnected')
-        setLandmarks(null)
-        setError(null)
-        reconnectAttemptsRef.current = 0
+    // Switch source and remember the choice
+    const setSourceId = useCallback((id) => {
+        saveSetting(SOURCE_SETTING_KEY, id)
+        setSourceIdState(id)
     }, [])
 
-    useEffect(() => {
-        connect()
+    // Typed HandFrame of the latest frame (world landmarks, visibility, handedness score);
+    // read on demand so it doesn't re-render, or subscribe with useHandStore(source, state => state.frame)
+    const getFrame = useCallback(() => source.getState().frame ?? null, [source])
 
-        // Cleanup on unmount
-        return () => {
-            disconnect()
-        }
-    }, [connect, disconnect])
+    const reconnect = useCallback(() => source.reconnect(), [source])
+    const disconnect = useCallback(() => source.stop(), [source])
 
     // Return the hook's state and methods
     return {
-        landmarks,           // Array of 21 hand landmarks or null
-        connectionStatus,    // 'connecting' | 'connected' | 'disconnected' | 'error'
-        error,              // Error message string or null
-        frameCount,         // Number of frames processed
-        reconnect: connect, // Manual reconnect function
-        disconnect         // Manual disconnect function
+        ...status,           // Source-specific fields (endpoints, replay session, ...)
+        connectionStatus: status.connectionStatus, // 'connecting' | 'connected' | 'stale' | 'camera-unavailable' | 'disconnected' | 'error' | 'replaying' | 'paused' | 'ended'
+        error: status.error,             // Error message string or null
+        getFrame,            // Latest typed HandFrame: { frameCount, receivedAt, capturedAt, hands }
+        reconnect,           // Manual reconnect function
+        disconnect,          // Manual disconnect function
+        source,              // Active HandSource instance: source-specific controls and the frame store
+        sourceId,            // Id of the active source
+        sources: HAND_SOURCES, // Available sources
+        setSourceId,         // Switch source at runtime
+        getSource            // Access a (possibly inactive) source instance by id
     }
 }
@@ -0,0 +1,91 @@
+// src/hooks/useHandStore.js
+import { useCallback, useRef, useSyncExternalStore } from 'react'
+
+const EMPTY_STATE = {}
+
+// State fields that change with every landmark frame. Components should not re-render on
+// these: read them from source.getState() (e.g. inside useFrame) or subscribe to a slice.
+export const FRAME_STATE_FIELDS = ['frame', 'hands', 'landmarks', 'filteredHands', 'pinch', 'gestures', 'swipes', 'jitter', 'frameCount', 'lastFrameAt', 'position', 'faultStats']
+
+/**
+ * Compare two plain objects (or arrays) one level deep
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false
+
+    const keys = Object.keys(a)
+    if (keys.length !== Object.keys(b).length) return false
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]))
+}
+
+// Source state without the per-frame fields
+export function selectStatus(state) {
+    const status = {}
+    Object.keys(state).forEach(key => {
+        if (!FRAME_STATE_FIELDS.includes(key)) status[key] = state[key]
+    })
+    return status
+}
+
+/**
+ * Subscribe a component to a slice of a hand source's state (the source is the store).
+ * The component re-renders only when the selected value changes, not on every frame.
+ * @param {HandSource|null} source - Source to read from (the selector sees an empty state without one)
+ * @param {Function} selector - state → value; keep it stable (module-level or memoized)
+ * @param {Object} options - { isEqual, interval } where isEqual compares selections
+ *   (default Object.is) and interval (ms) limits how often changes are picked up
+ * @returns {*} - The selected value
+ */
+export default function useHandStore(source, selector, { isEqual = Object.is, interval = 0 } = {}) {
+    const cacheRef = useRef(null) // { source, selector, state, selection } of the last snapshot
+
+    const subscribe = useCallback((onChange) => {
+        if (!source) {
+            return () => { }
+        }
+        if (!interval) {
+            return source.subscribe(onChange)
+        }
+
+        // Throttle: at most one check per interval, and always one after the last change
+        let timer = null
+        const unsubscribe = source.subscribe(() => {
+            if (timer === null) {
+                timer = setTimeout(() => {
+                    timer = null
+                    onChange()
+                }, interval)
+            }
+        })
+
+        return () => {
+            clearTimeout(timer)
+            unsubscribe()
+        }
+    }, [source, interval])
+
+    const getSnapshot = () => {
+        const state = source ? source.getState() : EMPTY_STATE
+        const cache = cacheRef.current
+        const sameInputs = cache && cache.source === source && cache.selector === selector
+
+        if (sameInputs && cache.state === state) {
+            return cache.selection
+        }
+
+        const selection = selector(state)
+        if (sameInputs && isEqual(cache.selection, selection)) {
+            cache.state = state
+            return cache.selection
+        }
+
+        cacheRef.current = { source, selector, state, selection }
+        return selection
+    }
+
+    return useSyncExternalStore(subscribe, getSnapshot)
+}
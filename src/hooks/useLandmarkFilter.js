@@ -0,0 +1,61 @@
+// src/hooks/useLandmarkFilter.js
+import { useEffect, useMemo, useCallback } from 'react'
+import useSetting from './useSetting'
+import { FILTER_TYPES, DEFAULT_FILTER_TYPE, resolveFilterParameters } from '../utils/landmarkFilters'
+
+const DEFAULT_SETTINGS = { type: DEFAULT_FILTER_TYPE, params: {} } // params: { [type]: { key: value } }
+
+/**
+ * Hook selecting the filter that smooths the landmarks of every hand (see landmarkFilters.js).
+ * Filtering itself runs in the hand pipeline worker; this hook persists the filter type and
+ * per-type parameters and sends them to the worker. The filtered hands arrive with every
+ * frame as the source's filteredHands.
+ * @param {HandSource} source - Active source from useHandPython
+ */
+export default function useLandmarkFilter(source) {
+    const [settings, setSettings] = useSetting('landmarkFilter', DEFAULT_SETTINGS)
+
+    const type = FILTER_TYPES.some(filterType => filterType.id === settings?.type) ? settings.type : DEFAULT_FILTER_TYPE
+    const storedParams = settings?.params?.[type]
+    const params = useMemo(() => resolveFilterParameters(type, storedParams), [type, storedParams])
+
+    useEffect(() => {
+        source.configurePipeline?.({ filter: { type, params } })
+    }, [source, type, params])
+
+    const setType = useCallback((nextType) => {
+        setSettings(previous => ({ ...DEFAULT_SETTINGS, ...previous, type: nextType }))
+    }, [setSettings])
+
+    const setParameter = useCallback((key, value) => {
+        setSettings(previous => {
+            const current = { ...DEFAULT_SETTINGS, ...previous }
+            return {
+                ...current,
+                params: { ...current.params, [current.type]: { ...current.params?.[current.type], [key]: value } }
+            }
+        })
+    }, [setSettings])
+
+    const resetParameters = useCallback(() => {
+        setSettings(previous => {
+            const current = { ...DEFAULT_SETTINGS, ...previous }
+            const { [current.type]: _removed, ...rest } = current.params || {}
+            return { ...current, params: rest }
+        })
+    }, [setSettings])
+
+    const reset = useCallback(() => source.resetPipeline?.({ filter: true }), [source])
+    const getJitter = useCallback((key) => source.getState().jitter?.[key] ?? null, [source])
+
+    return {
+        type,                  // Active filter id ('none' | 'oneEuro' | 'kalman' | 'ema')
+        params,                // Parameters of the active filter
+        types: FILTER_TYPES,   // Available filters and their parameters
+        setType,               // Switch filter
+        setParameter,          // Tune one parameter of the active filter
+        resetParameters,       // Restore the active filter's defaults
+        reset,                 // Drop filter state (e.g. after the stream was interrupted)
+        getJitter              // Fingertip movement per frame for a hand key: { raw, filtered }
+    }
+}
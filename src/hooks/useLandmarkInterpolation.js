@@ -0,0 +1,43 @@
+// src/hooks/useLandmarkInterpolation.js
+import { useRef, useEffect, useCallback } from 'react'
+import useSetting from './useSetting'
+import LandmarkInterpolator, { LATENCY_MODES, DEFAULT_LATENCY_MODE } from '../utils/landmarkInterpolator'
+
+/**
+ * Hook feeding received frames into a LandmarkInterpolator, which the render loop samples
+ * every display frame (see useRaycasting and RayVisualizer). Frames go straight from the
+ * source subscription into the interpolator, without rendering. The latency mode is persisted.
+ * @param {HandSource} source - Active source from useHandPython (its smoothed filteredHands are used)
+ */
+export default function useLandmarkInterpolation(source) {
+    const [storedMode, setMode] = useSetting('latencyMode', DEFAULT_LATENCY_MODE)
+    const mode = LATENCY_MODES.some(option => option.id === storedMode) ? storedMode : DEFAULT_LATENCY_MODE
+    const interpolatorRef = useRef(null)
+    if (!interpolatorRef.current) {
+        interpolatorRef.current = new LandmarkInterpolator(mode)
+    }
+
+    useEffect(() => {
+        interpolatorRef.current.setMode(mode)
+    }, [mode])
+
+    useEffect(() => {
+        let lastHands = null
+        return source.subscribe(({ filteredHands, lastFrameAt }) => {
+            if (filteredHands && filteredHands !== lastHands) {
+                lastHands = filteredHands
+                interpolatorRef.current.push(filteredHands, lastFrameAt)
+            }
+        })
+    }, [source])
+
+    const reset = useCallback(() => interpolatorRef.current.reset(), [])
+
+    return {
+        interpolator: interpolatorRef.current, // Sampled by the render loop
+        mode,                 // 'off' | 'smooth' | 'balanced' | 'predictive'
+        modes: LATENCY_MODES, // Available modes
+        setMode,              // Switch mode
+        reset                 // Drop the frame history (e.g. after the stream was interrupted)
+    }
+}
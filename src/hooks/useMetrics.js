@@ -1,11 +1,13 @@
 // src/hooks/useMetrics.js - Comprehensive Gesture Metrics System
 import { useEffect, useCallback } from 'react';
+import { onLatencySample } from '../utils/latencyTracker';
 
 /* ---------- 1. Configuration ---------- */
 const MAX_LOG_ENTRIES = 1000;
 const FPS_SAMPLE_SIZE = 60; // Track last 60 frames for FPS stability
 const DWELL_THRESHOLD = 500; // ms - minimum time pointing at target for valid dwell
 const MISS_DISTANCE_THRESHOLD = 0.5; // meters - max distance to count as "near miss"
+const LATENCY_SAMPLE_SIZE = 300; // Per-frame pipeline latencies kept (~10s at 30 FPS)
 
 /* ---------- 2. Global metrics storage ---------- */
 let metricsData = {
@@ -16,6 +18,12 @@ let metricsData = {
     fpsHistory: [],
     lastFrameTime: performance.now(),
 
+    // Per-frame pipeline latency: { frameCount, captureToReceive, receiveToRaycast, raycastToRender, endToEnd }
+    frameLatencies: [],
+
+    // Stream degradation in effect (fault injection description, 'none' for a clean stream)
+    testConditions: 'none',
+
     // Interaction tracking
     currentSession: {
         startTime: null,
@@ -120,9 +128,11 @@ export function useMetrics() {
     }, []);
 
     // Log toggle events
+    // pinchStartTime is an absolute performance.now() time (the frame that completed the pinch)
     const logToggleSuccess = useCallback((targetId, pinchStartTime = null) => {
-        const timestamp = performance.now() - sessionStartTime;
-        const latency = pinchStartTime ? timestamp - pinchStartTime : 0;
+        const now = performance.now();
+        const timestamp = now - sessionStartTime;
+        const latency = pinchStartTime !== null ? now - pinchStartTime : 0;
 
         metricsData.currentSession.successfulHits++;
         metricsData.currentSession.totalAttempts++;
@@ -158,6 +168,25 @@ export function useMetrics() {
         });
     }, []);
 
+    // Log per-frame pipeline latency (fed by the latency tracker)
+    const logFrameLatency = useCallback((sample) => {
+        metricsData.frameLatencies.push(sample);
+        if (metricsData.frameLatencies.length > LATENCY_SAMPLE_SIZE) {
+            metricsData.frameLatencies.shift();
+        }
+    }, []);
+
+    // Note a change of test conditions, so a run can be matched to the faults it was measured under
+    const setTestConditions = useCallback((conditions) => {
+        if (conditions === metricsData.testConditions) return;
+
+        metricsData.testConditions = conditions;
+        addEvent('CONDITIONS', {
+            timestamp: performance.now() - sessionStartTime,
+            conditions
+        });
+    }, []);
+
     // Get current metrics summary
     const getMetricsSummary = useCallback(() => {
         const session = metricsData.currentSession;
@@ -179,6 +208,11 @@ export function useMetrics() {
             ? session.misses / session.successfulHits
             : session.misses;
 
+        // Pipeline latency (capture-to-receive is only known once the clock is synced)
+        const frames = metricsData.frameLatencies;
+        const captureToReceive = frames.map(frame => frame.captureToReceive).filter(value => value !== null);
+        const endToEnd = frames.map(frame => frame.endToEnd);
+
         return {
             // Accuracy metrics
             accuracy: Math.round(accuracy * 100) / 100,
@@ -192,11 +226,21 @@ export function useMetrics() {
             averageDwellTime: Math.round(averageDwellTime * 100) / 100,
             missToHitRatio: Math.round(missToHitRatio * 100) / 100,
 
+            // Pipeline latency metrics (null when no samples)
+            averageCaptureToReceive: roundOrNull(average(captureToReceive)),
+            averageReceiveToRaycast: roundOrNull(average(frames.map(frame => frame.receiveToRaycast))),
+            averageRaycastToRender: roundOrNull(average(frames.map(frame => frame.raycastToRender))),
+            averageEndToEnd: roundOrNull(average(endToEnd)),
+            p95EndToEnd: roundOrNull(percentile(endToEnd, 0.95)),
+            clockSynced: captureToReceive.length > 0,
+            latencySamples: frames.length,
+
             // System metrics
             averageFPS: system.averageFPS,
             fpsStability: Math.round(system.fpsStability * 1000) / 1000,
 
             // Session info
+            testConditions: metricsData.testConditions,
             sessionDuration: Math.round((performance.now() - sessionStartTime) / 1000),
             totalEvents: metricsData.events.length
         };
@@ -225,6 +269,7 @@ export function useMetrics() {
     const resetMetrics = useCallback(() => {
         metricsData.events = [];
         metricsData.fpsHistory = [];
+        metricsData.frameLatencies = [];
         metricsData.currentSession = {
             startTime: performance.now(),
             totalAttempts: 0,
@@ -259,6 +304,9 @@ export function useMetrics() {
         };
     }, [trackFPS]);
 
+    // Collect per-frame pipeline latency
+    useEffect(() => onLatencySample(logFrameLatency), [logFrameLatency]);
+
     return {
         // Logging functions
         logPointingStart,
@@ -267,6 +315,8 @@ export function useMetrics() {
         logPinchEnd,
         logToggleSuccess,
         logMiss,
+        logFrameLatency,
+        setTestConditions,
 
         // Data access
         getMetricsSummary,
@@ -297,6 +347,20 @@ function addEvent(type, data) {
     console.log(`📊 ${type}:`, data);
 }
 
+function average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b) / values.length : null;
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function roundOrNull(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
 function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
 }
@@ -321,12 +385,21 @@ function buildCSVData(summary) {
         `Miss-to-Hit Ratio,${summary.missToHitRatio},ratio,Misses divided by hits`,
 
         // Performance metrics
-        `Average Latency,${summary.averageLatency},ms,Pinch to toggle response time`,
+        `Average Latency,${summary.averageLatency},ms,Pinch frame (capture or receive) to bulb toggle`,
         `Average Dwell Time,${summary.averageDwellTime},ms,Time spent pointing at targets`,
         `Average FPS,${summary.averageFPS},fps,Frames per second`,
         `FPS Stability,${summary.fpsStability},coefficient,Lower = more stable (std/mean)`,
 
+        // Pipeline latency metrics
+        `Capture to Receive,${summary.averageCaptureToReceive ?? ''},ms,Server capture to client receive (clock-synced)`,
+        `Receive to Raycast,${summary.averageReceiveToRaycast ?? ''},ms,Client receive to pointer raycast`,
+        `Raycast to Render,${summary.averageRaycastToRender ?? ''},ms,Pointer raycast to next rendered frame`,
+        `End to End,${summary.averageEndToEnd ?? ''},ms,Capture (or receive when unsynced) to render`,
+        `End to End p95,${summary.p95EndToEnd ?? ''},ms,95th percentile end-to-end latency`,
+        `Clock Synced,${summary.clockSynced},boolean,Whether capture timestamps could be mapped to the client clock`,
+
         // Session info
+        `Fault Injection,"${summary.testConditions}",text,Stream degradation at export time (changes are in the event log)`,
         `Session Duration,${summary.sessionDuration},seconds,Total session time`,
         `Total Events,${summary.totalEvents},count,Number of tracked events`,
         `Timestamp,${new Date().toISOString()},datetime,Export timestamp`
@@ -334,7 +407,7 @@ function buildCSVData(summary) {
 
     // Add detailed events log
     rows.push('', '--- Event Log ---');
-    rows.push('Event ID,Type,Timestamp,Target ID,Latency,Dwell Time,Distance,Success');
+    rows.push('Event ID,Type,Timestamp,Target ID,Latency,Dwell Time,Distance,Success,Conditions');
 
     metricsData.events.forEach(event => {
         const data = event.data;
@@ -346,7 +419,22 @@ function buildCSVData(summary) {
             data.latency?.toFixed(2) || '',
             data.dwellTime?.toFixed(2) || '',
             data.distance?.toFixed(3) || '',
-            data.successful ? 'true' : 'false'
+            data.successful ? 'true' : 'false',
+            data.conditions ? `"${data.conditions}"` : ''
+        ].join(','));
+    });
+
+    // Add per-frame latency log
+    rows.push('', '--- Frame Latency Log ---');
+    rows.push('Frame,Capture to Receive,Receive to Raycast,Raycast to Render,End to End');
+
+    metricsData.frameLatencies.forEach(frame => {
+        rows.push([
+            frame.frameCount,
+            frame.captureToReceive?.toFixed(2) ?? '',
+            frame.receiveToRaycast.toFixed(2),
+            frame.raycastToRender.toFixed(2),
+            frame.endToEnd.toFixed(2)
         ].join(','));
     });
 
@@ -362,6 +450,7 @@ window.exportGestureMetrics = () => {
 
 window.resetGestureMetrics = () => {
     metricsData.events = [];
+    metricsData.frameLatencies = [];
     metricsData.currentSession = {
         startTime: performance.now(),
         totalAttempts: 0,
@@ -1,115 +1,218 @@
-import { useState, useCallback, useRef, useEffect } from 'react'
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
+import useSetting from './useSetting'
+import { calculatePinchDistance, PINCH_PARAMETERS, resolvePinchSettings } from '../utils/pinchClassifier'
+import PinchSequenceClassifier, { PINCH_TIMING_PARAMETERS, resolvePinchTiming } from '../utils/pinchSequence'
+
+export { calculatePinchDistance }
+
+// Pinch flags only: strengths change every frame and are read from the store where shown
+function toPinchFlags(states) {
+    const flags = {}
+    Object.entries(states).forEach(([key, { isPinching, label }]) => {
+        if (isPinching) flags[key] = { isPinching, label }
+    })
+    return flags
+}
+
+const DEFAULT_STORED_THRESHOLDS = {}
+const DEFAULT_STORED_TIMING = {}
+
+// Console lines for the sequence events (progress is too frequent to log)
+const SEQUENCE_LOGS = {
+    tap: '👆 Pinch tap',
+    double_tap: '👆👆 Pinch double tap',
+    hold_start: '⏳ Pinch hold started',
+    long_press: '⏱️ Pinch long press',
+    hold_end: '✋ Pinch hold ended'
+}
 
 /**
- * Hook for detecting pinch gestures from hand landmarks
- * @param {Array} landmarks - Hand landmarks from MediaPipe
- * @returns {Object} - { isPinching, pinchStrength, onPinch }
+ * Hook relaying pinch gestures on every tracked hand. Classification runs in the hand
+ * pipeline worker (see PinchClassifier); this hook fires its events on the main thread,
+ * straight from the source subscription. React state only changes when a pinch starts or ends.
+ * It also keeps the user's pinch thresholds (in hand sizes, so they hold at any distance
+ * from the camera) and sends them to the worker.
+ * Pinch starts and ends are further classified into taps, double taps, holds and long presses
+ * (see PinchSequenceClassifier) with the user's timing windows; those events go to onPinchSequence.
+ * While a hand pinches, onPinchDrag receives the movement of its index fingertip.
+ * @param {HandSource} source - Active source from useHandPython (its pinch field is used)
+ * @returns {Object} - { isPinching, pinchStates, onPinch, onPinchDrag, onPinchSequence, reset, thresholds, timing }
  */
-export default function usePinchDetection(landmarks) {
-    const [isPinching, setIsPinching] = useState(false)
-    const [pinchStrength, setPinchStrength] = useState(0)
-    const lastPinchStateRef = useRef(false)
+export default function usePinchDetection(source) {
+    const [pinchStates, setPinchStates] = useState({}) // hand key → { isPinching, label } of pinching hands
+    const lastPinchStatesRef = useRef({})              // hand key → { isPinching, strength, label, gap, handSize, space }
     const pinchCallbackRef = useRef(null)
+    const sequenceCallbackRef = useRef(null)
+    const dragCallbackRef = useRef(null)
+    const sequenceRef = useRef(null)
+    const sequenceTimerRef = useRef(null)
+    const [storedThresholds, setStoredThresholds] = useSetting('pinchThresholds', DEFAULT_STORED_THRESHOLDS)
+    const [storedTiming, setStoredTiming] = useSetting('pinchTiming', DEFAULT_STORED_TIMING)
 
-    // Register callback for pinch events
-    const onPinch = useCallback((callback) => {
-        pinchCallbackRef.current = callback
-    }, [])
+    const settings = useMemo(() => resolvePinchSettings(storedThresholds), [storedThresholds])
 
-    // Calculate distance between thumb tip and index finger tip
-    const calculatePinchDistance = useCallback(() => {
-        if (!landmarks || landmarks.length < 21) {
-            return null
-        }
+    useEffect(() => {
+        source.configurePipeline?.({ pinch: settings })
+    }, [source, settings])
 
-        const thumbTip = landmarks[4]  // Thumb tip
-        const indexTip = landmarks[8]  // Index finger tip
+    const setThreshold = useCallback((key, value) => {
+        setStoredThresholds(previous => ({ ...previous, [key]: value }))
+    }, [setStoredThresholds])
 
-        if (!thumbTip || !indexTip) {
-            return null
-        }
+    // Change several thresholds at once (undefined ones go back to their defaults)
+    const setThresholds = useCallback((values) => {
+        setStoredThresholds(previous => ({ ...previous, ...values }))
+    }, [setStoredThresholds])
 
-        // Calculate 3D distance
-        const dx = thumbTip.x - indexTip.x
-        const dy = thumbTip.y - indexTip.y
-        const dz = thumbTip.z - indexTip.z
+    const resetThresholds = useCallback(() => setStoredThresholds(DEFAULT_STORED_THRESHOLDS), [setStoredThresholds])
 
-        return Math.sqrt(dx * dx + dy * dy + dz * dz)
-    }, [landmarks])
+    const thresholds = useMemo(() => ({
+        settings,                       // { closed, open, start, release }
+        parameters: PINCH_PARAMETERS,   // Tunable thresholds
+        setThreshold,                   // Change one threshold
+        setThresholds,                  // Change several (e.g. a calibration profile's pinch range)
+        reset: resetThresholds          // Back to the defaults
+    }), [settings, setThreshold, setThresholds, resetThresholds])
 
-    // Calculate pinch strength and detect pinch state
-    const calculatePinchStrength = useCallback(() => {
-        const distance = calculatePinchDistance()
+    const timingSettings = useMemo(() => resolvePinchTiming(storedTiming), [storedTiming])
 
-        if (distance === null) {
-            setPinchStrength(0)
-            setIsPinching(false)
-            return 0
-        }
+    if (!sequenceRef.current) {
+        sequenceRef.current = new PinchSequenceClassifier(timingSettings)
+    }
 
-        // Normalize distance to strength (0-1)
-        // Typical pinch distance ranges from ~0.02 (touching) to ~0.15 (spread)
-        const minDistance = 0.02  // Fully pinched
-        const maxDistance = 0.08  // Relaxed/open
+    useEffect(() => {
+        sequenceRef.current.configure(timingSettings)
+    }, [timingSettings])
 
-        const normalizedDistance = Math.max(0, Math.min(1, (distance - minDistance) / (maxDistance - minDistance)))
-        const strength = 1 - normalizedDistance // Invert so 1 = pinched, 0 = open
+    const setTiming = useCallback((key, value) => {
+        setStoredTiming(previous => ({ ...previous, [key]: value }))
+    }, [setStoredTiming])
 
-        setPinchStrength(strength)
+    const resetTiming = useCallback(() => setStoredTiming(DEFAULT_STORED_TIMING), [setStoredTiming])
 
-        // Hysteresis for pinch detection to avoid flickering
-        const pinchThreshold = 0.7   // Threshold to start pinching
-        const releaseThreshold = 0.5 // Threshold to stop pinching
+    const timing = useMemo(() => ({
+        settings: timingSettings,               // { tapMax, doubleTapWindow, longPress } in ms
+        parameters: PINCH_TIMING_PARAMETERS,    // Tunable timing windows
+        setTiming,                              // Change one window
+        reset: resetTiming                      // Back to the defaults
+    }), [timingSettings, setTiming, resetTiming])
 
-        const currentlyPinching = lastPinchStateRef.current
-        let newPinchState = currentlyPinching
+    // Register callback for pinch events
+    const onPinch = useCallback((callback) => {
+        pinchCallbackRef.current = callback
+    }, [])
 
-        if (!currentlyPinching && strength > pinchThreshold) {
-            newPinchState = true
-            console.log('🤏 Pinch started! Strength:', strength.toFixed(2))
+    // Register callback for pinch_drag events: fingertip movement while pinching
+    // ({ dx, dy } since the last one, { totalDx, totalDy } since the start, path distance)
+    const onPinchDrag = useCallback((callback) => {
+        dragCallbackRef.current = callback
+    }, [])
 
-            // Trigger pinch callback
-            if (pinchCallbackRef.current) {
-                pinchCallbackRef.current({
-                    type: 'pinch_start',
-                    strength,
-                    distance,
-                    thumbTip: landmarks[4],
-                    indexTip: landmarks[8]
-                })
-            }
-        } else if (currentlyPinching && strength < releaseThreshold) {
-            newPinchState = false
-            console.log('✋ Pinch released! Strength:', strength.toFixed(2))
+    // Register callback for pinch sequence events (tap, double_tap, hold_start,
+    // long_press_progress, long_press, hold_end)
+    const onPinchSequence = useCallback((callback) => {
+        sequenceCallbackRef.current = callback
+    }, [])
 
-            // Trigger release callback
-            if (pinchCallbackRef.current) {
-                pinchCallbackRef.current({
-                    type: 'pinch_end',
-                    strength,
-                    distance,
-                    thumbTip: landmarks[4],
-                    indexTip: landmarks[8]
-                })
+    // Fire sequence events, then wake up again when a tap or hold is next due
+    // (frames may stop arriving, e.g. once the hand leaves the camera)
+    const relaySequence = useCallback((events) => {
+        events.forEach(event => {
+            if (SEQUENCE_LOGS[event.type]) {
+                console.log(`${SEQUENCE_LOGS[event.type]} (${event.handedness || event.hand}), ${Math.round(event.duration)} ms`)
             }
+            sequenceCallbackRef.current?.(event)
+        })
+
+        clearTimeout(sequenceTimerRef.current)
+        const deadline = sequenceRef.current.nextDeadline()
+        if (deadline !== null) {
+            sequenceTimerRef.current = setTimeout(() => {
+                relaySequence(sequenceRef.current.tick(performance.now()))
+            }, Math.max(0, deadline - performance.now()))
         }
+    }, [])
 
-        lastPinchStateRef.current = newPinchState
-        setIsPinching(newPinchState)
+    useEffect(() => () => clearTimeout(sequenceTimerRef.current), [])
 
-        return strength
-    }, [calculatePinchDistance, landmarks])
+    // Fire a pinch event and classify it into the sequence
+    const relayPinch = useCallback((event) => {
+        pinchCallbackRef.current?.(event)
+        relaySequence(sequenceRef.current.handle(event, performance.now()))
+    }, [relaySequence])
 
-    // Update pinch state whenever landmarks change
+    // Relay the events of every classified frame
     useEffect(() => {
-        calculatePinchStrength()
-    }, [calculatePinchStrength])
+        let lastPinch = null
+
+        return source.subscribe(({ pinch }) => {
+            if (!pinch || pinch === lastPinch) return
+            lastPinch = pinch
+            lastPinchStatesRef.current = pinch.states
+
+            // Drags fire every frame a pinching hand moves, so they leave React state alone
+            let changed = false
+            pinch.events.forEach(event => {
+                if (event.type === 'pinch_drag') {
+                    dragCallbackRef.current?.(event)
+                    return
+                }
+
+                const name = event.handedness || event.hand
+                if (event.lost) {
+                    console.log(`✋ Pinch released (${name}): hand lost`)
+                } else if (event.type === 'pinch_start') {
+                    console.log(`🤏 Pinch started (${name})! Strength:`, event.strength.toFixed(2))
+                } else {
+                    console.log(`✋ Pinch released (${name})! Strength:`, event.strength.toFixed(2))
+                }
+
+                relayPinch(event)
+                changed = true
+            })
+
+            if (changed) {
+                setPinchStates(toPinchFlags(pinch.states))
+            } else {
+                relaySequence(sequenceRef.current.tick(performance.now()))
+            }
+        })
+    }, [source, relayPinch, relaySequence])
+
+    // Drop all pinch state (e.g. when the stream goes stale); open pinches end as lost
+    // and pending taps are dropped
+    const reset = useCallback(() => {
+        Object.entries(lastPinchStatesRef.current).forEach(([key, previous]) => {
+            if (previous.isPinching) {
+                relayPinch({
+                    type: 'pinch_end',
+                    hand: key,
+                    handedness: previous.label,
+                    strength: 0,
+                    distance: null,
+                    gap: null,
+                    lost: true
+                })
+            }
+        })
+
+        lastPinchStatesRef.current = {}
+        sequenceRef.current.reset()
+        clearTimeout(sequenceTimerRef.current)
+        setPinchStates({})
+        source.resetPipeline?.({ pinch: true })
+        console.log('🧹 Pinch state reset')
+    }, [source, relayPinch])
 
     return {
-        isPinching,
-        pinchStrength,
+        isPinching: Object.keys(pinchStates).length > 0, // Any hand pinching
+        pinchStates,        // { isPinching, label } of each pinching hand, keyed by hand key
         onPinch,
-        calculatePinchDistance,
-        calculatePinchStrength
+        onPinchDrag,        // Register the pinch_drag callback
+        onPinchSequence,    // Register the tap / double tap / hold / long press callback
+        reset,
+        thresholds,         // Per-user pinch thresholds and their setters
+        timing,             // Sequence timing windows and their setters
+        calculatePinchDistance
     }
 }
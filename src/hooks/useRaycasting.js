@@ -1,16 +1,46 @@
 // src/hooks/useRaycasting.js
 import { useState, useEffect, useCallback, useRef } from 'react'
 import { findIntersectedBulb } from '../utils/raycastUtils'
+import { selectPointingHand } from '../utils/handFrame'
+import { markRaycast } from '../utils/latencyTracker'
+import { applyPointingTransform, DEFAULT_POINTING_TRANSFORM } from '../utils/calibration'
 
 // Configuration for selection hold mechanism
 const SELECTION_HOLD_DURATION = 3000 // 3 seconds in milliseconds
 
-export default function useRaycasting(camera, landmarks, bulbRefs) {
+/**
+ * Hook for raycasting from the pointing hand's index fingertip into the scene. Frames are
+ * read from the source's store subscription, not from props, and React state only changes
+ * when the pointed bulb, the pointing flag or the pointing hand does.
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {HandSource} source - Active source from useHandPython (its smoothed filteredHands are used)
+ * @param {Object} bulbRefs - Ref holding the bulb handles
+ * @param {string} pointingHand - Which hand drives the pointer: 'either' | 'left' | 'right'
+ * @param {Object} interpolation - { interpolator, mode } from useLandmarkInterpolation; unless the
+ *   mode is 'off', raycasting runs every render frame from updateAtDisplayRate() instead of per frame
+ * @param {Object} pointingTransform - Fingertip → screen transform of the active calibration
+ *   profile (see src/utils/calibration.js); the default mirrors x, as the camera image is not mirrored
+ */
+export default function useRaycasting(
+    camera,
+    source,
+    bulbRefs,
+    pointingHand = 'either',
+    interpolation = null,
+    pointingTransform = DEFAULT_POINTING_TRANSFORM
+) {
     const [hitInfo, setHitInfo] = useState(null)
     const [pointing, setPointing] = useState(false)
+    const [pointingHandKey, setPointingHandKey] = useState(null)
     const lastHitIdRef = useRef(null)
     const selectionHoldRef = useRef(null) // Stores held selection info
     const holdTimeoutRef = useRef(null) // Timer for selection hold
+    const pointingRef = useRef(false) // Mirrors `pointing` for the hold timer
+    const activeHandRef = useRef(null) // Hand that currently owns the pointer (latest frame)
+    const displayTipRef = useRef(null) // Fingertip estimate of the latest render frame
+
+    const interpolator = interpolation?.interpolator ?? null
+    const displayRate = !!interpolator && interpolation.mode !== 'off'
 
     // Clear selection hold timeout
     const clearSelectionHold = useCallback(() => {
@@ -30,16 +60,17 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
             selectionHoldRef.current = null
             holdTimeoutRef.current = null
             // If no current intersection, clear hit info
-            if (!pointing) {
+            if (!pointingRef.current) {
                 setHitInfo(null)
             }
         }, SELECTION_HOLD_DURATION)
 
         console.log(`🔒 Holding selection for Bulb ${hitData.bulbId} for ${SELECTION_HOLD_DURATION / 1000} seconds`)
-    }, [pointing, clearSelectionHold])
+    }, [clearSelectionHold])
 
-    // Get the index finger tip position (landmark 8)
+    // Get the index finger tip position (landmark 8) of the latest frame
     const getFingerTipPosition = useCallback(() => {
+        const landmarks = activeHandRef.current?.landmarks
         if (!landmarks || !landmarks[8]) {
             return null
         }
@@ -49,15 +80,19 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
             y: landmarks[8].y,
             z: landmarks[8].z
         }
-    }, [landmarks])
+    }, [])
 
-    // Perform raycasting and update hit information
-    const performRaycast = useCallback(() => {
-        const fingerTip = getFingerTipPosition()
+    const updatePointing = useCallback((isPointing) => {
+        pointingRef.current = isPointing
+        setPointing(isPointing)
+    }, [])
 
+    // Perform raycasting and update hit information. With onlyOnChange, React state is only
+    // touched when the pointed bulb changes, so per-frame calls don't re-render the app
+    const performRaycast = useCallback((fingerTip, onlyOnChange = false) => {
         if (!camera || !fingerTip || !bulbRefs?.current) {
             setHitInfo(null)
-            setPointing(false)
+            updatePointing(false)
             lastHitIdRef.current = null
             return
         }
@@ -69,19 +104,14 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
 
         if (bulbMeshes.length === 0) {
             setHitInfo(null)
-            setPointing(false)
+            updatePointing(false)
             lastHitIdRef.current = null
             return
         }
 
-        // Perform intersection test
-        // Flip X coordinate to correct camera mirroring
-        const intersection = findIntersectedBulb(
-            camera,
-            1 - fingerTip.x,  // Flip X coordinate 
-            fingerTip.y,
-            bulbMeshes
-        )
+        // Perform intersection test at the screen point the fingertip aims at
+        const pointer = applyPointingTransform(pointingTransform, fingerTip)
+        const intersection = findIntersectedBulb(camera, pointer.x, pointer.y, bulbMeshes)
 
         if (intersection) {
             const newHitInfo = {
@@ -92,8 +122,8 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
                 fingerPosition: fingerTip
             }
 
-            setHitInfo(newHitInfo)
-            setPointing(true)
+            setHitInfo(previous => onlyOnChange && previous?.bulbId === newHitInfo.bulbId ? previous : newHitInfo)
+            updatePointing(true)
 
             // Log when hitting a new bulb
             if (lastHitIdRef.current !== intersection.bulbId) {
@@ -104,7 +134,7 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
                 setSelectionHold(newHitInfo)
             }
         } else {
-            setPointing(false)
+            updatePointing(false)
 
             // If we have a held selection and no current intersection, keep the held selection active
             if (selectionHoldRef.current) {
@@ -113,8 +143,10 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
                     ...selectionHoldRef.current,
                     fingerPosition: fingerTip // Update finger position for ray visualization
                 }
-                setHitInfo(heldHitInfo)
-                console.log(`🔒 Using held selection for Bulb ${selectionHoldRef.current.bulbId}`)
+                setHitInfo(previous => onlyOnChange && previous?.bulbId === heldHitInfo.bulbId ? previous : heldHitInfo)
+                if (!onlyOnChange) {
+                    console.log(`🔒 Using held selection for Bulb ${selectionHoldRef.current.bulbId}`)
+                }
             } else {
                 setHitInfo(null)
                 // Log when no longer pointing at any bulb
@@ -124,12 +156,59 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
                 }
             }
         }
-    }, [camera, getFingerTipPosition, bulbRefs, setSelectionHold])
+    }, [camera, bulbRefs, pointingTransform, setSelectionHold, updatePointing])
 
-    // Perform raycasting whenever landmarks change
+    // Follow the source's frames: pick the pointing hand and, unless display-rate raycasting
+    // covers it, raycast once per frame
     useEffect(() => {
-        performRaycast()
-    }, [performRaycast])
+        let lastHands = null
+
+        const handleState = ({ filteredHands }) => {
+            if (!filteredHands || filteredHands === lastHands) return
+            lastHands = filteredHands
+
+            // With 'either', the hand that started pointing keeps the pointer until it leaves the frame
+            const previousKey = activeHandRef.current?.key ?? null
+            const activeHand = selectPointingHand(filteredHands, pointingHand, previousKey)
+            activeHandRef.current = activeHand
+
+            if ((activeHand?.key ?? null) !== previousKey) {
+                console.log(activeHand ? `☝️ Pointer taken by ${activeHand.label || activeHand.key} hand` : '☝️ No pointing hand')
+                setPointingHandKey(activeHand?.key ?? null)
+            }
+
+            if (!displayRate) {
+                performRaycast(getFingerTipPosition(), true)
+                markRaycast()
+            }
+        }
+
+        handleState(source.getState())
+        return source.subscribe(handleState)
+    }, [source, pointingHand, displayRate, performRaycast, getFingerTipPosition])
+
+    /**
+     * Raycast from the interpolated fingertip; called every render frame (inside useFrame).
+     * React state only changes when the pointed bulb does.
+     * @param {number} now - Render time in ms (performance.now() clock)
+     */
+    const updateAtDisplayRate = useCallback((now) => {
+        if (!displayRate) return
+
+        const landmarks = activeHandRef.current ? interpolator.sample(activeHandRef.current.key, now) : null
+        const fingerTip = landmarks?.[8] ? { x: landmarks[8].x, y: landmarks[8].y, z: landmarks[8].z } : null
+
+        displayTipRef.current = fingerTip
+        performRaycast(fingerTip, true)
+        markRaycast()
+    }, [displayRate, interpolator, performRaycast])
+
+    // Screen point for the ray visual: where the render-frame estimate, or the latest frame's
+    // tip, aims
+    const getDisplayPointer = useCallback(() => {
+        const fingerTip = displayRate ? displayTipRef.current : getFingerTipPosition()
+        return fingerTip ? applyPointingTransform(pointingTransform, fingerTip) : null
+    }, [displayRate, getFingerTipPosition, pointingTransform])
 
     // Cleanup timeout on unmount
     useEffect(() => {
@@ -138,16 +217,33 @@ export default function useRaycasting(camera, landmarks, bulbRefs) {
         }
     }, [clearSelectionHold])
 
+    // Drop the pointer, held selection and hand ownership (e.g. when the stream goes stale)
+    const reset = useCallback(() => {
+        clearSelectionHold()
+        selectionHoldRef.current = null
+        lastHitIdRef.current = null
+        activeHandRef.current = null
+        displayTipRef.current = null
+        setHitInfo(null)
+        updatePointing(false)
+        setPointingHandKey(null)
+        console.log('🧹 Raycast state reset')
+    }, [clearSelectionHold, updatePointing])
+
     // Manual raycast function for external use
     const raycast = useCallback(() => {
-        performRaycast()
-    }, [performRaycast])
+        performRaycast(getFingerTipPosition())
+    }, [performRaycast, getFingerTipPosition])
 
     return {
         hitInfo,           // Current hit information { bulbId, object, point, distance, fingerPosition }
         pointing,          // Boolean: whether currently pointing at a bulb
-        fingerPosition: getFingerTipPosition(), // Current finger tip position
+        getFingerPosition: getFingerTipPosition, // Fingertip of the latest frame (read on demand)
         raycast,           // Manual raycast function
+        updateAtDisplayRate, // Per-render-frame raycast from interpolated landmarks (call in useFrame)
+        getDisplayPointer, // Screen point (0-1) to draw the ray to this render frame
+        reset,             // Clear pointer and held selection
+        pointingHandKey,   // Key of the hand driving the pointer
         isHoldingSelection: !!selectionHoldRef.current, // Boolean: whether using held selection
         selectionTimeRemaining: holdTimeoutRef.current ? SELECTION_HOLD_DURATION : 0 // Time remaining for held selection
     }
@@ -0,0 +1,14 @@
+// src/hooks/useRenderCount.js
+import { useEffect } from 'react'
+import { recordRender } from '../utils/renderStats'
+
+/**
+ * Count the component's committed renders (see renderStats.js)
+ * @param {string} name - Name shown in the Debug Panel
+ */
+export default function useRenderCount(name) {
+    // No dependency list: runs after every commit of the calling component
+    useEffect(() => {
+        recordRender(name)
+    })
+}
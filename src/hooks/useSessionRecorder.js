@@ -0,0 +1,72 @@
+// src/hooks/useSessionRecorder.js
+import { useState, useCallback, useRef } from 'react'
+import { serializeSession, downloadText } from '../utils/sessionFile'
+
+/**
+ * Hook for recording the raw hand tracking message stream to an NDJSON session
+ * @returns {Object} - { isRecording, recordedFrames, start, stop, record, download, clear }
+ */
+export default function useSessionRecorder() {
+    const [isRecording, setIsRecording] = useState(false)
+    const [recordedFrames, setRecordedFrames] = useState(0)
+    const entriesRef = useRef([])
+    const startTimeRef = useRef(0)
+    const isRecordingRef = useRef(false)
+
+    const start = useCallback(() => {
+        entriesRef.current = []
+        startTimeRef.current = performance.now()
+        isRecordingRef.current = true
+        setRecordedFrames(0)
+        setIsRecording(true)
+        console.log('⏺️ Session recording started')
+    }, [])
+
+    const stop = useCallback(() => {
+        isRecordingRef.current = false
+        setIsRecording(false)
+        setRecordedFrames(entriesRef.current.length)
+        console.log(`⏹️ Session recording stopped (${entriesRef.current.length} frames)`)
+    }, [])
+
+    // Called with every raw message received from the hand tracking source
+    const record = useCallback((message) => {
+        if (!isRecordingRef.current) return
+
+        entriesRef.current.push({
+            t: Math.round((performance.now() - startTimeRef.current) * 100) / 100,
+            message
+        })
+
+        // Keep the counter cheap: refresh it every 30 frames
+        if (entriesRef.current.length % 30 === 0) {
+            setRecordedFrames(entriesRef.current.length)
+        }
+    }, [])
+
+    const download = useCallback((meta = {}) => {
+        if (entriesRef.current.length === 0) {
+            console.warn('No recorded frames to download')
+            return
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+        downloadText(serializeSession(entriesRef.current, meta), `hand_session_${timestamp}.ndjson`)
+        console.log(`💾 Session exported (${entriesRef.current.length} frames)`)
+    }, [])
+
+    const clear = useCallback(() => {
+        entriesRef.current = []
+        setRecordedFrames(0)
+    }, [])
+
+    return {
+        isRecording,     // Boolean: whether messages are being captured
+        recordedFrames,  // Number of captured messages
+        start,           // Start a new recording (discards the previous one)
+        stop,            // Stop recording, keeping the captured frames
+        record,          // Message sink to pass to the hand tracking source
+        download,        // Download the recording as NDJSON
+        clear            // Discard captured frames
+    }
+}
@@ -0,0 +1,23 @@
+// src/hooks/useSetting.js
+import { useState, useCallback } from 'react'
+import { loadSetting, saveSetting } from '../utils/settings'
+
+/**
+ * useState backed by a persisted localStorage setting
+ * @param {string} key - Setting key
+ * @param {*} fallback - Value used when nothing is stored
+ * @returns {Array} - [value, setValue]
+ */
+export default function useSetting(key, fallback) {
+    const [value, setValue] = useState(() => loadSetting(key, fallback))
+
+    const setAndSave = useCallback((nextValue) => {
+        setValue(previous => {
+            const resolved = typeof nextValue === 'function' ? nextValue(previous) : nextValue
+            saveSetting(key, resolved)
+            return resolved
+        })
+    }, [key])
+
+    return [value, setAndSave]
+}
@@ -0,0 +1,52 @@
+// src/hooks/useSwipes.js
+import { useState, useCallback, useRef, useEffect } from 'react'
+
+export const SWIPE_ARROWS = { left: '⬅️', right: '➡️', up: '⬆️', down: '⬇️' }
+
+/**
+ * Hook relaying hand swipes (left, right, up, down; see SwipeDetector). Detection runs in the
+ * hand pipeline worker; this hook fires its swipe events on the main thread, straight from
+ * the source subscription. Events carry { type: 'swipe', hand, handedness, direction, speed,
+ * confidence }, like the pinch events. React state only changes when a swipe is reported.
+ * @param {HandSource} source - Active source from useHandPython (its swipes field is used)
+ * @returns {Object} - { lastSwipe, onSwipe, reset }
+ */
+export default function useSwipes(source) {
+    const [lastSwipe, setLastSwipe] = useState(null) // Latest swipe event
+    const swipeCallbackRef = useRef(null)
+
+    // Register callback for swipe events
+    const onSwipe = useCallback((callback) => {
+        swipeCallbackRef.current = callback
+    }, [])
+
+    // Relay the events of every processed frame
+    useEffect(() => {
+        let lastSwipes = null
+
+        return source.subscribe(({ swipes }) => {
+            if (!swipes || swipes === lastSwipes) return
+            lastSwipes = swipes
+            if (swipes.events.length === 0) return
+
+            swipes.events.forEach(event => {
+                const name = event.handedness || event.hand
+                console.log(`${SWIPE_ARROWS[event.direction]} Swipe ${event.direction} (${name}), ${event.speed.toFixed(1)} hands/s, confidence ${event.confidence.toFixed(2)}`)
+                swipeCallbackRef.current?.(event)
+            })
+
+            setLastSwipe(swipes.events[swipes.events.length - 1])
+        })
+    }, [source])
+
+    // Forget hand movement (e.g. when the stream goes stale) so old frames cannot swipe
+    const reset = useCallback(() => {
+        source.resetPipeline?.({ swipes: true })
+    }, [source])
+
+    return {
+        lastSwipe,      // { direction, speed, confidence, ... } of the latest swipe, or null
+        onSwipe,        // Register the swipe event callback
+        reset
+    }
+}
@@ -0,0 +1,57 @@
+// src/hooks/useTimeSince.js
+import { useState, useEffect } from 'react'
+
+/**
+ * Format a duration for status displays ("120ms", "3.4s", "2m 05s")
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—'
+    if (ms < 1000) return `${Math.round(ms)}ms`
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`
+
+    const seconds = Math.floor(ms / 1000)
+    return `${Math.floor(seconds / 60)}m ${(seconds % 60).toString().padStart(2, '0')}s`
+}
+
+// performance.now(), refreshed on an interval while `enabled`
+function useNow(enabled, interval) {
+    const [now, setNow] = useState(() => performance.now())
+
+    useEffect(() => {
+        if (!enabled) return
+
+        setNow(performance.now())
+        const timer = setInterval(() => setNow(performance.now()), interval)
+        return () => clearInterval(timer)
+    }, [enabled, interval])
+
+    return now
+}
+
+/**
+ * Milliseconds elapsed since a performance.now() timestamp, refreshed on an interval
+ * @param {number|null} since - performance.now() timestamp, or null
+ * @param {number} interval - Refresh interval in ms
+ * @returns {number|null} - Elapsed ms, or null when `since` is null
+ */
+export default function useTimeSince(since, interval = 250) {
+    const hasTime = since !== null && since !== undefined
+    const now = useNow(hasTime, interval)
+
+    return hasTime ? Math.max(0, now - since) : null
+}
+
+/**
+ * Milliseconds remaining until a performance.now() timestamp (countdowns)
+ * @param {number|null} until - performance.now() timestamp, or null
+ * @param {number} interval - Refresh interval in ms
+ * @returns {number|null} - Remaining ms (0 once reached), or null when `until` is null
+ */
+export function useTimeUntil(until, interval = 100) {
+    const hasTime = until !== null && until !== undefined
+    const now = useNow(hasTime, interval)
+
+    return hasTime ? Math.max(0, until - now) : null
+}
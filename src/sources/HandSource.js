@@ -0,0 +1,113 @@
+// src/sources/HandSource.js
+import { parseHands } from '../utils/handFrame'
+import { markFrameReceived } from '../utils/latencyTracker'
+
+// State patch for "no hand in view"
+export const NO_HANDS = { landmarks: null, hands: [] }
+
+/**
+ * Base class for hand tracking sources.
+ *
+ * A source produces state snapshots of the shape
+ *   { hands, landmarks, connectionStatus, error, frameCount, lastFrameAt, ...sourceSpecificFields }
+ * and pushes them to its subscribers whenever they change. Implementations
+ * override start()/stop() and feed raw /ws-format messages into handleMessage().
+ */
+export default class HandSource {
+    constructor({ id, label }) {
+        this.id = id
+        this.label = label
+        this.state = {
+            hands: [],                    // Every detected hand: [{ key, label, score, landmarks }]
+            landmarks: null,              // Landmarks of the first hand (21 points) or null
+            connectionStatus: 'disconnected',
+            error: null,                  // Error message string or null
+            frameCount: 0,                // Number of frames processed
+            lastFrameAt: null,            // performance.now() of the last landmark frame
+            serverTime: null,             // Server clock of the last frame in ms (capture time if sent), or null
+            streamId: 0                   // Bumped by resetStream() when the frames start over
+        }
+        this.listeners = new Set()
+        this.messageListeners = new Set()
+    }
+
+    /**
+     * Subscribe to state changes
+     * @param {Function} listener - Called with the new state snapshot
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener)
+        return () => this.listeners.delete(listener)
+    }
+
+    /**
+     * Subscribe to every raw message the source handles (used for session recording)
+     * @param {Function} listener - Called with the raw message object
+     * @returns {Function} - Unsubscribe function
+     */
+    onMessage(listener) {
+        this.messageListeners.add(listener)
+        return () => this.messageListeners.delete(listener)
+    }
+
+    getState() {
+        return this.state
+    }
+
+    // Merge a partial state and notify subscribers
+    update(patch) {
+        this.state = { ...this.state, ...patch }
+        this.listeners.forEach(listener => listener(this.state))
+    }
+
+    /**
+     * Interpret a message in the /ws protocol format
+     * @param {Object} data - Raw message
+     * @param {Object} timing - { receivedAt, capturedAt } in performance.now() time (capturedAt needs a synced clock)
+     */
+    handleMessage(data, timing = {}) {
+        this.messageListeners.forEach(listener => listener(data))
+
+        if (data.error) {
+            this.update({ error: data.error, ...NO_HANDS })
+            return
+        }
+
+        const hands = parseHands(data)
+        const receivedAt = timing.receivedAt ?? performance.now()
+        const serverTimestamp = data.capture_timestamp ?? data.timestamp
+
+        markFrameReceived({
+            frameCount: data.frame_count || 0,
+            receivedAt,
+            capturedAt: timing.capturedAt ?? null
+        })
+
+        this.update({
+            hands,
+            landmarks: hands[0]?.landmarks ?? null,
+            frameCount: data.frame_count || 0,
+            lastFrameAt: receivedAt,
+            serverTime: typeof serverTimestamp === 'number' ? serverTimestamp * 1000 : null,
+            error: null
+        })
+    }
+
+    // The frames start over (a replay looped or restarted): the pipeline forgets the history it
+    // keeps per stream, as when the source starts, so the earlier timestamps are not a glitch
+    resetStream() {
+        this.update({ streamId: this.state.streamId + 1 })
+    }
+
+    // Begin producing frames
+    start() { }
+
+    // Stop producing frames and release resources
+    stop() { }
+
+    reconnect() {
+        this.stop()
+        this.start()
+    }
+}
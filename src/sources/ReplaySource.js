@@ -0,0 +1,149 @@
+// src/sources/ReplaySource.js
+import HandSource, { NO_HANDS } from './HandSource'
+import { parseSession } from '../utils/sessionFile'
+
+export const REPLAY_SPEEDS = [0.5, 1, 2]
+
+/**
+ * Hand source replaying a recorded NDJSON session at its original timing
+ * (scaled by `speed`), frame-by-frame, or looped.
+ */
+export default class ReplaySource extends HandSource {
+    constructor({ id = 'replay', label = 'Recorded file' } = {}) {
+        super({ id, label })
+        this.entries = []
+        this.index = 0 // Index of the next entry to play
+        this.timer = null
+        this.update({
+            sessionName: null,
+            totalFrames: 0,
+            position: 0,       // Number of entries played so far
+            isPlaying: false,
+            speed: 1,
+            loop: false
+        })
+    }
+
+    /**
+     * Load a session File and start playing it
+     * @param {File} file - NDJSON session file
+     */
+    async load(file) {
+        try {
+            const { entries } = parseSession(await file.text())
+
+            this.pause()
+            this.entries = entries
+            this.rewind()
+            this.update({
+                sessionName: file.name,
+                totalFrames: entries.length,
+                position: 0,
+                ...NO_HANDS,
+                error: null
+            })
+            console.log(`▶️ Replaying session ${file.name} (${entries.length} frames)`)
+            this.play()
+        } catch (loadError) {
+            console.error('Failed to load session file:', loadError)
+            this.update({ error: `Failed to load session: ${loadError.message}` })
+        }
+    }
+
+    start() {
+        if (this.entries.length > 0) {
+            this.play()
+        } else {
+            this.update({ connectionStatus: 'disconnected', error: 'No session loaded. Use 📂 Replay to pick a file.' })
+        }
+    }
+
+    stop() {
+        this.pause()
+        this.update(NO_HANDS)
+    }
+
+    play() {
+        if (this.entries.length === 0) return
+
+        if (this.index >= this.entries.length) {
+            this.rewind()
+        }
+
+        clearTimeout(this.timer)
+        this.update({ isPlaying: true, connectionStatus: 'replaying', error: null })
+        this.advance()
+    }
+
+    pause() {
+        clearTimeout(this.timer)
+        this.timer = null
+
+        if (this.entries.length > 0) {
+            this.update({ isPlaying: false, connectionStatus: this.index >= this.entries.length ? 'ended' : 'paused' })
+        }
+    }
+
+    restart() {
+        this.rewind()
+        this.play()
+    }
+
+    // Back to the first entry, whose timestamps precede the ones played so far
+    rewind() {
+        this.index = 0
+        this.resetStream()
+    }
+
+    reconnect() {
+        this.restart()
+    }
+
+    // Frame-by-frame: pause and apply exactly one entry
+    step() {
+        if (this.entries.length === 0) return
+
+        this.pause()
+        if (this.index >= this.entries.length) {
+            if (!this.state.loop) return
+            this.rewind()
+        }
+
+        this.playEntry()
+        this.update({ connectionStatus: this.index >= this.entries.length ? 'ended' : 'paused' })
+    }
+
+    setSpeed(speed) {
+        this.update({ speed })
+    }
+
+    setLoop(loop) {
+        this.update({ loop })
+    }
+
+    // Apply the entry at the current index and move on
+    playEntry() {
+        this.handleMessage(this.entries[this.index].message)
+        this.index += 1
+        this.update({ position: this.index })
+    }
+
+    // Playback loop, re-timed from the recorded offsets
+    advance() {
+        if (this.index >= this.entries.length) {
+            if (!this.state.loop) {
+                console.log('⏹️ Session replay finished')
+                this.pause()
+                return
+            }
+            this.rewind()
+        }
+
+        const current = this.entries[this.index]
+        const next = this.entries[this.index + 1]
+        this.playEntry()
+
+        const delay = next ? (next.t - current.t) / this.state.speed : 0
+        this.timer = setTimeout(() => this.advance(), Math.max(0, delay))
+    }
+}
@@ -0,0 +1,58 @@
+// src/sources/SyntheticSource.js
+import HandSource, { NO_HANDS } from './HandSource'
+import { DEFAULT_SCRIPT, sampleHand } from '../utils/poseScript'
+import { createRandom } from '../utils/handPoseGenerator'
+
+const FRAME_INTERVAL = 33 // ~30 FPS, same as the Python backend
+
+/**
+ * Hand source generating scripted synthetic landmarks in the /ws message format,
+ * so the gesture and raycast logic can be exercised without a camera server.
+ */
+export default class SyntheticSource extends HandSource {
+    constructor({
+        id = 'synthetic',
+        label = 'Synthetic generator',
+        script = DEFAULT_SCRIPT,
+        handedness = 'Right',
+        noise = 0,       // Landmark jitter (normalized units), e.g. 0.002 for camera-like noise
+        seed = 1
+    } = {}) {
+        super({ id, label })
+        this.script = script
+        this.handOptions = { handedness, noise }
+        this.seed = seed
+        this.interval = null
+        this.frame = 0
+        this.startTime = 0
+    }
+
+    start() {
+        this.stop()
+        this.frame = 0
+        this.startTime = performance.now()
+        this.random = createRandom(this.seed) // Same seed → same noise on every start
+        this.update({ connectionStatus: 'connected', error: null })
+
+        this.interval = setInterval(() => this.emitFrame(), FRAME_INTERVAL)
+    }
+
+    stop() {
+        clearInterval(this.interval)
+        this.interval = null
+        this.update({ connectionStatus: 'disconnected', ...NO_HANDS })
+    }
+
+    emitFrame() {
+        const elapsed = performance.now() - this.startTime
+        const hand = sampleHand(this.script, elapsed, { ...this.handOptions, random: this.random })
+        this.frame += 1
+
+        this.handleMessage({
+            hands: hand ? [hand] : [],
+            landmarks: hand?.landmarks ?? null,
+            frame_count: this.frame,
+            timestamp: elapsed / 1000
+        })
+    }
+}
@@ -0,0 +1,455 @@
+// src/sources/WebSocketSource.js
+import HandSource, { NO_HANDS } from './HandSource'
+import { resolveEndpoints, saveEndpointOverride } from '../utils/endpointConfig'
+import ClockSync from '../utils/clockSync'
+import {
+    DEFAULT_RECONNECT_POLICY,
+    resolveReconnectPolicy,
+    saveReconnectPolicy,
+    getReconnectDelay,
+    canRetry
+} from '../utils/reconnectPolicy'
+import { COMMAND_TIMEOUT, isCommandReply } from '../utils/backendProtocol'
+
+const CLOCK_SYNC_BURST = 5           // Pings sent right after connecting
+const CLOCK_SYNC_BURST_INTERVAL = 200 // ms between burst pings
+const CLOCK_SYNC_INTERVAL = 5000      // ms between pings once synced
+const STALE_TIMEOUT = 1500            // ms without a message before the stream counts as stale
+const WATCHDOG_INTERVAL = 500         // ms between stream health checks
+const HEARTBEAT_TIMEOUT = CLOCK_SYNC_INTERVAL * 3 // ms without a pong before the socket is dropped
+
+// Statuses for a socket that is open but not delivering usable frames
+const DEGRADED_STATUSES = ['stale', 'camera-unavailable']
+
+/**
+ * Hand source streaming from a /ws endpoint (the FastAPI backend or a mock server).
+ * Tries an ordered list of endpoints and fails over to the next one when an endpoint
+ * cannot be reached. A watchdog reports 'stale' when an open socket stops delivering
+ * frames and 'camera-unavailable' when the server has no camera. Dropped connections
+ * are retried with exponential backoff, and immediately when the browser comes back
+ * online or the tab becomes visible again. Commands (get_config/set_config) can be
+ * sent back to the server with sendCommand().
+ */
+export default class WebSocketSource extends HandSource {
+    /**
+     * @param {Object} options - { id, label, endpoints, endpointSource, policy, browserEvents }
+     * When `endpoints` is given the configuration layers (query/localStorage/env) are bypassed;
+     * `endpointSource` then names where they came from (default 'fixed'). `policy` replaces the
+     * stored reconnect policy. Without `browserEvents` (e.g. in a worker, which has no document)
+     * the page has to call retryNow() itself when it comes back online or into view.
+     */
+    constructor({
+        id = 'websocket',
+        label = 'Python backend',
+        endpoints = null,
+        endpointSource = 'fixed',
+        policy = null,
+        browserEvents = true
+    } = {}) {
+        super({ id, label })
+        this.fixedEndpoints = endpoints
+        this.fixedEndpointSource = endpointSource
+        this.browserEvents = browserEvents
+        this.ws = null
+        this.reconnectTimeout = null
+        this.reconnectAttempts = 0
+        this.endpointIndex = 0 // Position in the ordered failover list
+        this.clockSync = new ClockSync()
+        this.pingTimeout = null
+        this.pingsSent = 0
+        this.watchdogInterval = null
+        this.lastMessageAt = 0   // performance.now() of the last frame or error message
+        this.lastPongAt = null   // performance.now() of the last pong (null until the server answers one)
+        this.state.clock = null // { offset, rtt } in ms once the server answered a ping
+        this.active = false      // Between start() and stop()
+        this.policy = policy ?? resolveReconnectPolicy()
+        this.state.reconnectPolicy = this.policy
+        this.state.reconnectAttempt = 0  // Attempts since the last successful connection
+        this.state.nextRetryAt = null    // performance.now() of the scheduled retry, or null
+        this.state.backendConfig = null  // Tracking parameters reported by the server (get_config)
+        this.pendingCommands = new Map() // Command id → { resolve, reject, timer }
+        this.nextCommandId = 1
+
+        this.handleOnline = () => this.retryNow('network back online')
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                this.retryNow('tab visible again')
+            }
+        }
+
+        this.resolveEndpointConfig()
+    }
+
+    resolveEndpointConfig() {
+        this.setEndpoints(this.fixedEndpoints
+            ? { endpoints: this.fixedEndpoints, source: this.fixedEndpointSource }
+            : resolveEndpoints())
+    }
+
+    /**
+     * Replace the endpoint list (takes effect on the next connection attempt)
+     * @param {Object} config - { endpoints, source } as returned by resolveEndpoints()
+     */
+    setEndpoints(config) {
+        this.endpointIndex = 0
+        this.update({
+            endpoints: config.endpoints,     // Ordered failover list
+            endpointSource: config.source,   // 'query' | 'localStorage' | 'env' | 'default' | 'fixed'
+            activeEndpoint: null             // Endpoint currently in use (or being tried)
+        })
+    }
+
+    start() {
+        this.active = true
+        if (this.browserEvents) {
+            window.addEventListener('online', this.handleOnline)
+            document.addEventListener('visibilitychange', this.handleVisibilityChange)
+        }
+        this.connect()
+    }
+
+    connect() {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            return // Already connected
+        }
+
+        const { endpoints } = this.state
+        const endpoint = endpoints[this.endpointIndex] || endpoints[0]
+        let opened = false
+
+        console.log(`Connecting to hand tracking WebSocket at ${endpoint}...`)
+        this.update({ connectionStatus: 'connecting', activeEndpoint: endpoint, error: null })
+
+        try {
+            const ws = new WebSocket(endpoint)
+            this.ws = ws
+
+            ws.onopen = () => {
+                opened = true
+                console.log(`✅ WebSocket connected to hand tracking server at ${endpoint}`)
+                this.update({ connectionStatus: 'connected', error: null, reconnectAttempt: 0, nextRetryAt: null })
+                this.reconnectAttempts = 0
+                this.startClockSync()
+                this.startWatchdog()
+                this.fetchBackendConfig()
+            }
+
+            ws.onmessage = (event) => {
+                const receivedAt = performance.now()
+
+                try {
+                    const data = JSON.parse(event.data)
+
+                    if (data.type === 'pong') {
+                        this.clockSync.handlePong(data, receivedAt)
+                        this.lastPongAt = receivedAt
+                        this.update({ clock: this.clockSync.getStatus() })
+                        return
+                    }
+
+                    if (isCommandReply(data)) {
+                        this.handleCommandReply(data)
+                        return
+                    }
+
+                    this.handleMessage(data, {
+                        receivedAt,
+                        capturedAt: this.clockSync.toClientTime(data.capture_timestamp)
+                    })
+
+                    // Log every 60 frames to avoid spam
+                    if (data.frame_count && data.frame_count % 60 === 0) {
+                        console.log(`📊 Processed ${data.frame_count} frames, Hand detected: ${data.landmarks ? '✅' : '❌'}`)
+                    }
+                } catch (parseError) {
+                    console.warn('Failed to parse WebSocket message:', parseError)
+                }
+            }
+
+            ws.onerror = (error) => {
+                console.error('❌ WebSocket error:', error)
+                this.update({ error: 'WebSocket connection error', connectionStatus: 'error' })
+            }
+
+            ws.onclose = (event) => {
+                console.log('🔌 WebSocket connection closed:', event.code, event.reason)
+
+                if (event.code === 1000 || this.ws !== ws) {
+                    return // Manually closed, or superseded by a newer connection
+                }
+
+                this.update({ connectionStatus: 'disconnected', ...NO_HANDS })
+                this.ws = null
+                this.stopClockSync()
+                this.stopWatchdog()
+                this.rejectPendingCommands('Connection closed')
+
+                // Endpoint never answered: fail over to the next one in the list straight away
+                if (!opened && this.endpointIndex < endpoints.length - 1) {
+                    this.endpointIndex += 1
+                    console.log(`↪️ ${endpoint} unreachable, trying ${endpoints[this.endpointIndex]}`)
+                    this.connect()
+                    return
+                }
+
+                // Whole list tried (or a live connection dropped): back off and start again from the top
+                this.endpointIndex = 0
+                this.scheduleReconnect()
+            }
+        } catch (connectionError) {
+            console.error('Failed to create WebSocket connection:', connectionError)
+            this.update({ connectionStatus: 'error', error: 'Failed to connect to hand tracking server' })
+        }
+    }
+
+    // Schedule the next attempt according to the reconnect policy, or give up
+    scheduleReconnect() {
+        const attempt = this.reconnectAttempts + 1
+        const { maxAttempts } = this.policy
+
+        if (!canRetry(attempt, this.policy)) {
+            console.warn(`🛑 Giving up after ${this.reconnectAttempts} reconnection attempts`)
+            this.update({
+                nextRetryAt: null,
+                error: `Gave up after ${this.reconnectAttempts} reconnection attempts. Press Reconnect to try again.`
+            })
+            return
+        }
+
+        const delay = getReconnectDelay(attempt, this.policy)
+        this.reconnectAttempts = attempt
+        console.log(`🔄 Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${maxAttempts ?? '∞'})...`)
+
+        this.update({ reconnectAttempt: attempt, nextRetryAt: performance.now() + delay })
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null
+            this.update({ nextRetryAt: null })
+            this.connect()
+        }, delay)
+    }
+
+    // Skip the backoff and connect straight away (no-op while connected or connecting)
+    retryNow(reason = 'manual retry') {
+        if (!this.active || this.ws) return
+
+        console.log(`⚡ Retrying now: ${reason}`)
+        clearTimeout(this.reconnectTimeout)
+        this.reconnectTimeout = null
+        this.reconnectAttempts = 0
+        this.endpointIndex = 0
+        this.update({ reconnectAttempt: 0, nextRetryAt: null, error: null })
+        this.connect()
+    }
+
+    // Persist whether to retry forever (kiosk mode) and apply it to the running policy
+    setUnlimitedRetries(enabled) {
+        saveReconnectPolicy({ maxAttempts: enabled ? null : DEFAULT_RECONNECT_POLICY.maxAttempts })
+        this.applyReconnectPolicy(resolveReconnectPolicy())
+    }
+
+    /**
+     * Use a new reconnect policy from now on
+     * @param {Object} policy - Reconnect policy (see DEFAULT_RECONNECT_POLICY)
+     */
+    applyReconnectPolicy(policy) {
+        this.policy = policy
+        this.update({ reconnectPolicy: policy })
+
+        // Already gave up but retries are unlimited now: start retrying again
+        if (policy.maxAttempts === null && !this.reconnectTimeout) {
+            this.retryNow('unlimited retries enabled')
+        }
+    }
+
+    // Ping the server (a burst first, then periodically) to keep the clock offset fresh
+    startClockSync() {
+        this.stopClockSync()
+        this.clockSync.reset()
+        this.update({ clock: null })
+
+        const ping = () => {
+            if (this.ws?.readyState !== WebSocket.OPEN) return
+
+            this.ws.send(JSON.stringify(this.clockSync.createPing()))
+            this.pingsSent += 1
+
+            const delay = this.pingsSent < CLOCK_SYNC_BURST ? CLOCK_SYNC_BURST_INTERVAL : CLOCK_SYNC_INTERVAL
+            this.pingTimeout = setTimeout(ping, delay)
+        }
+
+        ping()
+    }
+
+    stopClockSync() {
+        clearTimeout(this.pingTimeout)
+        this.pingTimeout = null
+        this.pingsSent = 0
+    }
+
+    handleMessage(data, timing = {}) {
+        super.handleMessage(data, timing)
+        this.lastMessageAt = performance.now()
+
+        const { connectionStatus } = this.state
+
+        if (data.error) {
+            if (data.code === 'camera_unavailable' && connectionStatus !== 'camera-unavailable') {
+                console.warn('📷 Server reports no camera')
+                this.update({ connectionStatus: 'camera-unavailable' })
+            }
+        } else if (DEGRADED_STATUSES.includes(connectionStatus)) {
+            console.log(`▶️ Frames resumed (was ${connectionStatus})`)
+            this.update({ connectionStatus: 'connected' })
+        }
+    }
+
+    /**
+     * Send a command to the server and wait for its reply
+     * @param {string} type - Command type ('get_config' | 'set_config')
+     * @param {Object} payload - Extra command fields
+     * @returns {Promise<Object>} - Resolves with the ack, rejects with the server's error message
+     */
+    sendCommand(type, payload = {}) {
+        if (this.ws?.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('Not connected to the tracking server'))
+        }
+
+        const id = this.nextCommandId++
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingCommands.delete(id)
+                reject(new Error(`No reply to ${type} within ${COMMAND_TIMEOUT / 1000}s`))
+            }, COMMAND_TIMEOUT)
+
+            this.pendingCommands.set(id, { resolve, reject, timer })
+            this.ws.send(JSON.stringify({ type, id, ...payload }))
+        })
+    }
+
+    handleCommandReply(data) {
+        const pending = this.pendingCommands.get(data.id)
+        if (!pending) return // Timed out already
+
+        clearTimeout(pending.timer)
+        this.pendingCommands.delete(data.id)
+
+        if (data.type === 'ack') {
+            pending.resolve(data)
+        } else {
+            pending.reject(new Error(data.message || `${data.command} failed`))
+        }
+    }
+
+    rejectPendingCommands(reason) {
+        this.pendingCommands.forEach(({ reject, timer }) => {
+            clearTimeout(timer)
+            reject(new Error(reason))
+        })
+        this.pendingCommands.clear()
+    }
+
+    // Read the server's tracking parameters (older servers without commands simply time out)
+    async fetchBackendConfig() {
+        try {
+            const reply = await this.sendCommand('get_config')
+            this.update({ backendConfig: reply.config })
+        } catch (commandError) {
+            console.warn('⚙️ Backend config unavailable:', commandError.message)
+            this.update({ backendConfig: null })
+        }
+    }
+
+    /**
+     * Change tracking parameters on the server
+     * @param {Object} patch - Parameters to change, e.g. { target_fps: 20 }
+     * @returns {Promise<Object>} - The full config after the change
+     */
+    async setBackendConfig(patch) {
+        const reply = await this.sendCommand('set_config', { config: patch })
+        console.log('⚙️ Backend config updated:', patch)
+        this.update({ backendConfig: reply.config })
+        return reply.config
+    }
+
+    startWatchdog() {
+        this.stopWatchdog()
+        this.lastMessageAt = performance.now()
+        this.lastPongAt = null
+        this.watchdogInterval = setInterval(() => this.checkStream(), WATCHDOG_INTERVAL)
+    }
+
+    stopWatchdog() {
+        clearInterval(this.watchdogInterval)
+        this.watchdogInterval = null
+    }
+
+    // Watchdog tick: flag a silent stream as stale and drop a socket whose server stopped answering pings
+    checkStream() {
+        const now = performance.now()
+        const { connectionStatus } = this.state
+
+        if (this.lastPongAt !== null && now - this.lastPongAt > HEARTBEAT_TIMEOUT) {
+            console.warn(`💔 No heartbeat for ${Math.round(now - this.lastPongAt)}ms, dropping connection`)
+            this.lastPongAt = null
+            this.ws?.close(4000, 'Heartbeat timeout') // Non-1000 code: onclose reconnects
+            return
+        }
+
+        if ((connectionStatus === 'connected' || connectionStatus === 'camera-unavailable') &&
+            now - this.lastMessageAt > STALE_TIMEOUT) {
+            console.warn(`⏸️ No frames for ${Math.round(now - this.lastMessageAt)}ms, stream is stale`)
+            this.update({ connectionStatus: 'stale', ...NO_HANDS })
+        }
+    }
+
+    stop() {
+        this.active = false
+        if (this.browserEvents) {
+            window.removeEventListener('online', this.handleOnline)
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+        }
+
+        this.stopClockSync()
+        this.stopWatchdog()
+        this.rejectPendingCommands('Disconnected')
+
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout)
+            this.reconnectTimeout = null
+        }
+
+        if (this.ws) {
+            console.log('🔌 Manually disconnecting WebSocket')
+            this.ws.close(1000, 'Manual disconnect')
+            this.ws = null
+        }
+
+        this.update({
+            connectionStatus: 'disconnected',
+            ...NO_HANDS,
+            error: null,
+            reconnectAttempt: 0,
+            nextRetryAt: null,
+            backendConfig: null
+        })
+        this.reconnectAttempts = 0
+        this.endpointIndex = 0
+    }
+
+    // Drop the socket the way a network failure would (fault injection): the reconnect logic takes over.
+    // Returns whether there was a socket to drop
+    simulateDisconnect() {
+        if (!this.ws) return false
+        console.warn('🧪 Simulating a dropped connection')
+        this.ws.close(4001, 'Simulated disconnect') // Non-1000 code: onclose reconnects
+        return true
+    }
+
+    // Persist a localStorage endpoint override (null clears it) and reconnect with the new list
+    setEndpointOverride(value) {
+        saveEndpointOverride(value)
+        this.resolveEndpointConfig()
+        this.reconnect()
+    }
+}
@@ -0,0 +1,263 @@
+// src/sources/WorkerHandSource.js
+import HandSource from './HandSource'
+import { resolveEndpoints, saveEndpointOverride } from '../utils/endpointConfig'
+import { DEFAULT_RECONNECT_POLICY, resolveReconnectPolicy, saveReconnectPolicy } from '../utils/reconnectPolicy'
+import { markFrameReceived } from '../utils/latencyTracker'
+import { createHandFrame } from '../utils/handFrame'
+import { TIME_FIELDS, unpackFrame } from '../workers/pipelineProtocol'
+
+// Methods forwarded to the source inside the worker, by source kind; each returns a Promise
+const REMOTE_METHODS = {
+    websocket: ['retryNow', 'sendCommand', 'fetchBackendConfig', 'setBackendConfig'],
+    replay: ['load', 'play', 'pause', 'step', 'restart', 'setSpeed', 'setLoop'],
+    synthetic: []
+}
+
+let worker = null
+let timeOffset = 0             // Worker performance.now() + timeOffset = page performance.now()
+let nextCallId = 1
+const pendingCalls = new Map() // Call id → { resolve, reject }
+const proxies = new Map()      // Source id → WorkerHandSource
+
+function toPageTime(time) {
+    return typeof time === 'number' ? time + timeOffset : time
+}
+
+function handleWorkerMessage(event) {
+    const message = event.data
+
+    switch (message.type) {
+        case 'hello':
+            timeOffset = message.timeOrigin - performance.timeOrigin
+            break
+        case 'update':
+            proxies.get(message.id)?.applyUpdate(message)
+            break
+        case 'message':
+            proxies.get(message.id)?.messageListeners.forEach(listener => listener(message.data))
+            break
+        case 'result': {
+            const call = pendingCalls.get(message.callId)
+            if (!call) break
+            pendingCalls.delete(message.callId)
+            if (message.error) {
+                call.reject(new Error(message.error))
+            } else {
+                call.resolve(message.value)
+            }
+            break
+        }
+    }
+}
+
+// An uncaught error in the worker: the calls in flight will not be answered
+function handleWorkerError(error) {
+    console.error('❌ Hand pipeline worker error:', error.message)
+    pendingCalls.forEach(call => call.reject(new Error(`Hand pipeline worker error: ${error.message}`)))
+    pendingCalls.clear()
+}
+
+// One worker runs every source, so switching sources keeps their connections and filters warm
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('../workers/handPipeline.worker.js', import.meta.url), { type: 'module' })
+        worker.onmessage = handleWorkerMessage
+        worker.onerror = handleWorkerError
+    }
+    return worker
+}
+
+/**
+ * Main-thread stand-in for a hand source running in the hand pipeline worker
+ * (src/workers/handPipeline.worker.js). The worker owns the socket or generator, validates
+ * and smooths the landmarks, classifies pinches and recognises gestures and swipes;
+ * this class mirrors its state, adding
+ *   { frame, filteredHands, pinch: { states, events }, gestures: { states, events },
+ *     swipes: { states, events }, jitter, rejections, faultStats }
+ * where frame is the typed HandFrame (see handFrame.js) with world landmarks and visibility.
+ * Settings that live in localStorage (endpoint override, reconnect policy) are resolved
+ * here and handed to the worker, as are the browser's online/visibility events.
+ */
+export default class WorkerHandSource extends HandSource {
+    /**
+     * @param {Object} options - { id, label, kind, endpoints }
+     * `kind` picks the source class in the worker ('websocket' | 'replay' | 'synthetic');
+     * `endpoints` fixes the list of a websocket source (otherwise it is resolved from settings).
+     */
+    constructor({ id, label, kind, endpoints = null }) {
+        super({ id, label })
+        this.kind = kind
+        this.fixedEndpoints = endpoints
+        this.state.frame = createHandFrame({ hands: [] }) // Typed HandFrame of the latest frame
+        this.state.filteredHands = []                   // Smoothed hands (same order as hands)
+        this.state.pinch = { states: {}, events: [] }   // Pinch classification of the latest frame
+        this.state.gestures = { states: {}, events: [] } // Gesture recognition of the latest frame
+        this.state.swipes = { states: {}, events: [] }  // Swipe detection of the latest frame
+        this.state.jitter = {}                          // Hand key → { raw, filtered } jitter
+        this.state.rejections = {}                      // Rejection reason → hands rejected by the frame validator
+        this.state.faultStats = null                    // Fault injection counters ({ dropped, delayed, ... })
+        this.canSimulateDisconnect = kind === 'websocket' // Only sources with a connection can lose it
+
+        this.handleOnline = () => this.callInBackground('retryNow', 'network back online')
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                this.callInBackground('retryNow', 'tab visible again')
+            }
+        }
+
+        // Only the methods of this kind exist, so callers can feature-detect them as before
+        REMOTE_METHODS[kind].forEach(method => {
+            this[method] = (...args) => this.call(method, ...args)
+        })
+
+        proxies.set(id, this)
+    }
+
+    // Constructor options for the source inside the worker
+    getSourceOptions() {
+        if (this.kind !== 'websocket') {
+            return { label: this.label }
+        }
+
+        const config = this.fixedEndpoints
+            ? { endpoints: this.fixedEndpoints, source: 'fixed' }
+            : resolveEndpoints()
+
+        return {
+            label: this.label,
+            endpoints: config.endpoints,
+            endpointSource: config.source,
+            policy: resolveReconnectPolicy()
+        }
+    }
+
+    post(message) {
+        getWorker().postMessage({ ...message, id: this.id })
+    }
+
+    /**
+     * Call a method of the source inside the worker
+     * @param {string} method - Method name
+     * @param {...*} args - Structured-cloneable arguments
+     * @returns {Promise} - Resolves with the method's (awaited) return value
+     */
+    call(method, ...args) {
+        const callId = nextCallId++
+        return new Promise((resolve, reject) => {
+            pendingCalls.set(callId, { resolve, reject })
+            this.post({
+                type: 'call',
+                callId,
+                kind: this.kind,
+                options: this.getSourceOptions(),
+                method,
+                args
+            })
+        })
+    }
+
+    // Call a method nobody waits for; a failure is only logged
+    callInBackground(method, ...args) {
+        this.call(method, ...args).catch(callError => console.warn(`Worker call ${method} failed:`, callError.message))
+    }
+
+    // Mirror a state update posted by the worker
+    applyUpdate({ patch, frame }) {
+        const next = { ...patch }
+        TIME_FIELDS.forEach(field => {
+            if (field in next) next[field] = toPageTime(next[field])
+        })
+
+        if (frame) {
+            const { hands, filteredHands, pinch, gestures, swipes, jitter, isNewFrame, timing } = unpackFrame(frame)
+            const pageTiming = isNewFrame && timing
+                ? { frameCount: timing.frameCount, receivedAt: toPageTime(timing.receivedAt), capturedAt: toPageTime(timing.capturedAt) }
+                : null
+
+            if (pageTiming) {
+                markFrameReceived(pageTiming)
+            }
+
+            Object.assign(next, {
+                frame: createHandFrame({
+                    hands,
+                    frameCount: next.frameCount ?? this.state.frameCount,
+                    receivedAt: next.lastFrameAt ?? this.state.lastFrameAt,
+                    capturedAt: pageTiming?.capturedAt ?? null
+                }),
+                hands,
+                landmarks: hands[0]?.landmarks ?? null,
+                filteredHands,
+                pinch,
+                gestures,
+                swipes,
+                jitter
+            })
+        }
+
+        this.update(next)
+    }
+
+    start() {
+        if (this.kind === 'websocket') {
+            window.addEventListener('online', this.handleOnline)
+            document.addEventListener('visibilitychange', this.handleVisibilityChange)
+        }
+        this.post({ type: 'start', kind: this.kind, options: this.getSourceOptions() })
+    }
+
+    stop() {
+        if (this.kind === 'websocket') {
+            window.removeEventListener('online', this.handleOnline)
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+        }
+        this.post({ type: 'stop' })
+    }
+
+    reconnect() {
+        this.callInBackground('reconnect')
+    }
+
+    /**
+     * Send pipeline settings to the worker (they apply to every source); omitted parts are kept
+     * @param {Object} settings - { filter: { type, params }, validation: { policy }, faults, pinch,
+     *   customGestures } where faults are fault injection settings (see faultInjector.js), pinch
+     *   the pinch thresholds (see pinchClassifier.js) and customGestures the Gesture Studio
+     *   records (see customGestures.js)
+     */
+    configurePipeline({ filter = null, validation = null, faults = null, pinch = null, customGestures = null }) {
+        this.post({ type: 'configure', filter, validation, faults, pinch, customGestures })
+    }
+
+    /**
+     * Forget per-hand pipeline history without emitting events
+     * @param {Object} parts - { filter, pinch, gestures, swipes, rejections, faultStats } flags selecting what
+     *   to reset (rejections and faultStats clear the validator's and fault injector's counters)
+     */
+    resetPipeline({ filter = false, pinch = false, gestures = false, swipes = false, rejections = false, faultStats = false } = {}) {
+        this.post({ type: 'reset', filter, pinch, gestures, swipes, rejections, faultStats })
+    }
+
+    // Fault injection: drop the connection now, as a network failure would
+    simulateDisconnect() {
+        this.post({ type: 'disconnect' })
+    }
+
+    // Raw messages only cross the thread boundary while someone needs them (session recording)
+    setMessageForwarding(enabled) {
+        this.post({ type: 'forward', enabled })
+    }
+
+    // Persist a localStorage endpoint override (null clears it) and reconnect with the new list
+    setEndpointOverride(value) {
+        saveEndpointOverride(value)
+        this.callInBackground('setEndpoints', resolveEndpoints())
+        this.reconnect()
+    }
+
+    // Persist whether reconnects continue forever instead of giving up after maxAttempts
+    setUnlimitedRetries(enabled) {
+        saveReconnectPolicy({ maxAttempts: enabled ? null : DEFAULT_RECONNECT_POLICY.maxAttempts })
+        this.callInBackground('applyReconnectPolicy', resolveReconnectPolicy())
+    }
+}
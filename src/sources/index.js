@@ -0,0 +1,25 @@
+// src/sources/index.js
+import WorkerHandSource from './WorkerHandSource'
+import { MOCK_ENDPOINT } from '../utils/endpointConfig'
+
+// Interchangeable hand tracking sources, selectable at runtime from the Debug Panel.
+// Every source runs inside the hand pipeline worker; `kind` picks its class there.
+export const HAND_SOURCES = [
+    { id: 'websocket', label: 'Python backend', kind: 'websocket' },
+    { id: 'replay', label: 'Recorded file', kind: 'replay' },
+    { id: 'synthetic', label: 'Synthetic generator', kind: 'synthetic' },
+    { id: 'mock', label: 'Local mock server', kind: 'websocket', endpoints: [MOCK_ENDPOINT] }
+]
+
+export const DEFAULT_SOURCE_ID = 'websocket'
+
+/**
+ * Create a hand source by id
+ * @param {string} id - One of HAND_SOURCES ids
+ * @returns {HandSource} - New source instance (falls back to the default source)
+ */
+export function createHandSource(id) {
+    const entry = HAND_SOURCES.find(source => source.id === id)
+        || HAND_SOURCES.find(source => source.id === DEFAULT_SOURCE_ID)
+    return new WorkerHandSource(entry)
+}
@@ -0,0 +1,26 @@
+// src/utils/backendProtocol.js
+// Typed command protocol spoken over /ws next to the landmark stream.
+//   request: { type: 'get_config' | 'set_config', id, config? }
+//   reply:   { type: 'ack', id, command, config } | { type: 'error', id, command, message }
+
+export const COMMAND_TIMEOUT = 5000 // ms to wait for an ack/error before rejecting
+
+// Backend parameters exposed in the Debug Panel (mirrors CONFIG_SCHEMA in backend/server.py).
+// Shown as sliders unless `control` says otherwise.
+export const BACKEND_PARAMETERS = [
+    { key: 'min_detection_confidence', label: 'Detection confidence', min: 0, max: 1, step: 0.05 },
+    { key: 'min_tracking_confidence', label: 'Tracking confidence', min: 0, max: 1, step: 0.05 },
+    { key: 'max_num_hands', label: 'Max hands', min: 1, max: 4, step: 1 },
+    { key: 'target_fps', label: 'Frame rate', min: 1, max: 60, step: 1, unit: 'fps' },
+    { key: 'camera_width', label: 'Camera width', min: 160, max: 1920, step: 1, unit: 'px', control: 'number' },
+    { key: 'camera_height', label: 'Camera height', min: 120, max: 1080, step: 1, unit: 'px', control: 'number' }
+]
+
+/**
+ * Check whether a message is a reply to a command
+ * @param {Object} data - Parsed /ws message
+ * @returns {boolean}
+ */
+export function isCommandReply(data) {
+    return (data.type === 'ack' || data.type === 'error') && data.id !== undefined && data.id !== null
+}
@@ -0,0 +1,232 @@
+// src/utils/bindings.js
+// Gesture-to-action bindings. A binding runs an action when its trigger fires:
+//   { id, trigger, action, holdFor, conditions: { target, hand }, enabled }
+// Triggers are '<kind>:<name>': pinch sequences ('pinch:tap', 'pinch:double_tap',
+// 'pinch:hold_start', 'pinch:long_press'), swipes ('swipe:left', ...) and gestures, built-in or trained in the
+// Gesture Studio ('gesture:thumbs_up', 'gesture:custom_…'). A gesture binding runs when the
+// gesture starts, or once it has been held for holdFor ms (custom motions are over as they
+// start, so they ignore holdFor). Conditions:
+//   target  'any' | 'bulb' (a bulb is pointed at or selected) | 'none'
+//   hand    'either' | 'left' | 'right' (hands without handedness match either, as in pointing)
+// Only the descriptions live here; App.jsx implements the actions.
+// Exported files: { format: 'handcast-bindings', version: 1, bindings: [...] }
+
+export const BINDINGS_FORMAT = 'handcast-bindings'
+export const BINDINGS_VERSION = 1
+
+// pinchOnly actions need the pinch itself (brightness drags the bulb the pinch captured), so
+// they can only be bound to the triggers in HELD_PINCH_TRIGGERS
+export const BINDING_ACTIONS = [
+    { id: 'toggleTarget', label: 'Toggle target bulb' },
+    { id: 'targetOn', label: 'Target bulb on' },
+    { id: 'targetOff', label: 'Target bulb off' },
+    { id: 'brightness', label: 'Brightness control', pinchOnly: true },
+    { id: 'allOn', label: 'All bulbs on' },
+    { id: 'allOff', label: 'All bulbs off' },
+    { id: 'selectNext', label: 'Select next bulb' },
+    { id: 'selectPrevious', label: 'Select previous bulb' },
+    { id: 'nextPreset', label: 'Next lighting preset' },
+    { id: 'previousPreset', label: 'Previous lighting preset' },
+    { id: 'resetMetrics', label: 'Reset metrics' },
+    { id: 'recalibrate', label: 'Recalibrate (wizard)' }
+]
+
+export const TARGET_CONDITIONS = [
+    { id: 'any', label: 'Anywhere' },
+    { id: 'bulb', label: 'On a bulb' },
+    { id: 'none', label: 'Off bulbs' }
+]
+
+export const HAND_CONDITIONS = [
+    { id: 'either', label: 'Either hand' },
+    { id: 'left', label: 'Left hand' },
+    { id: 'right', label: 'Right hand' }
+]
+
+export const PINCH_TRIGGERS = [
+    { id: 'pinch:tap', label: 'Pinch tap', icon: '🤏' },
+    { id: 'pinch:double_tap', label: 'Pinch double tap', icon: '🤏' },
+    { id: 'pinch:hold_start', label: 'Pinch hold', icon: '🤏' },
+    { id: 'pinch:long_press', label: 'Pinch long press', icon: '🤏' }
+]
+
+// Pinch triggers that fire while the pinch is still held (taps are only reported after the release)
+const HELD_PINCH_TRIGGERS = ['pinch:hold_start', 'pinch:long_press']
+
+export const SWIPE_TRIGGERS = [
+    { id: 'swipe:left', label: 'Swipe left', icon: '⬅️' },
+    { id: 'swipe:right', label: 'Swipe right', icon: '➡️' },
+    { id: 'swipe:up', label: 'Swipe up', icon: '⬆️' },
+    { id: 'swipe:down', label: 'Swipe down', icon: '⬇️' }
+]
+
+const DEFAULT_CONDITIONS = { target: 'any', hand: 'either' }
+
+const makeBinding = (id, trigger, action, holdFor = 0) => ({
+    id, trigger, action, holdFor, conditions: { ...DEFAULT_CONDITIONS }, enabled: true
+})
+
+// The behaviour before bindings were configurable
+export const DEFAULT_BINDINGS = [
+    makeBinding('default_tap', 'pinch:tap', 'toggleTarget'),
+    makeBinding('default_double_tap', 'pinch:double_tap', 'allOff'),
+    makeBinding('default_long_press', 'pinch:long_press', 'brightness'),
+    makeBinding('default_thumbs_up', 'gesture:thumbs_up', 'targetOn'),
+    makeBinding('default_thumbs_down', 'gesture:thumbs_down', 'targetOff'),
+    makeBinding('default_open_palm', 'gesture:open_palm', 'allOn', 1000),
+    makeBinding('default_fist', 'gesture:fist', 'allOff', 1000),
+    makeBinding('default_swipe_left', 'swipe:left', 'selectPrevious'),
+    makeBinding('default_swipe_right', 'swipe:right', 'selectNext'),
+    makeBinding('default_swipe_up', 'swipe:up', 'nextPreset'),
+    makeBinding('default_swipe_down', 'swipe:down', 'previousPreset')
+]
+
+/**
+ * Every trigger a binding can use
+ * @param {Array} gestureDefinitions - Gesture definitions ({ id, label, icon, kind }), custom ones included
+ * @returns {Array} - [{ id, label, icon, kind }] where kind is 'motion' for custom motions
+ */
+export function listTriggers(gestureDefinitions = []) {
+    return [
+        ...PINCH_TRIGGERS,
+        ...SWIPE_TRIGGERS,
+        ...gestureDefinitions.map(definition => ({
+            id: `gesture:${definition.id}`,
+            label: definition.label,
+            icon: definition.icon,
+            kind: definition.kind
+        }))
+    ]
+}
+
+/**
+ * New binding with default conditions
+ * @param {string} trigger - Trigger id
+ * @param {string} action - Action id
+ * @returns {Object} - Binding
+ */
+export function createBinding(trigger, action) {
+    const id = `binding_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+    return makeBinding(id, trigger, action)
+}
+
+/**
+ * Whether an action can be bound to a trigger
+ * @param {string} actionId - Action id
+ * @param {string} trigger - Trigger id
+ * @returns {boolean}
+ */
+export function isActionAllowed(actionId, trigger) {
+    const action = BINDING_ACTIONS.find(candidate => candidate.id === actionId)
+    return Boolean(action) && (!action.pinchOnly || HELD_PINCH_TRIGGERS.includes(trigger))
+}
+
+/**
+ * Check and complete one binding (missing optional fields get their defaults)
+ * @param {Object} candidate - Binding, e.g. from an imported file
+ * @param {number} index - Position, for error messages
+ * @returns {Object} - Binding
+ */
+function normalizeBinding(candidate, index) {
+    const where = `Binding ${index + 1}`
+    if (!candidate || typeof candidate !== 'object') throw new Error(`${where} is not an object`)
+    if (typeof candidate.trigger !== 'string' || !/^(pinch|swipe|gesture):\S+$/.test(candidate.trigger)) {
+        throw new Error(`${where} has an invalid trigger "${candidate.trigger}"`)
+    }
+    if (!BINDING_ACTIONS.some(action => action.id === candidate.action)) {
+        throw new Error(`${where} has an unknown action "${candidate.action}"`)
+    }
+    if (!isActionAllowed(candidate.action, candidate.trigger)) {
+        throw new Error(`${where} binds "${candidate.action}" to "${candidate.trigger}", which does not fire while pinching`)
+    }
+
+    const conditions = { ...DEFAULT_CONDITIONS, ...candidate.conditions }
+    if (!TARGET_CONDITIONS.some(condition => condition.id === conditions.target)) {
+        throw new Error(`${where} has an unknown target condition "${conditions.target}"`)
+    }
+    if (!HAND_CONDITIONS.some(condition => condition.id === conditions.hand)) {
+        throw new Error(`${where} has an unknown hand condition "${conditions.hand}"`)
+    }
+
+    const holdFor = Number(candidate.holdFor ?? 0)
+    return {
+        id: typeof candidate.id === 'string' && candidate.id ? candidate.id : `binding_${index}`,
+        trigger: candidate.trigger,
+        action: candidate.action,
+        holdFor: Number.isFinite(holdFor) ? Math.max(0, holdFor) : 0,
+        conditions: { target: conditions.target, hand: conditions.hand },
+        enabled: candidate.enabled !== false
+    }
+}
+
+/**
+ * Check and complete a list of bindings
+ * @param {Array} candidates - Bindings
+ * @returns {Array} - Bindings with unique ids
+ * @throws {Error} - Describing the first invalid binding
+ */
+export function normalizeBindings(candidates) {
+    if (!Array.isArray(candidates)) throw new Error('Bindings must be a list')
+
+    const seen = new Set()
+    return candidates.map((candidate, index) => {
+        const normalized = normalizeBinding(candidate, index)
+        if (seen.has(normalized.id)) normalized.id = `${normalized.id}_${index}`
+        seen.add(normalized.id)
+        return normalized
+    })
+}
+
+/**
+ * Serialize bindings for export
+ * @param {Array} bindings - Bindings
+ * @returns {string} - JSON text
+ */
+export function serializeBindings(bindings) {
+    return JSON.stringify({ format: BINDINGS_FORMAT, version: BINDINGS_VERSION, bindings }, null, 2) + '\n'
+}
+
+/**
+ * Parse an exported bindings file (a bare list of bindings is accepted too)
+ * @param {string} text - JSON text
+ * @returns {Array} - Bindings
+ * @throws {Error} - When the file is not valid JSON or holds invalid bindings
+ */
+export function parseBindings(text) {
+    let parsed
+    try {
+        parsed = JSON.parse(text)
+    } catch {
+        throw new Error('Bindings file is not valid JSON')
+    }
+
+    if (Array.isArray(parsed)) return normalizeBindings(parsed)
+
+    if (parsed?.format !== BINDINGS_FORMAT) throw new Error('Not a bindings file')
+    if (parsed.version > BINDINGS_VERSION) throw new Error(`Bindings file version ${parsed.version} is not supported`)
+    return normalizeBindings(parsed.bindings)
+}
+
+/**
+ * Whether a binding's conditions hold
+ * @param {Object} binding - Binding
+ * @param {Object} context - { hasTarget, handedness } at the time the trigger fired
+ * @returns {boolean}
+ */
+export function conditionsMet({ conditions }, { hasTarget, handedness }) {
+    if (conditions.target === 'bulb' && !hasTarget) return false
+    if (conditions.target === 'none' && hasTarget) return false
+    if (conditions.hand !== 'either' && handedness && handedness.toLowerCase() !== conditions.hand) return false
+    return true
+}
+
+/**
+ * Enabled bindings of a trigger whose conditions hold
+ * @param {Array} bindings - Bindings
+ * @param {string} trigger - Trigger id
+ * @param {Object} context - { hasTarget, handedness }
+ * @returns {Array} - Matching bindings, in list order
+ */
+export function findBindings(bindings, trigger, context) {
+    return bindings.filter(binding => binding.enabled && binding.trigger === trigger && conditionsMet(binding, context))
+}
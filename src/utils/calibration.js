@@ -0,0 +1,153 @@
+// src/utils/calibration.js
+// Per-user calibration, measured by the calibration wizard:
+//   pointing  an affine transform from the fingertip's image position to the screen point it
+//             aims at, fitted to where the user's fingertip was while pointing at targets
+//             (the uncalibrated default just mirrors x, as the camera image is not mirrored)
+//   pinch     the pinch range (closed / open thresholds in hand sizes) from the thumb-index
+//             gap of a full pinch, a relaxed hand and an open hand
+// A calibration profile, as stored in the 'calibrationProfiles' setting:
+//   { id, name, createdAt, pointing: { a, b, c, d, e, f }, pointingError, pinch: { closed, open },
+//     hand: { size, openGap } }
+// Pure, like the classifiers: the wizard (useCalibration) collects the samples.
+
+import { resolvePinchSettings } from './pinchClassifier'
+
+// Screen x = a·x + b·y + c, screen y = d·x + e·y + f (image and screen coordinates 0-1)
+export const DEFAULT_POINTING_TRANSFORM = { a: -1, b: 0, c: 1, d: 0, e: 1, f: 0 }
+
+// Wizard steps, in order. Targets are in screen coordinates (0-1)
+export const CALIBRATION_STEPS = [
+    { id: 'centre', kind: 'point', target: { x: 0.5, y: 0.5 }, instruction: 'Point at the target in the centre' },
+    { id: 'top_left', kind: 'point', target: { x: 0.1, y: 0.1 }, instruction: 'Point at the target in the top left corner' },
+    { id: 'top_right', kind: 'point', target: { x: 0.9, y: 0.1 }, instruction: 'Point at the target in the top right corner' },
+    { id: 'bottom_right', kind: 'point', target: { x: 0.9, y: 0.9 }, instruction: 'Point at the target in the bottom right corner' },
+    { id: 'bottom_left', kind: 'point', target: { x: 0.1, y: 0.9 }, instruction: 'Point at the target in the bottom left corner' },
+    { id: 'pinch', kind: 'pinch', instruction: 'Pinch your thumb and index finger fully together' },
+    { id: 'relax', kind: 'relax', instruction: 'Relax your hand, as when not pinching' },
+    { id: 'open', kind: 'open', instruction: 'Hold your hand wide open, fingers spread' }
+]
+
+const MIN_POINTING_SPREAD = 0.02 // Image units the fingertip has to range over across the targets
+const MIN_PINCH_RANGE = 0.2      // Hand sizes between a full pinch and an open hand
+
+/**
+ * Median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number|null}
+ */
+export function median(values) {
+    if (!values || values.length === 0) return null
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Screen point a fingertip aims at
+ * @param {Object} transform - { a, b, c, d, e, f }
+ * @param {Object} point - Fingertip { x, y } in image coordinates
+ * @returns {Object} - { x, y } in screen coordinates (0-1, may fall outside)
+ */
+export function applyPointingTransform(transform, { x, y }) {
+    const { a, b, c, d, e, f } = transform ?? DEFAULT_POINTING_TRANSFORM
+    return { x: a * x + b * y + c, y: d * x + e * y + f }
+}
+
+// Solve a 3×3 linear system (Cramer's rule); null when singular
+function solve3(matrix, vector) {
+    const det = (m) =>
+        m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])
+
+    const determinant = det(matrix)
+    if (Math.abs(determinant) < 1e-12) return null
+
+    return [0, 1, 2].map(column => det(matrix.map((row, index) =>
+        row.map((value, position) => position === column ? vector[index] : value))) / determinant)
+}
+
+/**
+ * Least-squares fit of the pointing transform
+ * @param {Array} samples - [{ x, y, targetX, targetY }]: fingertip (image) and target (screen)
+ * @returns {Object} - { transform, error } where error is the RMS distance (screen units)
+ *   between the targets and where the transform puts the samples
+ * @throws {Error} - When there are too few samples or the fingertip barely moved
+ */
+export function fitPointingTransform(samples) {
+    if (!samples || samples.length < 3) throw new Error('At least three pointing targets are needed')
+
+    const xs = samples.map(sample => sample.x)
+    const ys = samples.map(sample => sample.y)
+    const spread = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys))
+    if (spread < MIN_POINTING_SPREAD) throw new Error('The fingertip barely moved between the targets')
+
+    // Normal equations: (Aᵀ A) p = Aᵀ t with rows [x, y, 1]
+    const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]
+    const towardsX = [0, 0, 0]
+    const towardsY = [0, 0, 0]
+    samples.forEach(({ x, y, targetX, targetY }) => {
+        const row = [x, y, 1]
+        row.forEach((value, i) => {
+            row.forEach((other, j) => { normal[i][j] += value * other })
+            towardsX[i] += value * targetX
+            towardsY[i] += value * targetY
+        })
+    })
+
+    const screenX = solve3(normal, towardsX)
+    const screenY = solve3(normal, towardsY)
+    if (!screenX || !screenY) throw new Error('The targets were pointed at along a single line')
+
+    const transform = { a: screenX[0], b: screenX[1], c: screenX[2], d: screenY[0], e: screenY[1], f: screenY[2] }
+    const squared = samples.reduce((sum, sample) => {
+        const mapped = applyPointingTransform(transform, sample)
+        return sum + (mapped.x - sample.targetX) ** 2 + (mapped.y - sample.targetY) ** 2
+    }, 0)
+
+    return { transform, error: Math.sqrt(squared / samples.length) }
+}
+
+/**
+ * Pinch range from the thumb-index gaps (hand sizes) of the pinch, relax and open steps.
+ * A full pinch reads as fully pinched a little above its own gap; the open threshold sits
+ * below the relaxed hand, so resting fingers never count as half a pinch.
+ * @param {Object} gaps - { pinched, relaxed, open } medians in hand sizes
+ * @returns {Object} - { closed, open } pinch thresholds
+ * @throws {Error} - When the pinch and the open hand are too alike
+ */
+export function derivePinchRange({ pinched, relaxed, open }) {
+    const range = open - pinched
+    if (!(range >= MIN_PINCH_RANGE) || !(relaxed > pinched)) {
+        throw new Error('The pinch and the open hand looked too alike')
+    }
+
+    const closed = pinched + range * 0.1
+    const resolved = resolvePinchSettings({
+        closed,
+        open: Math.max(closed + 0.1, Math.min(pinched + range * 0.6, relaxed * 0.9))
+    })
+    return { closed: resolved.closed, open: resolved.open }
+}
+
+/**
+ * Build a profile from the wizard's measurements
+ * @param {string} name - Profile name
+ * @param {Object} measurements - { pointing: [{ x, y, targetX, targetY }],
+ *   gaps: { pinched, relaxed, open }, handSize }
+ * @returns {Object} - Profile
+ * @throws {Error} - When the measurements cannot be used (see the fits above)
+ */
+export function createProfile(name, { pointing, gaps, handSize }) {
+    const { transform, error } = fitPointingTransform(pointing)
+
+    return {
+        id: `profile_${Date.now().toString(36)}`,
+        name,
+        createdAt: Date.now(),
+        pointing: transform,
+        pointingError: error,
+        pinch: derivePinchRange(gaps),
+        hand: { size: handSize, openGap: gaps.open }
+    }
+}
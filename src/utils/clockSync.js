@@ -0,0 +1,75 @@
+// src/utils/clockSync.js
+
+const MAX_SAMPLES = 10 // Keep the most recent ping/pong round trips
+
+/**
+ * Estimates the offset between the server clock and the client's performance.now()
+ * from ping/pong round trips (NTP style). The sample with the smallest round trip
+ * time is trusted most, since queuing delay on either leg skews the estimate by up
+ * to half the round trip.
+ */
+export default class ClockSync {
+    constructor() {
+        this.samples = []
+        this.nextPingId = 1
+    }
+
+    reset() {
+        this.samples = []
+    }
+
+    /**
+     * Build a ping message to send to the server
+     * @returns {Object} - { type: 'ping', id, client_time }
+     */
+    createPing() {
+        return { type: 'ping', id: this.nextPingId++, client_time: performance.now() }
+    }
+
+    /**
+     * Record a pong reply
+     * @param {Object} pong - { client_time (ms, echoed), server_time (s, server clock) }
+     * @param {number} receivedAt - performance.now() when the pong arrived
+     */
+    handlePong(pong, receivedAt = performance.now()) {
+        const sentAt = Number(pong.client_time)
+        const serverTime = Number(pong.server_time) * 1000
+
+        if (!Number.isFinite(sentAt) || !Number.isFinite(serverTime)) return
+
+        const rtt = receivedAt - sentAt
+        const offset = serverTime - (sentAt + receivedAt) / 2
+
+        this.samples.push({ rtt, offset })
+        if (this.samples.length > MAX_SAMPLES) {
+            this.samples.shift()
+        }
+    }
+
+    get isSynced() {
+        return this.samples.length > 0
+    }
+
+    // Best (lowest round trip) sample
+    get bestSample() {
+        if (!this.isSynced) return null
+        return this.samples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best))
+    }
+
+    /**
+     * Convert a server timestamp to the client's performance.now() timebase
+     * @param {number} serverSeconds - Server clock in seconds
+     * @returns {number|null} - Client time in ms, or null before the first sync
+     */
+    toClientTime(serverSeconds) {
+        const sample = this.bestSample
+        if (!sample || !Number.isFinite(serverSeconds)) return null
+        return serverSeconds * 1000 - sample.offset
+    }
+
+    // Summary for display: { offset, rtt } in ms, or null before the first sync
+    getStatus() {
+        const sample = this.bestSample
+        return sample ? { offset: sample.offset, rtt: sample.rtt } : null
+    }
+}
@@ -0,0 +1,86 @@
+// src/utils/endpointConfig.js
+import { loadSetting, saveSetting } from './settings'
+
+export const DEFAULT_ENDPOINT = 'ws://localhost:8000/ws'
+export const MOCK_ENDPOINT = import.meta.env.VITE_MOCK_HAND_TRACKING_URL || 'ws://localhost:8001/ws'
+
+// Where each configuration layer is read from
+const QUERY_PARAM = 'ws'                          // ?ws=ws://host:8000/ws,ws://other:8000/ws
+const STORAGE_KEY = 'endpoints'                   // localStorage override set from the Debug Panel
+const ENV_ENDPOINTS = import.meta.env.VITE_HAND_TRACKING_URL // Comma-separated list in .env
+
+/**
+ * Turn a comma/whitespace separated string (or array) into a list of WebSocket URLs
+ * @param {string|Array} value - Raw endpoint list
+ * @returns {Array<string>} - Normalized endpoint URLs (may be empty)
+ */
+export function parseEndpointList(value) {
+    if (!value) return []
+
+    const entries = Array.isArray(value) ? value : String(value).split(/[\s,]+/)
+
+    return entries
+        .map(entry => normalizeEndpoint(String(entry).trim()))
+        .filter(Boolean)
+}
+
+/**
+ * Normalize a single endpoint into an absolute ws:// or wss:// URL
+ * - "/ws" or "/hand/ws" resolves against the page host (useful behind a proxy path)
+ * - "http(s)://" is converted to "ws(s)://"
+ * @param {string} endpoint - Raw endpoint
+ * @returns {string|null} - Absolute WebSocket URL or null if it cannot be used
+ */
+export function normalizeEndpoint(endpoint) {
+    if (!endpoint) return null
+
+    if (endpoint.startsWith('/')) {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
+        return `${protocol}//${window.location.host}${endpoint}`
+    }
+
+    if (/^https?:\/\//i.test(endpoint)) {
+        return endpoint.replace(/^http/i, 'ws')
+    }
+
+    if (/^wss?:\/\//i.test(endpoint)) {
+        return endpoint
+    }
+
+    console.warn(`Ignoring invalid hand tracking endpoint: "${endpoint}"`)
+    return null
+}
+
+/**
+ * Resolve the ordered endpoint list from the configuration layers.
+ * The first layer that yields at least one endpoint wins:
+ * URL query parameter → localStorage override → Vite env var → default
+ * @returns {Object} - { endpoints, source }
+ */
+export function resolveEndpoints() {
+    const layers = [
+        ['query', () => new URLSearchParams(window.location.search).get(QUERY_PARAM)],
+        ['localStorage', () => loadSetting(STORAGE_KEY)],
+        ['env', () => ENV_ENDPOINTS]
+    ]
+
+    for (const [source, read] of layers) {
+        const endpoints = parseEndpointList(read())
+        if (endpoints.length > 0) {
+            return { endpoints, source }
+        }
+    }
+
+    return { endpoints: [DEFAULT_ENDPOINT], source: 'default' }
+}
+
+/**
+ * Save (or clear with null/empty) the localStorage endpoint override
+ * @param {string|Array|null} value - Endpoint list to persist
+ * @returns {Array<string>} - The endpoints that were saved
+ */
+export function saveEndpointOverride(value) {
+    const endpoints = parseEndpointList(value)
+    saveSetting(STORAGE_KEY, endpoints.length > 0 ? endpoints : null)
+    return endpoints
+}
@@ -0,0 +1,259 @@
+// src/utils/faultInjector.js
+// Deliberately degrades the landmark message stream to see how pointing, pinch detection and
+// reconnects hold up on bad Wi-Fi or a slow backend. Sits between a source's transport and its
+// handleMessage() in the hand pipeline worker: messages can be dropped, delayed with latency and
+// jitter, duplicated, swapped with the next one and blurred with Gaussian noise, and the
+// connection can be dropped at an interval. Messages keep their order unless reordered, as
+// over a real WebSocket, so a slow message holds back the ones after it.
+
+const REORDER_FLUSH_DELAY = 200 // ms a message held back for reordering waits for a successor
+
+export const FAULT_PARAMETERS = [
+    { key: 'dropRate', label: 'Drop frames', min: 0, max: 50, step: 1, unit: '%', default: 0 },
+    { key: 'latency', label: 'Added latency', min: 0, max: 500, step: 10, unit: 'ms', default: 0 },
+    { key: 'jitter', label: 'Latency jitter', min: 0, max: 200, step: 5, unit: 'ms', default: 0 },
+    { key: 'duplicateRate', label: 'Duplicate', min: 0, max: 50, step: 1, unit: '%', default: 0 },
+    { key: 'reorderRate', label: 'Reorder', min: 0, max: 50, step: 1, unit: '%', default: 0 },
+    { key: 'noise', label: 'Landmark noise σ', min: 0, max: 0.02, step: 0.001, default: 0 },
+    { key: 'disconnectInterval', label: 'Disconnect every', min: 0, max: 60, step: 5, unit: 's', default: 0 }
+]
+
+export const DEFAULT_FAULT_SETTINGS = {
+    enabled: false,
+    ...Object.fromEntries(FAULT_PARAMETERS.map(param => [param.key, param.default]))
+}
+
+const EMPTY_STATS = { dropped: 0, delayed: 0, duplicated: 0, reordered: 0, disconnects: 0 }
+
+/**
+ * Fill in missing settings and clamp them to the parameter ranges
+ * @param {Object} settings - Partial fault settings
+ * @returns {Object} - Complete settings
+ */
+export function resolveFaultSettings(settings = {}) {
+    const resolved = { enabled: !!settings?.enabled }
+    FAULT_PARAMETERS.forEach(({ key, min, max, default: fallback }) => {
+        const value = Number(settings?.[key])
+        resolved[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback
+    })
+    return resolved
+}
+
+/**
+ * Short description of the active faults, e.g. "drop 10%, +100–150 ms", or 'none'
+ * @param {Object} settings - Fault settings
+ * @returns {string}
+ */
+export function describeFaults(settings) {
+    if (!settings?.enabled) return 'none'
+
+    const parts = []
+    if (settings.dropRate > 0) parts.push(`drop ${settings.dropRate}%`)
+    if (settings.latency > 0 || settings.jitter > 0) parts.push(`+${settings.latency}–${settings.latency + settings.jitter} ms`)
+    if (settings.duplicateRate > 0) parts.push(`duplicate ${settings.duplicateRate}%`)
+    if (settings.reorderRate > 0) parts.push(`reorder ${settings.reorderRate}%`)
+    if (settings.noise > 0) parts.push(`noise σ${settings.noise}`)
+    if (settings.disconnectInterval > 0) parts.push(`disconnect every ${settings.disconnectInterval} s`)
+    return parts.length > 0 ? parts.join(', ') : 'none'
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+    const u = 1 - random()
+    const v = random()
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+/**
+ * Degrades the messages of one source
+ */
+export default class FaultInjector {
+    /**
+     * @param {Object} options - { disconnect, random } where disconnect() drops the source's
+     *   connection and returns whether there was one to drop (omit it for sources without one),
+     *   and random replaces Math.random
+     */
+    constructor({ disconnect = null, random = Math.random } = {}) {
+        this.disconnectSource = disconnect
+        this.random = random
+        this.settings = DEFAULT_FAULT_SETTINGS
+        this.stats = { ...EMPTY_STATS }
+        this.lastDueAt = 0          // Delivery time of the last scheduled message
+        this.held = null            // { data, timing, deliver } waiting to be delivered after the next message
+        this.heldTimer = null
+        this.queue = []             // Delayed messages in delivery order: { dueAt, data, timing, deliver }
+        this.queueTimer = null
+        this.disconnectTimer = null
+        this.running = true         // Whether the source runs (disconnects are only scheduled then)
+    }
+
+    get canDisconnect() {
+        return typeof this.disconnectSource === 'function'
+    }
+
+    configure(settings) {
+        this.settings = resolveFaultSettings(settings)
+        this.scheduleDisconnects()
+
+        if (!this.settings.enabled) {
+            this.flushHeld()
+        }
+    }
+
+    // (Re)arm the periodic disconnect for the current settings, while the source runs
+    scheduleDisconnects() {
+        clearInterval(this.disconnectTimer)
+        this.disconnectTimer = null
+        if (this.running && this.settings.enabled && this.settings.disconnectInterval > 0 && this.canDisconnect) {
+            this.disconnectTimer = setInterval(() => this.disconnect(), this.settings.disconnectInterval * 1000)
+        }
+    }
+
+    // The source (re)started
+    start() {
+        this.running = true
+        this.scheduleDisconnects()
+    }
+
+    // The source stopped: forget messages in flight and stop disconnecting it
+    stop() {
+        this.running = false
+        this.scheduleDisconnects()
+        this.cancel()
+    }
+
+    getStats() {
+        return this.stats
+    }
+
+    resetStats() {
+        this.stats = { ...EMPTY_STATS }
+    }
+
+    count(stat) {
+        this.stats = { ...this.stats, [stat]: this.stats[stat] + 1 }
+    }
+
+    // Forget messages still in flight (the source stopped or its connection dropped)
+    cancel() {
+        clearTimeout(this.heldTimer)
+        this.heldTimer = null
+        this.held = null
+        clearTimeout(this.queueTimer)
+        this.queueTimer = null
+        this.queue = []
+        this.lastDueAt = 0
+    }
+
+    // Drop the source's connection now; only counted when there was a connection to drop
+    disconnect() {
+        if (!this.canDisconnect || !this.disconnectSource()) return false
+        this.count('disconnects')
+        this.cancel()
+        return true
+    }
+
+    /**
+     * Pass a message on to the source, degraded per the settings
+     * @param {Object} data - Raw /ws message
+     * @param {Object} timing - { receivedAt, capturedAt } as the transport saw it
+     * @param {Function} deliver - (data, timing) → the source's real handleMessage
+     */
+    process(data, timing, deliver) {
+        const { enabled, dropRate, duplicateRate, reorderRate, noise } = this.settings
+        if (!enabled) {
+            deliver(data, timing)
+            return
+        }
+
+        if (this.random() * 100 < dropRate) {
+            this.count('dropped')
+            return
+        }
+
+        const message = noise > 0 ? this.addNoise(data) : data
+
+        // Hold this one back and deliver it right after its successor
+        if (!this.held && this.random() * 100 < reorderRate) {
+            this.held = { data: message, timing, deliver }
+            this.heldTimer = setTimeout(() => this.flushHeld(), REORDER_FLUSH_DELAY)
+            return
+        }
+
+        this.schedule(message, timing, deliver)
+        if (this.random() * 100 < duplicateRate) {
+            this.count('duplicated')
+            this.schedule(message, timing, deliver)
+        }
+
+        if (this.held) {
+            this.count('reordered')
+            this.flushHeld()
+        }
+    }
+
+    flushHeld() {
+        clearTimeout(this.heldTimer)
+        this.heldTimer = null
+        if (!this.held) return
+
+        const { data, timing, deliver } = this.held
+        this.held = null
+        this.schedule(data, timing, deliver)
+    }
+
+    // Deliver after latency + jitter, but never ahead of an earlier message
+    schedule(data, timing, deliver) {
+        const now = performance.now()
+        const { latency, jitter } = this.settings
+        const dueAt = Math.max(now + latency + this.random() * jitter, this.lastDueAt)
+        this.lastDueAt = dueAt
+
+        if (dueAt <= now && this.queue.length === 0) {
+            deliver(data, timing)
+            return
+        }
+
+        this.count('delayed')
+        this.queue.push({ dueAt, data, timing, deliver })
+        if (this.queue.length === 1) {
+            this.queueTimer = setTimeout(() => this.deliverDue(), dueAt - now)
+        }
+    }
+
+    // One timer drains the queue in order (separate timers may fire out of order)
+    deliverDue() {
+        this.queueTimer = null
+        const now = performance.now()
+
+        while (this.queue.length > 0 && this.queue[0].dueAt <= now) {
+            const { data, timing, deliver } = this.queue.shift()
+            // Arrival is when the message would have come in, so receive-based latency includes the delay
+            deliver(data, { ...timing, receivedAt: now })
+        }
+
+        if (this.queue.length > 0) {
+            this.queueTimer = setTimeout(() => this.deliverDue(), this.queue[0].dueAt - now)
+        }
+    }
+
+    // Copy of the message with Gaussian noise on every normalized landmark
+    addNoise(data) {
+        const sigma = this.settings.noise
+        const blur = landmarks => landmarks.map(point => ({
+            ...point,
+            x: point.x + gaussian(this.random) * sigma,
+            y: point.y + gaussian(this.random) * sigma,
+            z: point.z + gaussian(this.random) * sigma
+        }))
+
+        if (Array.isArray(data.hands)) {
+            const hands = data.hands.map(hand => Array.isArray(hand?.landmarks) ? { ...hand, landmarks: blur(hand.landmarks) } : hand)
+            return { ...data, hands, landmarks: hands[0]?.landmarks ?? data.landmarks ?? null }
+        }
+        if (Array.isArray(data.landmarks)) {
+            return { ...data, landmarks: blur(data.landmarks) }
+        }
+        return data
+    }
+}
@@ -0,0 +1,174 @@
+// src/utils/frameValidator.js
+// Schema and plausibility checks for landmark frames. Runs in the hand pipeline worker before
+// smoothing and pinch classification, so nothing downstream sees a corrupt hand: a hand with
+// the wrong point count, NaN or out-of-range coordinates, a frame whose timestamp went
+// backwards, or a hand that jumped implausibly far since its last good frame is rejected.
+// Rejected hands are dropped, or replaced by their last good frame for a short while.
+
+const LANDMARK_COUNT = 21
+const WRIST = 0
+const COORDINATE_MARGIN = 0.5   // Normalized x/y may overshoot the image this much (partly visible hands)
+const MAX_DEPTH = 1             // |z| limit for normalized landmarks
+const MAX_WORLD_EXTENT = 0.5    // |x|, |y|, |z| limit for world landmarks (metres from the hand's centre)
+const MAX_SPEED = 10            // Normalized image widths per second the wrist can plausibly move
+const MIN_TELEPORT = 0.2        // Shorter jumps never count as teleports
+const TELEPORT_WINDOW = 500     // ms; after a longer gap a hand may reappear anywhere
+const MAX_REJECTION_STREAK = 3  // Rejections in a row after which a jump or time reset is taken as real
+const HOLD_MAX_AGE = 300        // ms a held frame may stand in for rejected ones
+
+export const REJECTION_REASONS = [
+    { id: 'point-count', label: 'Wrong point count' },
+    { id: 'not-finite', label: 'NaN / infinite' },
+    { id: 'out-of-range', label: 'Out of range' },
+    { id: 'time-reversed', label: 'Time went backwards' },
+    { id: 'teleport', label: 'Teleport' }
+]
+
+export const FRAME_POLICIES = [
+    { id: 'hold', label: 'Hold last', description: 'A rejected hand keeps its last good frame for up to 300 ms' },
+    { id: 'drop', label: 'Drop hand', description: 'A rejected hand is removed from the frame' }
+]
+
+export const DEFAULT_FRAME_POLICY = 'hold'
+
+// First problem found in a landmark array, or null
+function checkPoints(points, isWorld) {
+    if (!Array.isArray(points) || points.length !== LANDMARK_COUNT) {
+        return 'point-count'
+    }
+
+    for (const point of points) {
+        const { x, y, z } = point || {}
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+            return 'not-finite'
+        }
+
+        const inRange = isWorld
+            ? Math.abs(x) <= MAX_WORLD_EXTENT && Math.abs(y) <= MAX_WORLD_EXTENT && Math.abs(z) <= MAX_WORLD_EXTENT
+            : x >= -COORDINATE_MARGIN && x <= 1 + COORDINATE_MARGIN &&
+            y >= -COORDINATE_MARGIN && y <= 1 + COORDINATE_MARGIN &&
+            Math.abs(z) <= MAX_DEPTH
+        if (!inRange) {
+            return 'out-of-range'
+        }
+    }
+
+    return null
+}
+
+/**
+ * Validates frames for one stream and counts rejections by reason
+ */
+export default class FrameValidator {
+    constructor(policy = DEFAULT_FRAME_POLICY) {
+        this.policy = policy
+        this.counts = {}         // Reason id → rejected hands
+        this.reset()
+    }
+
+    setPolicy(policy) {
+        this.policy = FRAME_POLICIES.some(option => option.id === policy) ? policy : DEFAULT_FRAME_POLICY
+    }
+
+    // Forget frame history (new connection); counts are kept
+    reset() {
+        this.lastTime = null          // Time of the last accepted frame
+        this.timeStreak = 0           // Frames in a row rejected for going back in time
+        this.lastGood = new Map()     // Hand key → { hand, time } of its last accepted frame
+        this.teleportStreaks = new Map() // Hand key → teleport rejections in a row
+    }
+
+    resetCounts() {
+        this.counts = {}
+    }
+
+    getCounts() {
+        return { ...this.counts }
+    }
+
+    /**
+     * Validate one frame
+     * @param {Array} hands - Parsed hands ([{ key, landmarks, worldLandmarks, ... }])
+     * @param {number|null} time - Frame time in ms (server clock when known); null skips the time checks
+     * @returns {Object} - { hands, rejected } where hands are the hands to use (held ones marked
+     *   held: true) and rejected lists { key, reason } for this frame
+     */
+    validate(hands, time) {
+        const rejected = []
+
+        // A frame older than the last one is a glitch, unless it keeps happening (stream restarted)
+        if (time !== null && this.lastTime !== null && time < this.lastTime) {
+            this.timeStreak += 1
+            if (this.timeStreak < MAX_REJECTION_STREAK) {
+                hands.forEach(hand => this.reject(hand.key, 'time-reversed', rejected))
+                // The frame's own time says nothing about how old the held frames are
+                return { hands: this.applyPolicy([], rejected, null), rejected }
+            }
+            this.reset()
+        }
+        this.timeStreak = 0
+        if (time !== null) this.lastTime = time
+
+        const accepted = []
+        hands.forEach(hand => {
+            const reason = checkPoints(hand.landmarks, false)
+                || (hand.worldLandmarks ? checkPoints(hand.worldLandmarks, true) : null)
+                || this.checkTeleport(hand, time)
+
+            if (reason) {
+                this.reject(hand.key, reason, rejected)
+                return
+            }
+
+            this.lastGood.set(hand.key, { hand, time })
+            this.teleportStreaks.delete(hand.key)
+            accepted.push(hand)
+        })
+
+        return { hands: rejected.length > 0 ? this.applyPolicy(accepted, rejected, time) : hands, rejected }
+    }
+
+    checkTeleport(hand, time) {
+        const previous = this.lastGood.get(hand.key)
+        if (!previous || time === null || previous.time === null) return null
+
+        const elapsed = time - previous.time
+        if (elapsed > TELEPORT_WINDOW) return null
+
+        const from = previous.hand.landmarks[WRIST]
+        const to = hand.landmarks[WRIST]
+        const jump = Math.hypot(to.x - from.x, to.y - from.y)
+        if (jump < MIN_TELEPORT || jump <= MAX_SPEED * Math.max(elapsed, 1000 / 60) / 1000) return null
+
+        // The hand really moved if it stays at the new place: accept and measure from there
+        const streak = (this.teleportStreaks.get(hand.key) || 0) + 1
+        if (streak >= MAX_REJECTION_STREAK) {
+            this.teleportStreaks.delete(hand.key)
+            return null
+        }
+
+        this.teleportStreaks.set(hand.key, streak)
+        return 'teleport'
+    }
+
+    reject(key, reason, rejected) {
+        this.counts[reason] = (this.counts[reason] || 0) + 1
+        rejected.push({ key, reason })
+    }
+
+    // Accepted hands plus, with the hold policy, recent good frames of the rejected ones
+    applyPolicy(accepted, rejected, time) {
+        if (this.policy !== 'hold') return accepted
+
+        const held = []
+        rejected.forEach(({ key }) => {
+            const good = this.lastGood.get(key)
+            const fresh = good && (time === null || good.time === null || time - good.time <= HOLD_MAX_AGE)
+            if (fresh && !accepted.some(hand => hand.key === key)) {
+                held.push({ ...good.hand, held: true })
+            }
+        })
+
+        return [...accepted, ...held]
+    }
+}
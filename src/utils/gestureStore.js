@@ -0,0 +1,70 @@
+// src/utils/gestureStore.js
+// IndexedDB persistence for custom gestures (see src/gestures/customGestures.js). Examples hold
+// hundreds of numbers each, too many for the localStorage settings.
+const DB_NAME = 'handcast'
+const DB_VERSION = 1
+const GESTURE_STORE = 'customGestures'
+
+let databasePromise = null
+
+// Settle a promise with an IndexedDB request or transaction
+function settle(request, event = 'success') {
+    return new Promise((resolve, reject) => {
+        request.addEventListener(event, () => resolve(request.result))
+        request.addEventListener('error', () => reject(request.error))
+        request.addEventListener('abort', () => reject(request.error ?? new Error('Transaction aborted')))
+    })
+}
+
+function openDatabase() {
+    if (!databasePromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'))
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.addEventListener('upgradeneeded', () => {
+            if (!request.result.objectStoreNames.contains(GESTURE_STORE)) {
+                request.result.createObjectStore(GESTURE_STORE, { keyPath: 'id' })
+            }
+        })
+
+        databasePromise = settle(request).catch(error => {
+            databasePromise = null
+            throw error
+        })
+    }
+    return databasePromise
+}
+
+/**
+ * Read every stored custom gesture
+ * @returns {Promise<Array>} - Gesture records, oldest first
+ */
+export async function loadCustomGestures() {
+    const database = await openDatabase()
+    const gestures = await settle(database.transaction(GESTURE_STORE).objectStore(GESTURE_STORE).getAll())
+    return gestures.sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0))
+}
+
+/**
+ * Store (or replace) a custom gesture
+ * @param {Object} gesture - Gesture record with an id
+ */
+export async function saveCustomGesture(gesture) {
+    const database = await openDatabase()
+    const transaction = database.transaction(GESTURE_STORE, 'readwrite')
+    transaction.objectStore(GESTURE_STORE).put(gesture)
+    await settle(transaction, 'complete')
+}
+
+/**
+ * Remove a custom gesture
+ * @param {string} id - Gesture id
+ */
+export async function deleteCustomGesture(id) {
+    const database = await openDatabase()
+    const transaction = database.transaction(GESTURE_STORE, 'readwrite')
+    transaction.objectStore(GESTURE_STORE).delete(id)
+    await settle(transaction, 'complete')
+}
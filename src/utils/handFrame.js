@@ -0,0 +1,133 @@
+// src/utils/handFrame.js
+
+export const POINTING_HAND_OPTIONS = ['either', 'left', 'right']
+
+/**
+ * @typedef {Object} HandLandmark
+ * @property {number} x - Normalized image x (0-1)
+ * @property {number} y - Normalized image y (0-1)
+ * @property {number} z - Depth relative to the wrist, in roughly the same scale as x
+ * @property {number|null} visibility - Likelihood the landmark is visible, when reported
+ * @property {number|null} presence - Likelihood the landmark is in the frame, when reported
+ */
+
+/**
+ * @typedef {Object} TrackedHand
+ * @property {string} key - Stable per-hand id for tracking state ('left', 'right', 'hand0', ...)
+ * @property {string|null} label - 'Left' | 'Right' | null
+ * @property {number|null} score - Handedness confidence (0-1) or null
+ * @property {HandLandmark[]} landmarks - 21 normalized image landmarks
+ * @property {Array|null} worldLandmarks - 21 { x, y, z } in metres around the hand's centre,
+ *   or null from servers that don't send them
+ */
+
+/**
+ * @typedef {Object} HandFrame
+ * @property {number} frameCount - Server frame number
+ * @property {number|null} receivedAt - performance.now() when the frame arrived
+ * @property {number|null} capturedAt - Capture time in performance.now() time (null when unsynced)
+ * @property {TrackedHand[]} hands - Every detected hand (raw, unsmoothed)
+ */
+
+function parseLandmark(landmark) {
+    return {
+        x: landmark.x,
+        y: landmark.y,
+        z: landmark.z ?? 0,
+        visibility: landmark.visibility ?? null,
+        presence: landmark.presence ?? null
+    }
+}
+
+function parseWorldLandmarks(worldLandmarks) {
+    if (!Array.isArray(worldLandmarks)) return null
+    return worldLandmarks.map(({ x, y, z }) => ({ x, y, z }))
+}
+
+/**
+ * Extract every hand from a /ws message.
+ * Messages from older servers only carry a single "landmarks" array; it is
+ * returned as one hand without handedness. Fields newer servers add (world
+ * landmarks, visibility, presence) come back as null when missing.
+ * @param {Object} data - Raw /ws message
+ * @returns {TrackedHand[]}
+ */
+export function parseHands(data) {
+    let hands = []
+
+    if (Array.isArray(data?.hands)) {
+        hands = data.hands
+            .filter(hand => Array.isArray(hand?.landmarks))
+            .map(hand => ({
+                landmarks: hand.landmarks.map(parseLandmark),
+                worldLandmarks: parseWorldLandmarks(hand.world_landmarks),
+                label: hand.handedness?.label ?? null,
+                score: hand.handedness?.score ?? null
+            }))
+    } else if (Array.isArray(data?.landmarks)) {
+        hands = [{ landmarks: data.landmarks.map(parseLandmark), worldLandmarks: null, label: null, score: null }]
+    }
+
+    return assignHandKeys(hands)
+}
+
+/**
+ * Build the typed frame object handed to gesture code
+ * @param {Object} frame - { hands, frameCount, receivedAt, capturedAt }
+ * @returns {HandFrame}
+ */
+export function createHandFrame({ hands, frameCount = 0, receivedAt = null, capturedAt = null }) {
+    return { frameCount, receivedAt, capturedAt, hands }
+}
+
+/**
+ * Real-world distance between two landmarks of a hand. Unlike image-space distances it does
+ * not change as the hand moves towards or away from the camera.
+ * @param {TrackedHand} hand - Hand with worldLandmarks
+ * @param {number} from - Landmark index
+ * @param {number} to - Landmark index
+ * @returns {number|null} - Distance in metres, or null without world landmarks
+ */
+export function getWorldDistance(hand, from, to) {
+    const a = hand?.worldLandmarks?.[from]
+    const b = hand?.worldLandmarks?.[to]
+    if (!a || !b) return null
+
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)
+}
+
+// Key hands by handedness so per-hand state survives reordering between frames
+function assignHandKeys(hands) {
+    const seen = {}
+
+    return hands.map((hand, index) => {
+        const base = hand.label ? hand.label.toLowerCase() : `hand${index}`
+        seen[base] = (seen[base] || 0) + 1
+
+        return {
+            ...hand,
+            key: seen[base] > 1 ? `${base}${seen[base]}` : base
+        }
+    })
+}
+
+/**
+ * Choose the hand that drives the pointer
+ * @param {Array} hands - Hands from parseHands
+ * @param {string} preference - 'either' | 'left' | 'right'
+ * @param {string|null} previousKey - Key of the hand that was pointing last frame
+ * @returns {Object|null} - The pointing hand or null
+ */
+export function selectPointingHand(hands, preference = 'either', previousKey = null) {
+    if (!hands || hands.length === 0) return null
+
+    // Hands without handedness (older servers) match any preference
+    const candidates = preference === 'either'
+        ? hands
+        : hands.filter(hand => !hand.label || hand.label.toLowerCase() === preference)
+
+    if (candidates.length === 0) return null
+
+    // Stick with the hand that was already pointing so a second hand can't hijack the cursor
+    return candidates.find(hand => hand.key === previousKey) || candidates[0]
+}
@@ -0,0 +1,202 @@
+// src/utils/handPoseGenerator.js
+// Synthetic MediaPipe hands built from a simple kinematic model: each finger is a chain
+// of bones rooted at its knuckle, bending towards the camera as it curls. Lengths are in
+// units of the palm (wrist → middle MCP); the output is 21 normalized image landmarks in
+// MediaPipe order. Kept free of imports so Node (mock server, scripts) can load it directly.
+
+const DEG = Math.PI / 180
+
+// Knuckle positions for a right hand, palm facing the camera, fingers up (x right, y up)
+const FINGERS = [
+    { name: 'thumb', base: [-0.25, 0.15], bones: [0.4, 0.3, 0.25], angle: -50 },
+    { name: 'index', base: [-0.2, 0.95], bones: [0.45, 0.25, 0.22], angle: -8 },
+    { name: 'middle', base: [0, 1.0], bones: [0.5, 0.3, 0.24], angle: 0 },
+    { name: 'ring', base: [0.18, 0.93], bones: [0.45, 0.28, 0.23], angle: 7 },
+    { name: 'pinky', base: [0.33, 0.82], bones: [0.35, 0.2, 0.2], angle: 15 }
+]
+
+// Joint flexion at full curl (degrees) for MCP, PIP, DIP
+const FINGER_FLEX = [80, 100, 70]
+const THUMB_FLEX = [25, 35, 50]
+const THUMB_TUCKED_ANGLE = 25 // In-plane direction of a fully tucked thumb (across the palm)
+
+const PALM_LENGTH_METERS = 0.09 // Real size of one model unit (wrist → middle MCP of an adult hand)
+
+const WRIST = 0
+const THUMB_IP = 3
+const THUMB_TIP = 4
+const INDEX_TIP = 8
+
+/**
+ * Named hand shapes: curls for [thumb, index, middle, ring, pinky] (0 = straight,
+ * 1 = fully curled) and finger spread (1 = natural)
+ */
+export const HAND_POSES = {
+    point: { curls: [1, 0, 1, 1, 1], spread: 1 },
+    open: { curls: [0, 0, 0, 0, 0], spread: 1.6 },
+    fist: { curls: [1, 1, 1, 1, 1], spread: 0.8 },
+    relaxed: { curls: [0.35, 0.15, 0.25, 0.3, 0.35], spread: 1.1 }
+}
+
+/**
+ * Deterministic pseudo-random source (mulberry32), so noisy scenarios replay identically
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+/**
+ * Resolve a pose name or { curls, spread } object into curls and spread
+ * @param {string|Object} pose - Name from HAND_POSES or { curls, spread }
+ * @returns {Object} - { curls, spread }
+ */
+export function resolvePose(pose = 'point') {
+    const shape = typeof pose === 'string' ? HAND_POSES[pose] : pose
+    if (!shape) {
+        throw new Error(`Unknown hand pose: ${pose}`)
+    }
+    return { curls: shape.curls, spread: shape.spread ?? 1 }
+}
+
+// Walk a bone chain from `base`, bending towards the camera (-z) by the cumulative flexion
+function buildChain(base, direction, bones, flex) {
+    const points = []
+    let [x, y, z] = [base[0], base[1], 0]
+    let bend = 0
+
+    bones.forEach((length, index) => {
+        bend += flex[index]
+        x += direction[0] * Math.cos(bend) * length
+        y += direction[1] * Math.cos(bend) * length
+        z -= Math.sin(bend) * length
+        points.push([x, y, z])
+    })
+
+    return points
+}
+
+// Hand in local palm units: 21 [x, y, z] points, y up, z towards the camera negative
+function buildLocalHand(curls, spread, pinch) {
+    const points = [[0, 0, 0]]
+
+    FINGERS.forEach((finger, fingerIndex) => {
+        const curl = Math.max(0, Math.min(1, curls[fingerIndex]))
+
+        if (finger.name === 'thumb') {
+            // The thumb swings across the palm as it curls
+            const angle = (finger.angle + (THUMB_TUCKED_ANGLE - finger.angle) * curl) * DEG
+            const direction = [Math.sin(angle), Math.cos(angle)]
+            const flex = THUMB_FLEX.map(max => max * curl * DEG)
+            points.push([finger.base[0], finger.base[1], 0], ...buildChain(finger.base, direction, finger.bones, flex))
+            return
+        }
+
+        const angle = finger.angle * spread * DEG
+        const direction = [Math.sin(angle), Math.cos(angle)]
+        // Pinching flexes the index a little so the fingertips can meet
+        const fingerCurl = finger.name === 'index' ? Math.min(1, curl + pinch * 0.15) : curl
+        const flex = FINGER_FLEX.map(max => max * fingerCurl * DEG)
+
+        points.push([finger.base[0], finger.base[1], 0], ...buildChain(finger.base, direction, finger.bones, flex))
+    })
+
+    // Pinch: bring the thumb tip onto the index tip, dragging the IP joint half-way
+    if (pinch > 0) {
+        const indexTip = points[INDEX_TIP]
+        const target = [indexTip[0] - 0.04, indexTip[1] - 0.04, indexTip[2]]
+        const pull = (index, amount) => {
+            points[index] = points[index].map((value, axis) => value + (target[axis] - value) * amount)
+        }
+        pull(THUMB_TIP, pinch)
+        pull(THUMB_IP, pinch * 0.5)
+    }
+
+    return points
+}
+
+// Local (y up) → image orientation (y down), mirrored for left hands and rotated about the wrist
+function orientHand(local, handedness, roll, scale) {
+    const mirror = handedness === 'Left' ? -1 : 1
+    const cos = Math.cos(roll * DEG)
+    const sin = Math.sin(roll * DEG)
+
+    return local.map(([lx, ly, lz]) => {
+        const ix = lx * mirror
+        const iy = -ly
+        return [(ix * cos - iy * sin) * scale, (ix * sin + iy * cos) * scale, lz * scale]
+    })
+}
+
+// Approximately gaussian jitter (sum of uniforms)
+function createJitter(noise, random) {
+    return () => noise > 0 ? (random() + random() + random() - 1.5) * noise * 2 : 0
+}
+
+/**
+ * Build one synthetic hand
+ * @param {Object} state
+ * @param {number} state.x - Index fingertip x, normalized camera image coordinates (not mirrored)
+ * @param {number} state.y - Index fingertip y, normalized camera image coordinates
+ * @param {string|Object} state.pose - Name from HAND_POSES or { curls, spread } (default 'point')
+ * @param {number} state.pinch - 0 = thumb relaxed, 1 = thumb tip on the index tip
+ * @param {number} state.roll - In-plane rotation in degrees (positive = clockwise on screen)
+ * @param {number} state.scale - Palm length (wrist → middle MCP) in normalized units
+ * @param {Object} options
+ * @param {string} options.handedness - 'Right' or 'Left' (a left hand is mirrored)
+ * @param {number} options.noise - Standard deviation of per-landmark jitter, normalized units
+ * @param {Function} options.random - Random source for the noise (see createRandom)
+ * @returns {Array} - 21 { x, y, z } landmarks
+ */
+export function generateHand(
+    { x, y, pose = 'point', pinch = 0, roll = 0, scale = 0.1 },
+    { handedness = 'Right', noise = 0, random = Math.random } = {}
+) {
+    const { curls, spread } = resolvePose(pose)
+    const local = buildLocalHand(curls, spread, Math.max(0, Math.min(1, pinch)))
+
+    const offsets = orientHand(local, handedness, roll, scale)
+    const [tipX, tipY] = offsets[INDEX_TIP]
+
+    const jitter = createJitter(noise, random)
+
+    return offsets.map(([dx, dy, dz], index) => ({
+        x: x - tipX + dx + jitter(),
+        y: y - tipY + dy + jitter(),
+        z: index === WRIST ? 0 : dz + jitter()
+    }))
+}
+
+/**
+ * World landmarks for a synthetic hand, like MediaPipe's multi_hand_world_landmarks:
+ * metres, origin at the hand's centre, axes as in the image (x right, y down)
+ * @param {Object} state - { pose, pinch, roll, scale } as for generateHand (position does not apply)
+ * @param {Object} options - { handedness, noise, random }; noise is in image units and scaled
+ *   to metres with the hand's image size, so both landmark sets jitter alike
+ * @returns {Array} - 21 landmarks { x, y, z } in metres
+ */
+export function generateWorldHand(
+    { pose = 'point', pinch = 0, roll = 0, scale = 0.1 },
+    { handedness = 'Right', noise = 0, random = Math.random } = {}
+) {
+    const { curls, spread } = resolvePose(pose)
+    const local = buildLocalHand(curls, spread, Math.max(0, Math.min(1, pinch)))
+    const points = orientHand(local, handedness, roll, PALM_LENGTH_METERS)
+
+    const center = [0, 1, 2].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length)
+    const jitter = createJitter(noise * PALM_LENGTH_METERS / scale, random)
+
+    return points.map(point => ({
+        x: point[0] - center[0] + jitter(),
+        y: point[1] - center[1] + jitter(),
+        z: point[2] - center[2] + jitter()
+    }))
+}
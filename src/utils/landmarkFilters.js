@@ -0,0 +1,304 @@
+// src/utils/landmarkFilters.js
+// Smoothing for landmark streams. Every landmark coordinate gets its own scalar filter,
+// per hand, so a pointing ray from landmarks[8] stops flickering across bulb edges.
+
+const NOMINAL_FRAME_TIME = 1000 / 30 // ms; the backend streams at ~30 FPS
+const JITTER_SMOOTHING = 0.1         // Weight of the newest frame in the jitter averages
+
+/**
+ * Selectable filters and their tunable parameters (same shape as BACKEND_PARAMETERS)
+ */
+export const FILTER_TYPES = [
+    { id: 'none', label: 'Off', parameters: [] },
+    {
+        id: 'oneEuro',
+        label: 'One Euro',
+        parameters: [
+            { key: 'minCutoff', label: 'Min cutoff', min: 0.1, max: 10, step: 0.1, unit: 'Hz', default: 1.0 },
+            { key: 'beta', label: 'Speed coefficient', min: 0, max: 100, step: 1, default: 20 },
+            { key: 'derivativeCutoff', label: 'Derivative cutoff', min: 0.1, max: 5, step: 0.1, unit: 'Hz', default: 1.0 }
+        ]
+    },
+    {
+        id: 'kalman',
+        label: 'Kalman',
+        parameters: [
+            { key: 'measurementNoise', label: 'Measurement noise', min: 0.001, max: 0.02, step: 0.001, default: 0.004 },
+            { key: 'processNoise', label: 'Process noise', min: 0.1, max: 20, step: 0.1, default: 1.5 }
+        ]
+    },
+    {
+        id: 'ema',
+        label: 'EMA',
+        parameters: [
+            { key: 'alpha', label: 'Alpha (per frame)', min: 0.05, max: 1, step: 0.05, default: 0.5 }
+        ]
+    }
+]
+
+export const DEFAULT_FILTER_TYPE = 'oneEuro'
+
+/**
+ * Parameters for a filter type: defaults overridden by any valid stored values
+ * @param {string} type - Filter id from FILTER_TYPES
+ * @param {Object} overrides - { key: value }
+ * @returns {Object} - { key: value } for every parameter of the type
+ */
+export function resolveFilterParameters(type, overrides = {}) {
+    const definition = FILTER_TYPES.find(filterType => filterType.id === type)
+    const params = {}
+
+    definition?.parameters.forEach(param => {
+        const value = overrides?.[param.key]
+        params[param.key] = Number.isFinite(value)
+            ? Math.min(param.max, Math.max(param.min, value))
+            : param.default
+    })
+
+    return params
+}
+
+// Low-pass smoothing factor for a cutoff frequency (Hz) and a time step (s)
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff)
+    return 1 / (1 + tau / dt)
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012): a low-pass whose cutoff rises with speed,
+ * so slow movements are smoothed hard and fast ones lag little
+ */
+export class OneEuroFilter {
+    constructor({ minCutoff, beta, derivativeCutoff }) {
+        this.minCutoff = minCutoff
+        this.beta = beta
+        this.derivativeCutoff = derivativeCutoff
+        this.reset()
+    }
+
+    reset() {
+        this.value = null
+        this.derivative = 0
+    }
+
+    filter(value, dt) {
+        if (this.value === null) {
+            this.value = value
+            return value
+        }
+
+        const derivative = (value - this.value) / dt
+        this.derivative += smoothingFactor(this.derivativeCutoff, dt) * (derivative - this.derivative)
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative)
+        this.value += smoothingFactor(cutoff, dt) * (value - this.value)
+        return this.value
+    }
+}
+
+/**
+ * Constant-velocity Kalman filter for one coordinate. State is [position, velocity];
+ * processNoise is the expected acceleration (units/s²), measurementNoise the landmark
+ * jitter (units, standard deviation)
+ */
+export class KalmanFilter {
+    constructor({ measurementNoise, processNoise }) {
+        this.r = measurementNoise * measurementNoise
+        this.q = processNoise * processNoise
+        this.reset()
+    }
+
+    reset() {
+        this.x = null  // Position
+        this.v = 0     // Velocity
+        this.p = null  // Covariance [[p00, p01], [p01, p11]]
+    }
+
+    filter(value, dt) {
+        if (this.x === null) {
+            this.x = value
+            this.v = 0
+            this.p = [this.r, 0, 1] // Unknown velocity starts with a wide variance
+            return value
+        }
+
+        // Predict
+        const [p00, p01, p11] = this.p
+        const dt2 = dt * dt
+        this.x += this.v * dt
+        const predicted = [
+            p00 + 2 * dt * p01 + dt2 * p11 + this.q * dt2 * dt2 / 4,
+            p01 + dt * p11 + this.q * dt2 * dt / 2,
+            p11 + this.q * dt2
+        ]
+
+        // Update with the measurement
+        const innovation = value - this.x
+        const s = predicted[0] + this.r
+        const k0 = predicted[0] / s
+        const k1 = predicted[1] / s
+
+        this.x += k0 * innovation
+        this.v += k1 * innovation
+        this.p = [
+            (1 - k0) * predicted[0],
+            (1 - k0) * predicted[1],
+            predicted[2] - k1 * predicted[1]
+        ]
+        return this.x
+    }
+}
+
+/**
+ * Exponential moving average. Alpha is defined per nominal 30 FPS frame and scaled
+ * with the actual frame time, so the smoothing does not change with the frame rate
+ */
+export class ExponentialFilter {
+    constructor({ alpha }) {
+        this.alpha = alpha
+        this.reset()
+    }
+
+    reset() {
+        this.value = null
+    }
+
+    filter(value, dt) {
+        if (this.value === null) {
+            this.value = value
+            return value
+        }
+
+        const alpha = 1 - Math.pow(1 - this.alpha, (dt * 1000) / NOMINAL_FRAME_TIME)
+        this.value += alpha * (value - this.value)
+        return this.value
+    }
+}
+
+const FILTER_CLASSES = {
+    oneEuro: OneEuroFilter,
+    kalman: KalmanFilter,
+    ema: ExponentialFilter
+}
+
+/**
+ * Filters every landmark of every hand, keeping state per hand key.
+ * Applying the same timestamp twice returns the cached result, so calling it from
+ * render code (which React may repeat) is safe.
+ */
+export class LandmarkFilter {
+    constructor(type = DEFAULT_FILTER_TYPE, params = {}) {
+        this.hands = new Map() // key → { filters, lastTimestamp, rawTip, filteredTip, jitter }
+        this.lastTimestamp = null
+        this.lastInput = null
+        this.lastOutput = []
+        this.configure(type, params)
+    }
+
+    /**
+     * Change the filter; state is dropped only when something actually changed
+     */
+    configure(type, params = {}) {
+        const resolved = resolveFilterParameters(type, params)
+        const signature = JSON.stringify([type, resolved])
+        if (signature === this.signature) return
+
+        this.signature = signature
+        this.type = FILTER_CLASSES[type] ? type : 'none'
+        this.params = resolved
+        this.reset()
+    }
+
+    reset() {
+        this.hands.clear()
+        this.lastTimestamp = null
+        this.lastInput = null
+        this.lastOutput = []
+    }
+
+    /**
+     * Filter one frame of hands
+     * @param {Array} hands - [{ key, landmarks, ... }] from parseHands
+     * @param {number} timestamp - Frame time in ms (performance.now() clock)
+     * @returns {Array} - Same hands with smoothed landmarks
+     */
+    apply(hands, timestamp) {
+        if (hands === this.lastInput && timestamp === this.lastTimestamp) {
+            return this.lastOutput
+        }
+
+        const seen = new Set()
+        const output = hands.map(hand => {
+            seen.add(hand.key)
+            return this.filterHand(hand, timestamp)
+        })
+
+        // Hands that left the frame start fresh when they come back
+        for (const key of this.hands.keys()) {
+            if (!seen.has(key)) this.hands.delete(key)
+        }
+
+        this.lastInput = hands
+        this.lastTimestamp = timestamp
+        this.lastOutput = output
+        return output
+    }
+
+    filterHand(hand, timestamp) {
+        let state = this.hands.get(hand.key)
+        if (!state) {
+            state = { filters: [], lastTimestamp: null, rawTip: null, filteredTip: null, jitter: { raw: 0, filtered: 0 } }
+            this.hands.set(hand.key, state)
+        }
+
+        const dt = state.lastTimestamp === null
+            ? NOMINAL_FRAME_TIME / 1000
+            : Math.max(timestamp - state.lastTimestamp, 1) / 1000
+        state.lastTimestamp = timestamp
+
+        const FilterClass = FILTER_CLASSES[this.type]
+        const landmarks = FilterClass
+            ? hand.landmarks.map((landmark, index) => {
+                if (!state.filters[index]) {
+                    state.filters[index] = ['x', 'y', 'z'].map(() => new FilterClass(this.params))
+                }
+                const [fx, fy, fz] = state.filters[index]
+                return {
+                    ...landmark,
+                    x: fx.filter(landmark.x, dt),
+                    y: fy.filter(landmark.y, dt),
+                    z: fz.filter(landmark.z ?? 0, dt)
+                }
+            })
+            : hand.landmarks
+
+        trackJitter(state, hand.landmarks[8], landmarks[8])
+
+        return { ...hand, landmarks }
+    }
+
+    /**
+     * Average frame-to-frame movement of the index fingertip, raw and filtered
+     * @param {string} key - Hand key
+     * @returns {Object|null} - { raw, filtered } in normalized units per frame
+     */
+    getJitter(key) {
+        return this.hands.get(key)?.jitter ?? null
+    }
+}
+
+function trackJitter(state, rawTip, filteredTip) {
+    if (!rawTip || !filteredTip) return
+
+    if (state.rawTip) {
+        const rawStep = Math.hypot(rawTip.x - state.rawTip.x, rawTip.y - state.rawTip.y)
+        const filteredStep = Math.hypot(filteredTip.x - state.filteredTip.x, filteredTip.y - state.filteredTip.y)
+        state.jitter = {
+            raw: state.jitter.raw + JITTER_SMOOTHING * (rawStep - state.jitter.raw),
+            filtered: state.jitter.filtered + JITTER_SMOOTHING * (filteredStep - state.jitter.filtered)
+        }
+    }
+
+    state.rawTip = rawTip
+    state.filteredTip = filteredTip
+}
@@ -0,0 +1,143 @@
+// src/utils/landmarkInterpolator.js
+// Landmark estimates at display rate. Frames arrive at ~30 FPS but the canvas renders at
+// 60-144 Hz; sampling a short per-hand history at render time (interpolating behind the
+// newest frame, or extrapolating past it) removes the 33 ms steps from the pointer.
+
+const HISTORY_SIZE = 4                 // Frames kept per hand
+const DEFAULT_FRAME_INTERVAL = 1000 / 30 // ms, until enough frames arrived to measure it
+const MAX_PREDICTION_TIME = 50         // ms an estimate may run ahead of the newest frame
+const MAX_PREDICTION_DISTANCE = 0.03   // Normalized units a landmark may be moved by prediction
+
+/**
+ * Latency modes: how far behind the newest frame the display samples, in frame intervals.
+ * A positive delay interpolates between received frames (smooth, adds lag); zero
+ * extrapolates from the last two frames (no added lag, can briefly overshoot on turns).
+ */
+export const LATENCY_MODES = [
+    { id: 'off', label: 'Off', delayFrames: null, description: 'Newest frame as received (steps at the camera rate)' },
+    { id: 'smooth', label: 'Smooth', delayFrames: 1, description: 'Interpolate one frame behind: smoothest, adds one frame of lag' },
+    { id: 'balanced', label: 'Balanced', delayFrames: 0.5, description: 'Half a frame behind, predicting across gaps' },
+    { id: 'predictive', label: 'Predictive', delayFrames: 0, description: 'Extrapolate to the present: least lag, capped prediction' }
+]
+
+export const DEFAULT_LATENCY_MODE = 'balanced'
+
+const lerpLandmarks = (from, to, k) => from.map((landmark, index) => {
+    const target = to[index]
+    return {
+        ...landmark,
+        x: landmark.x + (target.x - landmark.x) * k,
+        y: landmark.y + (target.y - landmark.y) * k,
+        z: (landmark.z ?? 0) + ((target.z ?? 0) - (landmark.z ?? 0)) * k
+    }
+})
+
+/**
+ * Per-hand landmark history sampled at arbitrary times
+ */
+export default class LandmarkInterpolator {
+    constructor(mode = DEFAULT_LATENCY_MODE) {
+        this.histories = new Map() // hand key → [{ t, landmarks }], oldest first
+        this.frameInterval = DEFAULT_FRAME_INTERVAL
+        this.lastTimestamp = null
+        this.setMode(mode)
+    }
+
+    setMode(mode) {
+        this.mode = LATENCY_MODES.find(option => option.id === mode) || LATENCY_MODES[0]
+    }
+
+    get enabled() {
+        return this.mode.delayFrames !== null
+    }
+
+    reset() {
+        this.histories.clear()
+        this.frameInterval = DEFAULT_FRAME_INTERVAL
+        this.lastTimestamp = null
+    }
+
+    /**
+     * Add a received frame
+     * @param {Array} hands - [{ key, landmarks }]
+     * @param {number} timestamp - Frame time in ms (performance.now() clock)
+     */
+    push(hands, timestamp) {
+        if (timestamp === null || timestamp === this.lastTimestamp) return
+
+        // Track the frame interval so the delay follows the actual camera rate
+        if (this.lastTimestamp !== null) {
+            const interval = timestamp - this.lastTimestamp
+            if (interval > 0 && interval < 250) {
+                this.frameInterval += 0.1 * (interval - this.frameInterval)
+            }
+        }
+        this.lastTimestamp = timestamp
+
+        const seen = new Set()
+        hands.forEach(hand => {
+            seen.add(hand.key)
+            const history = this.histories.get(hand.key) || []
+            history.push({ t: timestamp, landmarks: hand.landmarks })
+            if (history.length > HISTORY_SIZE) history.shift()
+            this.histories.set(hand.key, history)
+        })
+
+        // A hand that left the frame must not be interpolated from stale positions later
+        for (const key of this.histories.keys()) {
+            if (!seen.has(key)) this.histories.delete(key)
+        }
+    }
+
+    /**
+     * Display delay the current mode adds, in ms
+     */
+    getDelay() {
+        return this.enabled ? this.mode.delayFrames * this.frameInterval : 0
+    }
+
+    /**
+     * Estimate a hand's landmarks at a given time
+     * @param {string} key - Hand key
+     * @param {number} now - Render time in ms (performance.now() clock)
+     * @returns {Array|null} - 21 landmarks, or null if the hand is unknown
+     */
+    sample(key, now) {
+        const history = this.histories.get(key)
+        if (!history || history.length === 0) return null
+
+        const newest = history[history.length - 1]
+        if (!this.enabled || history.length < 2) return newest.landmarks
+
+        const target = now - this.getDelay()
+
+        // Interpolate between the two frames around the target time
+        if (target <= newest.t) {
+            if (target <= history[0].t) return history[0].landmarks
+
+            const nextIndex = history.findIndex(frame => frame.t >= target)
+            const prev = history[nextIndex - 1]
+            const next = history[nextIndex]
+            return lerpLandmarks(prev.landmarks, next.landmarks, (target - prev.t) / (next.t - prev.t))
+        }
+
+        // Extrapolate past the newest frame, limited in time and distance so a late frame
+        // or a sudden stop can't throw the pointer far past the hand
+        const previous = history[history.length - 2]
+        const span = newest.t - previous.t
+        if (span <= 0) return newest.landmarks
+
+        const ahead = Math.min(target - newest.t, MAX_PREDICTION_TIME)
+        let k = ahead / span
+
+        const largestStep = newest.landmarks.reduce((largest, landmark, index) => {
+            const from = previous.landmarks[index]
+            return Math.max(largest, Math.hypot(landmark.x - from.x, landmark.y - from.y) * k)
+        }, 0)
+        if (largestStep > MAX_PREDICTION_DISTANCE) {
+            k *= MAX_PREDICTION_DISTANCE / largestStep
+        }
+
+        return lerpLandmarks(newest.landmarks, previous.landmarks, -k)
+    }
+}
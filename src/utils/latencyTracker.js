@@ -0,0 +1,65 @@
+// src/utils/latencyTracker.js
+// Follows the most recent landmark frame through the pipeline:
+//   capture (server, clock-synced) → receive (client) → raycast → render
+// All marks use the performance.now() timebase.
+
+let currentFrame = null   // Timing of the latest received frame
+const listeners = new Set()
+
+/**
+ * Mark a frame as received by a hand source
+ * @param {Object} timing - { frameCount, receivedAt, capturedAt } (capturedAt null when unsynced)
+ */
+export function markFrameReceived({ frameCount = 0, receivedAt = performance.now(), capturedAt = null }) {
+    currentFrame = {
+        frameCount,
+        receivedAt,
+        capturedAt,
+        raycastAt: null,
+        renderedAt: null
+    }
+}
+
+// Mark the latest frame as raycast (called once per processed frame)
+export function markRaycast() {
+    if (currentFrame && currentFrame.raycastAt === null) {
+        currentFrame.raycastAt = performance.now()
+    }
+}
+
+// Mark a render frame; completes the sample for a frame that has been raycast
+export function markRender() {
+    if (!currentFrame || currentFrame.raycastAt === null || currentFrame.renderedAt !== null) return
+
+    const renderedAt = performance.now()
+    const { frameCount, receivedAt, capturedAt, raycastAt } = currentFrame
+    currentFrame.renderedAt = renderedAt
+
+    const sample = {
+        frameCount,
+        captureToReceive: capturedAt !== null ? receivedAt - capturedAt : null,
+        receiveToRaycast: raycastAt - receivedAt,
+        raycastToRender: renderedAt - raycastAt,
+        endToEnd: renderedAt - (capturedAt ?? receivedAt)
+    }
+
+    listeners.forEach(listener => listener(sample))
+}
+
+/**
+ * Timing of the latest received frame, used to time actions back to their source frame
+ * @returns {Object|null} - { frameCount, receivedAt, capturedAt, raycastAt, renderedAt }
+ */
+export function getLastFrameTiming() {
+    return currentFrame
+}
+
+/**
+ * Subscribe to completed latency samples
+ * @param {Function} listener - Called with { frameCount, captureToReceive, receiveToRaycast, raycastToRender, endToEnd }
+ * @returns {Function} - Unsubscribe function
+ */
+export function onLatencySample(listener) {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
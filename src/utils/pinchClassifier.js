@@ -0,0 +1,230 @@
+// src/utils/pinchClassifier.js
+// Pinch state machine for every tracked hand. Pure (no React, no DOM) so it can run in the
+// hand pipeline worker; usePinchDetection only relays its states and events.
+// The thumb-index gap is measured relative to the hand's own size (wrist → middle knuckle),
+// so a pinch feels the same close to the camera and far from it, and for small and large hands.
+// While a hand pinches, the movement of its index fingertip is reported as pinch_drag events
+// (image units, y down) for continuous controls such as brightness.
+
+const WRIST = 0
+const THUMB_TIP = 4
+const INDEX_TIP = 8
+const MIDDLE_MCP = 9
+
+const DRAG_STEP = 0.002 // Fingertip movement (image units) below which no pinch_drag is reported
+
+// Gaps are in hand sizes; start/release are strengths (1 = pinched, 0 = open)
+export const PINCH_PARAMETERS = [
+    { key: 'closed', label: 'Fully pinched at', min: 0.05, max: 0.5, step: 0.01, unit: '× hand', default: 0.2 },
+    { key: 'open', label: 'Open from', min: 0.4, max: 1.5, step: 0.05, unit: '× hand', default: 0.8 },
+    { key: 'start', label: 'Start strength', min: 0.5, max: 0.95, step: 0.05, default: 0.7 },
+    { key: 'release', label: 'Release strength', min: 0.1, max: 0.9, step: 0.05, default: 0.5 }
+]
+
+export const DEFAULT_PINCH_SETTINGS = Object.fromEntries(PINCH_PARAMETERS.map(param => [param.key, param.default]))
+
+/**
+ * Fill in missing pinch settings and keep them consistent (open above closed, release
+ * below start, so there is always some hysteresis)
+ * @param {Object} settings - Partial { closed, open, start, release }
+ * @returns {Object} - Complete settings
+ */
+export function resolvePinchSettings(settings = {}) {
+    const resolved = {}
+    PINCH_PARAMETERS.forEach(({ key, min, max, default: fallback }) => {
+        const value = Number(settings?.[key])
+        resolved[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback
+    })
+
+    resolved.open = Math.max(resolved.open, resolved.closed + 0.05)
+    resolved.release = Math.min(resolved.release, resolved.start - 0.05)
+    return resolved
+}
+
+const distance3D = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)
+
+/**
+ * Calculate the 3D distance between thumb tip and index finger tip
+ * @param {Array} landmarks - 21 hand landmarks
+ * @returns {number|null} - Distance in normalized units or null if unavailable
+ */
+export function calculatePinchDistance(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
+        return null
+    }
+
+    const thumbTip = landmarks[THUMB_TIP]
+    const indexTip = landmarks[INDEX_TIP]
+
+    if (!thumbTip || !indexTip) {
+        return null
+    }
+
+    return distance3D(thumbTip, indexTip)
+}
+
+/**
+ * Measure a pinch against the size of the hand making it. World landmarks (metres) are used
+ * when the server sends them, as they are free of perspective; the image landmarks otherwise.
+ * @param {Object} hand - { landmarks, worldLandmarks }
+ * @returns {Object|null} - { distance, gap, handSize, space } where distance is the raw
+ *   normalized thumb-index distance, gap that distance in hand sizes, handSize the wrist →
+ *   middle knuckle length (metres or normalized units) and space 'world' | 'image'
+ */
+export function measurePinch({ landmarks, worldLandmarks = null }) {
+    const distance = calculatePinchDistance(landmarks)
+    if (distance === null) return null
+
+    const space = worldLandmarks?.length === 21 ? 'world' : 'image'
+    const points = space === 'world' ? worldLandmarks : landmarks
+    const handSize = distance3D(points[WRIST], points[MIDDLE_MCP])
+    if (!(handSize > 0)) return null
+
+    return { distance, gap: distance3D(points[THUMB_TIP], points[INDEX_TIP]) / handSize, handSize, space }
+}
+
+/**
+ * Turn a thumb-index gap (in hand sizes) into a pinch strength (1 = pinched, 0 = open)
+ * @param {number} gap - Gap from measurePinch
+ * @param {Object} settings - { closed, open } gaps
+ * @returns {number} - Strength 0-1
+ */
+export function pinchStrengthFromGap(gap, { closed, open } = DEFAULT_PINCH_SETTINGS) {
+    const normalizedGap = Math.max(0, Math.min(1, (gap - closed) / (open - closed)))
+    return 1 - normalizedGap
+}
+
+/**
+ * Tracks pinch state per hand key across frames and reports events:
+ *   pinch_start / pinch_end  { type, hand, handedness, strength, distance, gap, lost }
+ *   pinch_drag               { type, hand, handedness, strength, dx, dy, totalDx, totalDy, distance }
+ * where dx/dy is the fingertip movement since the last pinch_drag, totalDx/totalDy since the
+ * pinch started and distance the path length travelled meanwhile.
+ */
+export default class PinchClassifier {
+    /**
+     * @param {Object} settings - Thresholds (see PINCH_PARAMETERS)
+     */
+    constructor(settings = DEFAULT_PINCH_SETTINGS) {
+        this.settings = resolvePinchSettings(settings)
+        this.states = {} // hand key → { isPinching, strength, label, gap, handSize, space, drag }
+    }
+
+    configure(settings) {
+        this.settings = resolvePinchSettings(settings)
+    }
+
+    /**
+     * Classify one frame
+     * @param {Array} hands - [{ key, label, landmarks, worldLandmarks }]
+     * @returns {Object} - { states, events } where events are pinch_start / pinch_end objects
+     */
+    update(hands) {
+        const events = []
+        const nextStates = {}
+
+        for (const hand of hands || []) {
+            nextStates[hand.key] = this.classifyHand(hand, events)
+        }
+
+        // A hand that leaves the frame mid-pinch ends its pinch
+        Object.entries(this.states).forEach(([key, previous]) => {
+            if (!nextStates[key] && previous.isPinching) {
+                events.push({
+                    type: 'pinch_end',
+                    hand: key,
+                    handedness: previous.label,
+                    strength: 0,
+                    distance: null,
+                    gap: null,
+                    lost: true
+                })
+            }
+        })
+
+        this.states = nextStates
+        return { states: nextStates, events }
+    }
+
+    classifyHand({ key, label, landmarks, worldLandmarks }, events) {
+        const measurement = measurePinch({ landmarks, worldLandmarks })
+        const currentlyPinching = this.states[key]?.isPinching || false
+        const previousDrag = this.states[key]?.drag ?? null
+
+        if (measurement === null) {
+            return { isPinching: currentlyPinching, strength: 0, label, gap: null, handSize: null, space: null, drag: previousDrag }
+        }
+
+        const { distance, gap, handSize, space } = measurement
+        const strength = pinchStrengthFromGap(gap, this.settings)
+        let isPinching = currentlyPinching
+
+        // Hysteresis: starting needs more strength than staying pinched
+        if (!currentlyPinching && strength > this.settings.start) {
+            isPinching = true
+        } else if (currentlyPinching && strength < this.settings.release) {
+            isPinching = false
+        }
+
+        if (isPinching !== currentlyPinching) {
+            events.push({
+                type: isPinching ? 'pinch_start' : 'pinch_end',
+                hand: key,
+                handedness: label,
+                strength,
+                distance,
+                gap,
+                thumbTip: landmarks[THUMB_TIP],
+                indexTip: landmarks[INDEX_TIP]
+            })
+        }
+
+        let drag = null
+        if (isPinching) {
+            drag = currentlyPinching && previousDrag
+                ? this.trackDrag(key, label, strength, landmarks[INDEX_TIP], previousDrag, events)
+                : this.startDrag(landmarks[INDEX_TIP])
+        }
+
+        return { isPinching, strength, label, gap, handSize, space, drag }
+    }
+
+    startDrag({ x, y }) {
+        return { origin: { x, y }, last: { x, y }, totalDx: 0, totalDy: 0, distance: 0 }
+    }
+
+    // Report fingertip movement once it is large enough to be more than jitter
+    trackDrag(key, label, strength, { x, y }, previous, events) {
+        const dx = x - previous.last.x
+        const dy = y - previous.last.y
+        const step = Math.hypot(dx, dy)
+        if (step < DRAG_STEP) return previous
+
+        const drag = {
+            origin: previous.origin,
+            last: { x, y },
+            totalDx: x - previous.origin.x,
+            totalDy: y - previous.origin.y,
+            distance: previous.distance + step
+        }
+
+        events.push({
+            type: 'pinch_drag',
+            hand: key,
+            handedness: label,
+            strength,
+            dx,
+            dy,
+            totalDx: drag.totalDx,
+            totalDy: drag.totalDy,
+            distance: drag.distance
+        })
+
+        return drag
+    }
+
+    // Forget every hand without reporting events (the caller ends open pinches itself)
+    reset() {
+        this.states = {}
+    }
+}
@@ -0,0 +1,158 @@
+// src/utils/pinchSequence.js
+// Classifies sequences of pinch_start / pinch_end events per hand into
+//   tap                  short pinch, not followed by another within the double-tap window
+//   double_tap           second pinch starting within the window after a tap
+//   hold_start           pinch held longer than a tap
+//   long_press_progress  while held, progress (0-1) towards a long press
+//   long_press           held for the long-press duration
+//   hold_end             release of a held pinch (longPressed tells whether it got that far)
+// A tap is only reported once the double-tap window has passed, so set the window to 0 for
+// instant taps when double taps are not needed. Pure (times are passed in) like the classifiers.
+
+export const PINCH_TIMING_PARAMETERS = [
+    { key: 'tapMax', label: 'Tap shorter than', min: 100, max: 600, step: 10, unit: 'ms', default: 300 },
+    { key: 'doubleTapWindow', label: 'Double-tap window', min: 0, max: 600, step: 10, unit: 'ms', default: 250 },
+    { key: 'longPress', label: 'Long press after', min: 300, max: 2000, step: 50, unit: 'ms', default: 600 }
+]
+
+export const DEFAULT_PINCH_TIMING = Object.fromEntries(PINCH_TIMING_PARAMETERS.map(param => [param.key, param.default]))
+
+/**
+ * Fill in missing timing settings and keep the long press after the tap limit
+ * @param {Object} timing - Partial { tapMax, doubleTapWindow, longPress } in ms
+ * @returns {Object} - Complete timing
+ */
+export function resolvePinchTiming(timing = {}) {
+    const resolved = {}
+    PINCH_TIMING_PARAMETERS.forEach(({ key, min, max, default: fallback }) => {
+        const value = Number(timing?.[key])
+        resolved[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback
+    })
+
+    resolved.longPress = Math.max(resolved.longPress, resolved.tapMax + 100)
+    return resolved
+}
+
+/**
+ * Tracks pinch sequences per hand key. Feed it the pinch events with handle() and call
+ * tick() on every frame (and at nextDeadline() when frames stop) to resolve taps and
+ * report long-press progress.
+ */
+export default class PinchSequenceClassifier {
+    constructor(timing = DEFAULT_PINCH_TIMING) {
+        this.timing = resolvePinchTiming(timing)
+        this.hands = {} // hand key → { label, press: { since, holding, longPressed, consumed }, tap: { endAt } }
+    }
+
+    configure(timing) {
+        this.timing = resolvePinchTiming(timing)
+    }
+
+    /**
+     * Handle a pinch_start / pinch_end event
+     * @param {Object} event - Event from PinchClassifier ({ type, hand, handedness, lost })
+     * @param {number} time - Event time in ms
+     * @returns {Array} - Sequence events
+     */
+    handle(event, time) {
+        const events = this.tick(time)
+        const tracked = this.hands[event.hand] ?? (this.hands[event.hand] = { press: null, tap: null })
+        tracked.label = event.handedness
+
+        if (event.type === 'pinch_start') {
+            // A pinch soon after a tap completes a double tap and is used up by it
+            const isDoubleTap = tracked.tap && time - tracked.tap.endAt <= this.timing.doubleTapWindow
+            tracked.tap = null
+            tracked.press = { since: time, holding: false, longPressed: false, consumed: isDoubleTap }
+            if (isDoubleTap) {
+                events.push(this.createEvent('double_tap', event.hand, tracked, 0))
+            }
+            return events
+        }
+
+        const { press } = tracked
+        tracked.press = null
+        if (!press || press.consumed) return events
+
+        const duration = time - press.since
+        if (press.holding) {
+            events.push(this.createEvent('hold_end', event.hand, tracked, duration, {
+                longPressed: press.longPressed,
+                lost: !!event.lost
+            }))
+        } else if (!event.lost) {
+            tracked.tap = { endAt: time, duration }
+            events.push(...this.tick(time))
+        }
+
+        return events
+    }
+
+    /**
+     * Advance time: report taps whose double-tap window has passed, holds and long presses
+     * @param {number} time - Current time in ms
+     * @returns {Array} - Sequence events
+     */
+    tick(time) {
+        const events = []
+        const { tapMax, doubleTapWindow, longPress } = this.timing
+
+        Object.entries(this.hands).forEach(([key, tracked]) => {
+            if (tracked.tap && time - tracked.tap.endAt >= doubleTapWindow) {
+                events.push(this.createEvent('tap', key, tracked, tracked.tap.duration))
+                tracked.tap = null
+            }
+
+            const { press } = tracked
+            if (!press || press.consumed || press.longPressed) return
+
+            const held = time - press.since
+            if (held < tapMax) return
+
+            if (!press.holding) {
+                press.holding = true
+                events.push(this.createEvent('hold_start', key, tracked, held))
+            }
+
+            if (held >= longPress) {
+                press.longPressed = true
+                events.push(this.createEvent('long_press', key, tracked, held, { progress: 1 }))
+            } else {
+                const progress = (held - tapMax) / (longPress - tapMax)
+                events.push(this.createEvent('long_press_progress', key, tracked, held, { progress }))
+            }
+        })
+
+        return events
+    }
+
+    /**
+     * When tick() next has something to report without new events, or null
+     * @returns {number|null} - Time in ms
+     */
+    nextDeadline() {
+        let deadline = null
+        const { tapMax, doubleTapWindow, longPress } = this.timing
+        const consider = (time) => {
+            if (deadline === null || time < deadline) deadline = time
+        }
+
+        Object.values(this.hands).forEach(({ tap, press }) => {
+            if (tap) consider(tap.endAt + doubleTapWindow)
+            if (press && !press.consumed && !press.longPressed) {
+                consider(press.since + (press.holding ? longPress : tapMax))
+            }
+        })
+
+        return deadline
+    }
+
+    createEvent(type, key, tracked, duration, extra = {}) {
+        return { type, hand: key, handedness: tracked.label, duration, ...extra }
+    }
+
+    // Forget every hand without reporting events
+    reset() {
+        this.hands = {}
+    }
+}
@@ -0,0 +1,157 @@
+// src/utils/poseScript.js
+// Keyframe scripts driving synthetic hands (SyntheticSource and the Node mock server).
+// Keyframes are { t (ms), x, y (normalized screen coords), pinch (0-1), pose } or
+// { t, hand: false } for "no hand in view"; `pose` is a HAND_POSES name or { curls, spread }
+// and defaults to 'point'. Imports carry explicit extensions so Node can load this directly.
+import { generateHand, generateWorldHand, resolvePose } from './handPoseGenerator.js'
+
+// Fingertip targets for the bulbs in the default scene, by bulb id (normalized screen coords).
+// Measured from the default camera in a 16:9 window (see sceneLayout.js); the ceiling bulb sits
+// above the top edge there, so its target is the bottom of its hitbox.
+export const BULB_TARGETS = {
+    1: [0.5, 0.05],     // Ceiling bulb
+    2: [0.17, 0.22],    // Left wall bulb
+    3: [0.83, 0.22]     // Right wall bulb
+}
+
+// Default script: visit each bulb, pinch on it, then drop the hand out of view.
+export const DEFAULT_SCRIPT = [
+    { t: 0, x: 0.5, y: 0.75, pinch: 0 },
+    { t: 1500, x: 0.5, y: 0.05, pinch: 0 },     // Ceiling bulb
+    { t: 2200, x: 0.5, y: 0.05, pinch: 1 },
+    { t: 2600, x: 0.5, y: 0.05, pinch: 0 },
+    { t: 4000, x: 0.17, y: 0.22, pinch: 0 },    // Left wall bulb
+    { t: 4700, x: 0.17, y: 0.22, pinch: 1 },
+    { t: 5100, x: 0.17, y: 0.22, pinch: 0 },
+    { t: 7000, x: 0.83, y: 0.22, pinch: 0 },    // Right wall bulb
+    { t: 7700, x: 0.83, y: 0.22, pinch: 1 },
+    { t: 8100, x: 0.83, y: 0.22, pinch: 0 },
+    { t: 9000, x: 0.5, y: 0.75, pinch: 0 },
+    { t: 9001, hand: false },
+    { t: 10000, hand: false }
+]
+
+/**
+ * Sample a keyframe script at time t (linear interpolation, looping)
+ * @param {Array} script - Keyframes sorted by t
+ * @param {number} t - Time in ms since the script started
+ * @returns {Object|null} - { x, y, pinch, pose: { curls, spread } } or null when no hand should be visible
+ */
+export function sampleScript(script, t) {
+    const duration = script[script.length - 1].t
+    const time = duration > 0 ? t % duration : 0
+
+    const nextIndex = script.findIndex(frame => frame.t >= time)
+    const next = script[Math.max(nextIndex, 0)]
+    const prev = script[Math.max(nextIndex - 1, 0)]
+
+    if (prev.hand === false || next.hand === false) {
+        return null
+    }
+
+    const span = next.t - prev.t
+    const k = span > 0 ? (time - prev.t) / span : 0
+    const lerp = (from, to) => from + (to - from) * k
+    const mix = (key) => lerp(prev[key], next[key])
+
+    // Blend hand shapes too, so "open → fist" animates finger by finger
+    const fromPose = resolvePose(prev.pose)
+    const toPose = resolvePose(next.pose)
+
+    return {
+        x: mix('x'),
+        y: mix('y'),
+        pinch: mix('pinch'),
+        pose: {
+            curls: fromPose.curls.map((curl, index) => lerp(curl, toPose.curls[index])),
+            spread: lerp(fromPose.spread, toPose.spread)
+        }
+    }
+}
+
+/**
+ * Sample a script as a /ws hand entry ({ landmarks, world_landmarks, handedness })
+ * @param {Array} script - Keyframes sorted by t
+ * @param {number} t - Time in ms since the script started
+ * @param {Object} options - generateHand() options (handedness, noise, random)
+ * @returns {Object|null} - Hand entry, or null when no hand should be visible
+ */
+export function sampleHand(script, t, options = {}) {
+    const pose = sampleScript(script, t)
+    if (!pose) return null
+
+    const handedness = options.handedness ?? 'Right'
+
+    // Screen x is mirrored relative to the camera image
+    const landmarks = generateHand({ ...pose, x: 1 - pose.x }, { ...options, handedness })
+    const worldLandmarks = generateWorldHand(pose, { ...options, handedness })
+
+    return { landmarks, world_landmarks: worldLandmarks, handedness: { label: handedness, score: 1 } }
+}
+
+/**
+ * Build a keyframe script from high-level steps
+ *   { point: [x, y], duration }        move the fingertip to a screen coordinate
+ *   { path: [[x, y], ...], duration }  move through several points at constant speed
+ *   { pinch: duration, strength }      close thumb and index finger (strength 0-1, default 1)
+ *   { release: duration }              open them again
+ *   { pose: name, duration }           change hand shape ('point', 'open', 'fist', ...)
+ *   { hold: duration }                 stay still
+ *   { noHand: duration }               take the hand out of view
+ * @param {Array} steps - Steps in order
+ * @param {Object} start - Initial pose { x, y, pose }
+ * @returns {Array} - Keyframes for sampleScript()
+ */
+export function buildScript(steps, start = { x: 0.5, y: 0.75 }) {
+    let t = 0
+    let pose = { x: start.x, y: start.y, pinch: 0, pose: start.pose ?? 'point' }
+    let visible = true
+    const script = [{ t, ...pose }]
+
+    const add = (duration, nextPose, nextVisible = true) => {
+        // Jumps between "no hand" and a pose happen instantly at the boundary
+        if (visible !== nextVisible) {
+            script.push(nextVisible ? { t: t + 1, ...nextPose } : { t: t + 1, hand: false })
+        }
+        t += Math.max(duration, 2)
+        script.push(nextVisible ? { t, ...nextPose } : { t, hand: false })
+        pose = nextPose
+        visible = nextVisible
+    }
+
+    const addPath = (points, duration) => {
+        const legs = points.map((point, index) => {
+            const from = index === 0 ? [pose.x, pose.y] : points[index - 1]
+            return Math.hypot(point[0] - from[0], point[1] - from[1])
+        })
+        const total = legs.reduce((sum, length) => sum + length, 0)
+
+        points.forEach((point, index) => {
+            const share = total > 0 ? legs[index] / total : 1 / points.length
+            add(duration * share, { ...pose, x: point[0], y: point[1] })
+        })
+    }
+
+    steps.forEach(step => {
+        if (step.point) {
+            add(step.duration ?? 1000, { ...pose, x: step.point[0], y: step.point[1] })
+        } else if (step.path) {
+            addPath(step.path, step.duration ?? 1000)
+        } else if (step.pinch !== undefined) {
+            add(step.pinch, { ...pose, pinch: step.strength ?? 1 })
+        } else if (step.release !== undefined) {
+            add(step.release, { ...pose, pinch: 0 })
+        } else if (step.pose !== undefined) {
+            resolvePose(step.pose) // Fail early on unknown names
+            add(step.duration ?? 500, { ...pose, pose: step.pose })
+        } else if (step.hold !== undefined) {
+            add(step.hold, pose)
+        } else if (step.noHand !== undefined) {
+            add(step.noHand, pose, false)
+        } else {
+            throw new Error(`Unknown script step: ${JSON.stringify(step)}`)
+        }
+    })
+
+    return script
+}
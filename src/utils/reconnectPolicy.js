@@ -0,0 +1,82 @@
+// src/utils/reconnectPolicy.js
+import { loadSetting, saveSetting } from './settings'
+
+export const DEFAULT_RECONNECT_POLICY = {
+    initialDelay: 1000,   // ms before the first retry
+    maxDelay: 30000,      // ms cap for the exponential backoff
+    multiplier: 2,        // Backoff growth per attempt
+    jitter: 0.5,          // Fraction of the delay randomised (0 = none, 1 = 0..2x)
+    maxAttempts: 5        // Attempts before giving up, or null to retry forever
+}
+
+const STORAGE_KEY = 'reconnectPolicy'                                 // Overrides set from the Debug Panel
+const ENV_MAX_ATTEMPTS = import.meta.env.VITE_RECONNECT_MAX_ATTEMPTS  // Number or "unlimited"
+
+// Keep only known policy fields with usable values
+function sanitizePolicy(value) {
+    if (!value || typeof value !== 'object') return {}
+
+    const policy = {}
+    Object.keys(DEFAULT_RECONNECT_POLICY).forEach(key => {
+        const field = value[key]
+        if (key === 'maxAttempts' && field === null) {
+            policy.maxAttempts = null
+        } else if (Number.isFinite(field) && field >= 0) {
+            policy[key] = field
+        }
+    })
+    return policy
+}
+
+function envPolicy() {
+    if (!ENV_MAX_ATTEMPTS) return {}
+    if (ENV_MAX_ATTEMPTS === 'unlimited') return { maxAttempts: null }
+    return sanitizePolicy({ maxAttempts: Number(ENV_MAX_ATTEMPTS) })
+}
+
+/**
+ * Resolve the reconnect policy: defaults ← VITE_RECONNECT_MAX_ATTEMPTS ← localStorage
+ * @returns {Object} - Policy (see DEFAULT_RECONNECT_POLICY)
+ */
+export function resolveReconnectPolicy() {
+    return {
+        ...DEFAULT_RECONNECT_POLICY,
+        ...envPolicy(),
+        ...sanitizePolicy(loadSetting(STORAGE_KEY))
+    }
+}
+
+/**
+ * Persist policy overrides (merged with the stored ones)
+ * @param {Object} patch - Partial policy
+ */
+export function saveReconnectPolicy(patch) {
+    saveSetting(STORAGE_KEY, { ...sanitizePolicy(loadSetting(STORAGE_KEY)), ...sanitizePolicy(patch) })
+}
+
+/**
+ * Delay before a reconnect attempt: exponential backoff with random jitter so that
+ * many clients restarting together do not hit the server in lockstep
+ * @param {number} attempt - 1-based attempt number
+ * @param {Object} policy - Reconnect policy
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} - Delay in ms
+ */
+export function getReconnectDelay(attempt, policy = DEFAULT_RECONNECT_POLICY, random = Math.random) {
+    const base = Math.min(
+        policy.maxDelay,
+        policy.initialDelay * Math.pow(policy.multiplier, Math.max(0, attempt - 1))
+    )
+    const spread = base * policy.jitter
+
+    return Math.round(Math.min(policy.maxDelay, Math.max(0, base - spread + random() * spread * 2)))
+}
+
+/**
+ * Whether another attempt is allowed
+ * @param {number} attempt - 1-based attempt number about to be made
+ * @param {Object} policy - Reconnect policy
+ */
+export function canRetry(attempt, policy = DEFAULT_RECONNECT_POLICY) {
+    return policy.maxAttempts === null || attempt <= policy.maxAttempts
+}
@@ -0,0 +1,25 @@
+// src/utils/renderStats.js
+// Committed render counts per component, shown in the Debug Panel's Renders section.
+// Counting lives outside React so reading the numbers never causes a render itself.
+
+const counts = new Map() // Component name → committed renders
+
+/**
+ * Count one committed render
+ * @param {string} name - Component name
+ */
+export function recordRender(name) {
+    counts.set(name, (counts.get(name) || 0) + 1)
+}
+
+/**
+ * Render counts so far
+ * @returns {Object} - Component name → committed renders
+ */
+export function getRenderCounts() {
+    return Object.fromEntries(counts)
+}
+
+export function resetRenderCounts() {
+    counts.clear()
+}
@@ -0,0 +1,30 @@
+// src/utils/sceneLayout.js
+// Layout of the default scene: where the camera looks from and where the bulbs and their
+// pointing hitboxes are. LightsScene renders it; the scenario check (scripts/) raycasts
+// against the same layout without a browser.
+
+// Camera as set up by the Canvas; OrbitControls keeps it aimed at target
+export const SCENE_CAMERA = {
+    position: [0, 1.2, 2.5],
+    fov: 65,
+    target: [0, 0, 0]
+}
+
+// One ceiling light and two wall sconces; ids are what bindings and hit info refer to
+export const BULBS = [
+    { id: 1, position: [0, 1.8, 0], isCeiling: true },      // Ceiling bulb (center)
+    { id: 2, position: [-3.5, 0.8, -2.5], isCeiling: false }, // Left wall bulb
+    { id: 3, position: [3.5, 0.8, -2.5], isCeiling: false }   // Right wall bulb
+]
+
+// Invisible sphere round each bulb that pointing rays hit (larger than the bulb for easier targeting)
+export const HITBOX_RADIUS = 0.4
+
+/**
+ * Offset of a bulb's glass (and hitbox) from its mounting point
+ * @param {boolean} isCeiling - Ceiling-mounted bulbs hang a little higher up their fixture
+ * @returns {Array} - [x, y, z]
+ */
+export function bulbCenterOffset(isCeiling) {
+    return isCeiling ? [0, -0.1, 0] : [0, -0.15, 0]
+}
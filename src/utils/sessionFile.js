@@ -0,0 +1,86 @@
+// src/utils/sessionFile.js
+// NDJSON landmark session format:
+//   line 1:   {"type":"header","format":"handcast-session","version":1,...}
+//   line 2..: {"t":<ms since recording start>,"message":<raw /ws message>}
+
+export const SESSION_FORMAT = 'handcast-session'
+export const SESSION_VERSION = 1
+
+/**
+ * Serialize recorded messages to NDJSON
+ * @param {Array} entries - Array of { t, message }
+ * @param {Object} meta - Extra header fields (endpoint, notes, ...)
+ * @returns {string} - NDJSON text
+ */
+export function serializeSession(entries, meta = {}) {
+    const header = {
+        type: 'header',
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        recorded_at: new Date().toISOString(),
+        frames: entries.length,
+        user_agent: navigator.userAgent,
+        ...meta
+    }
+
+    return [header, ...entries].map(line => JSON.stringify(line)).join('\n') + '\n'
+}
+
+/**
+ * Parse an NDJSON session file.
+ * Lines without a "message" field are treated as bare /ws messages and timed
+ * from their server "timestamp" (seconds), so raw server dumps replay as well.
+ * @param {string} text - NDJSON text
+ * @returns {Object} - { header, entries } with entries sorted by t (ms, starting at 0)
+ */
+export function parseSession(text) {
+    let header = null
+    const entries = []
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return
+
+        let parsed
+        try {
+            parsed = JSON.parse(line)
+        } catch {
+            throw new Error(`Invalid JSON on line ${index + 1}`)
+        }
+
+        if (parsed.type === 'header') {
+            header = parsed
+        } else if (parsed.message) {
+            entries.push({ t: Number(parsed.t) || 0, message: parsed.message })
+        } else {
+            entries.push({ t: (Number(parsed.timestamp) || 0) * 1000, message: parsed })
+        }
+    })
+
+    if (entries.length === 0) {
+        throw new Error('Session file contains no frames')
+    }
+
+    // Rebase timing so playback starts immediately
+    const start = entries[0].t
+    entries.forEach(entry => { entry.t -= start })
+
+    return { header, entries }
+}
+
+/**
+ * Trigger a browser download of a text file
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadText(text, filename, type = 'application/x-ndjson') {
+    const blob = new Blob([text], { type })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+
+    link.href = url
+    link.download = filename
+    link.click()
+
+    URL.revokeObjectURL(url)
+}
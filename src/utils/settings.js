@@ -0,0 +1,35 @@
+// src/utils/settings.js
+const STORAGE_PREFIX = 'handcast.'
+
+/**
+ * Read a persisted setting from localStorage
+ * @param {string} key - Setting key (without prefix)
+ * @param {*} fallback - Value returned when the setting is missing or unreadable
+ * @returns {*} - The parsed setting value
+ */
+export function loadSetting(key, fallback = null) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key)
+        return raw === null ? fallback : JSON.parse(raw)
+    } catch (error) {
+        console.warn(`Failed to read setting "${key}":`, error)
+        return fallback
+    }
+}
+
+/**
+ * Persist a setting to localStorage
+ * @param {string} key - Setting key (without prefix)
+ * @param {*} value - JSON-serialisable value, or null to remove the setting
+ */
+export function saveSetting(key, value) {
+    try {
+        if (value === null || value === undefined) {
+            window.localStorage.removeItem(STORAGE_PREFIX + key)
+        } else {
+            window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value))
+        }
+    } catch (error) {
+        console.warn(`Failed to save setting "${key}":`, error)
+    }
+}
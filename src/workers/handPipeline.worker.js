@@ -0,0 +1,260 @@
+// src/workers/handPipeline.worker.js
+// Hand pipeline worker. Runs the hand sources (including the WebSocket connection) and
+// the per-frame work — JSON parsing, frame validation, landmark smoothing, pinch
+// classification, gesture (built-in and custom) and swipe recognition — away from the
+// WebGL render loop. The page talks to it through WorkerHandSource.
+// In fault-injection mode the messages are degraded on their way into the source.
+//
+// Page → worker: start | stop | call | configure | reset | forward | disconnect
+// Worker → page: hello | update | message | result
+import WebSocketSource from '../sources/WebSocketSource'
+import ReplaySource from '../sources/ReplaySource'
+import SyntheticSource from '../sources/SyntheticSource'
+import { LandmarkFilter } from '../utils/landmarkFilters'
+import PinchClassifier, { DEFAULT_PINCH_SETTINGS } from '../utils/pinchClassifier'
+import GestureEngine from '../gestures/gestureEngine'
+import { GESTURES } from '../gestures/gestureDefinitions'
+import { MotionMatcher, toPoseDefinition } from '../gestures/customGestures'
+import SwipeDetector from '../gestures/swipeDetector'
+import FrameValidator, { DEFAULT_FRAME_POLICY } from '../utils/frameValidator'
+import FaultInjector, { DEFAULT_FAULT_SETTINGS } from '../utils/faultInjector'
+import { getLastFrameTiming } from '../utils/latencyTracker'
+import { packFrame, FRAME_FIELDS } from './pipelineProtocol'
+
+const SOURCE_CLASSES = {
+    websocket: WebSocketSource,
+    replay: ReplaySource,
+    synthetic: SyntheticSource
+}
+
+const pipelines = new Map() // source id → { source, faults, validator, filter, pinch, gestures, motions, swipes, posted, forwardMessages }
+let filterSettings = { type: undefined, params: {} }
+let validationSettings = { policy: DEFAULT_FRAME_POLICY }
+let faultSettings = DEFAULT_FAULT_SETTINGS
+let pinchSettings = DEFAULT_PINCH_SETTINGS
+let customGestures = [] // Gesture Studio records
+
+// Built-in gestures plus the custom poses, which the gesture engine matches by their examples
+function gestureDefinitions() {
+    return [...GESTURES, ...customGestures.filter(gesture => gesture.kind === 'pose' && gesture.examples?.length > 0).map(toPoseDefinition)]
+}
+
+// Forget everything learnt from earlier frames of the stream
+function resetStream(pipeline) {
+    pipeline.validator.reset()
+    pipeline.filter.reset()
+    pipeline.pinch.reset()
+    pipeline.gestures.reset()
+    pipeline.motions.reset()
+    pipeline.swipes.reset()
+}
+
+// Post a state change: plain fields as a patch, hands as a packed frame
+function publish(id, pipeline, state) {
+    const { posted } = pipeline
+    const patch = {}
+
+    // The source started its frames over (see HandSource.resetStream)
+    if (state.streamId !== posted.streamId) {
+        resetStream(pipeline)
+    }
+
+    Object.keys(state).forEach(key => {
+        if (!FRAME_FIELDS.includes(key) && state[key] !== posted[key]) {
+            patch[key] = state[key]
+        }
+    })
+
+    let frame = null
+    let transfer = []
+
+    if (state.hands !== posted.hands) {
+        const isNewFrame = state.lastFrameAt !== posted.lastFrameAt
+
+        // Corrupt hands are dropped (or replaced by their last good frame) before anything else sees them
+        const { hands, rejected } = pipeline.validator.validate(state.hands, state.serverTime ?? state.lastFrameAt)
+        if (rejected.length > 0) {
+            patch.rejections = pipeline.validator.getCounts()
+        }
+
+        const filteredHands = pipeline.filter.apply(hands, state.lastFrameAt ?? performance.now())
+        const pinch = pipeline.pinch.update(hands)
+        const gestures = pipeline.gestures.update(hands, state.lastFrameAt ?? performance.now())
+        // Custom motions are reported along with the gesture events
+        gestures.events.push(...pipeline.motions.update(hands, state.lastFrameAt ?? performance.now()))
+        const swipes = pipeline.swipes.update(hands, state.lastFrameAt ?? performance.now(), pinch.states)
+
+        const jitter = {}
+        hands.forEach(hand => {
+            const handJitter = pipeline.filter.getJitter(hand.key)
+            if (handJitter) jitter[hand.key] = handJitter
+        })
+
+        const timing = isNewFrame ? getLastFrameTiming() : null
+
+        ;({ frame, transfer } = packFrame({
+            hands,
+            filteredHands,
+            pinch,
+            gestures,
+            swipes,
+            jitter,
+            isNewFrame,
+            timing: timing && {
+                frameCount: timing.frameCount,
+                receivedAt: timing.receivedAt,
+                capturedAt: timing.capturedAt
+            }
+        }))
+    }
+
+    const faultStats = pipeline.faults.getStats()
+    if (faultStats !== pipeline.postedFaultStats) {
+        patch.faultStats = faultStats
+        pipeline.postedFaultStats = faultStats
+    }
+
+    pipeline.posted = state
+
+    if (frame || Object.keys(patch).length > 0) {
+        self.postMessage({ type: 'update', id, patch, frame }, transfer)
+    }
+}
+
+function getPipeline(id, kind, options = {}) {
+    if (pipelines.has(id)) return pipelines.get(id)
+
+    const SourceClass = SOURCE_CLASSES[kind]
+    if (!SourceClass) {
+        throw new Error(`Unknown hand source kind: ${kind}`)
+    }
+
+    const source = new SourceClass({ id, ...options, browserEvents: false })
+    const pipeline = {
+        source,
+        faults: new FaultInjector({
+            disconnect: typeof source.simulateDisconnect === 'function' ? () => source.simulateDisconnect() : null
+        }),
+        validator: new FrameValidator(validationSettings.policy),
+        filter: new LandmarkFilter(filterSettings.type, filterSettings.params),
+        pinch: new PinchClassifier(pinchSettings),
+        gestures: new GestureEngine(gestureDefinitions()),
+        motions: new MotionMatcher(customGestures),
+        swipes: new SwipeDetector(),
+        posted: {},
+        postedFaultStats: null,
+        forwardMessages: false
+    }
+    pipeline.faults.configure(faultSettings)
+    pipelines.set(id, pipeline)
+
+    // Every message the transport hands over passes the fault injector first (a no-op while it is off)
+    const deliver = source.handleMessage.bind(source)
+    source.handleMessage = (data, timing) => pipeline.faults.process(data, timing, deliver)
+
+    pipeline.source.subscribe(state => publish(id, pipeline, state))
+    pipeline.source.onMessage(data => {
+        if (pipeline.forwardMessages) {
+            self.postMessage({ type: 'message', id, data })
+        }
+    })
+
+    // The constructor may already have set source-specific fields
+    publish(id, pipeline, pipeline.source.getState())
+    return pipeline
+}
+
+async function handleCall({ callId, id, kind, options, method, args = [] }) {
+    try {
+        const { source } = getPipeline(id, kind, options)
+        if (typeof source[method] !== 'function') {
+            throw new Error(`${id} has no method ${method}`)
+        }
+
+        const value = await source[method](...args)
+        self.postMessage({ type: 'result', callId, value })
+    } catch (callError) {
+        self.postMessage({ type: 'result', callId, error: callError.message })
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data
+
+    switch (message.type) {
+        case 'start': {
+            const pipeline = getPipeline(message.id, message.kind, message.options)
+            resetStream(pipeline)
+            pipeline.faults.start()
+            pipeline.source.start()
+            break
+        }
+        case 'stop': {
+            const pipeline = pipelines.get(message.id)
+            pipeline?.faults.stop()
+            pipeline?.source.stop()
+            break
+        }
+        case 'call':
+            handleCall(message)
+            break
+        case 'configure':
+            if (message.filter) {
+                filterSettings = message.filter
+                pipelines.forEach(pipeline => pipeline.filter.configure(filterSettings.type, filterSettings.params))
+            }
+            if (message.validation) {
+                validationSettings = message.validation
+                pipelines.forEach(pipeline => pipeline.validator.setPolicy(validationSettings.policy))
+            }
+            if (message.faults) {
+                faultSettings = message.faults
+                pipelines.forEach(pipeline => pipeline.faults.configure(faultSettings))
+            }
+            if (message.pinch) {
+                pinchSettings = message.pinch
+                pipelines.forEach(pipeline => pipeline.pinch.configure(pinchSettings))
+            }
+            if (message.customGestures) {
+                customGestures = message.customGestures
+                pipelines.forEach(pipeline => {
+                    pipeline.gestures.setDefinitions(gestureDefinitions())
+                    pipeline.motions.setGestures(customGestures)
+                })
+            }
+            break
+        case 'reset': {
+            const pipeline = pipelines.get(message.id)
+            if (!pipeline) break
+            if (message.filter) pipeline.filter.reset()
+            if (message.pinch) pipeline.pinch.reset()
+            if (message.gestures) {
+                pipeline.gestures.reset()
+                pipeline.motions.reset()
+            }
+            if (message.swipes) pipeline.swipes.reset()
+            if (message.rejections) {
+                pipeline.validator.resetCounts()
+                self.postMessage({ type: 'update', id: message.id, patch: { rejections: {} }, frame: null })
+            }
+            if (message.faultStats) {
+                pipeline.faults.resetStats()
+                publish(message.id, pipeline, pipeline.source.getState())
+            }
+            break
+        }
+        case 'disconnect':
+            pipelines.get(message.id)?.faults.disconnect()
+            break
+        case 'forward': {
+            const pipeline = pipelines.get(message.id)
+            if (pipeline) pipeline.forwardMessages = message.enabled
+            break
+        }
+        default:
+            console.warn('Hand pipeline worker: unknown message', message.type)
+    }
+}
+
+// performance.now() runs on a different origin here than on the page; the page converts times with this
+self.postMessage({ type: 'hello', timeOrigin: performance.timeOrigin })
@@ -0,0 +1,108 @@
+// src/workers/pipelineProtocol.js
+// Compact frame format between the hand pipeline worker and the main thread. Landmark
+// data travels in one transferable Float32Array; everything else is a small plain object.
+// Per hand the buffer holds, in order:
+//   raw x, y, z | filtered x, y, z | world x, y, z | visibility | presence
+// Values a server did not send (world landmarks, visibility, presence) are NaN.
+
+const LANDMARK_COUNT = 21
+const POINT_FLOATS = LANDMARK_COUNT * 3
+const RAW_OFFSET = 0
+const FILTERED_OFFSET = POINT_FLOATS
+const WORLD_OFFSET = POINT_FLOATS * 2
+const VISIBILITY_OFFSET = POINT_FLOATS * 3
+const PRESENCE_OFFSET = VISIBILITY_OFFSET + LANDMARK_COUNT
+const FLOATS_PER_HAND = PRESENCE_OFFSET + LANDMARK_COUNT
+
+// State fields holding performance.now() times, which differ between worker and page clocks
+export const TIME_FIELDS = ['lastFrameAt', 'nextRetryAt']
+
+// State fields carried by frames (or only used inside the worker) rather than plain state patches
+export const FRAME_FIELDS = ['hands', 'landmarks', 'serverTime']
+
+function writePoints(buffer, offset, points) {
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        const point = points?.[i]
+        buffer[offset + i * 3] = point?.x ?? NaN
+        buffer[offset + i * 3 + 1] = point?.y ?? NaN
+        buffer[offset + i * 3 + 2] = point?.z ?? NaN
+    }
+}
+
+function writeValues(buffer, offset, landmarks, field) {
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        buffer[offset + i] = landmarks[i]?.[field] ?? NaN
+    }
+}
+
+const readValue = (value) => (Number.isNaN(value) ? null : value)
+
+function readLandmarks(buffer, handOffset, pointOffset) {
+    const landmarks = new Array(LANDMARK_COUNT)
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        const offset = handOffset + pointOffset + i * 3
+        landmarks[i] = {
+            x: buffer[offset],
+            y: buffer[offset + 1],
+            z: buffer[offset + 2],
+            visibility: readValue(buffer[handOffset + VISIBILITY_OFFSET + i]),
+            presence: readValue(buffer[handOffset + PRESENCE_OFFSET + i])
+        }
+    }
+    return landmarks
+}
+
+function readWorldLandmarks(buffer, handOffset) {
+    const landmarks = new Array(LANDMARK_COUNT)
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        const offset = handOffset + WORLD_OFFSET + i * 3
+        landmarks[i] = { x: buffer[offset], y: buffer[offset + 1], z: buffer[offset + 2] }
+    }
+    return landmarks
+}
+
+/**
+ * Pack a processed frame for postMessage
+ * @param {Object} frame - { hands, filteredHands, ...meta } (filteredHands in the same order as hands)
+ * @returns {Object} - { frame, transfer } where transfer lists the buffers to hand over
+ */
+export function packFrame({ hands, filteredHands, ...meta }) {
+    const buffer = new Float32Array(hands.length * FLOATS_PER_HAND)
+
+    hands.forEach((hand, index) => {
+        const offset = index * FLOATS_PER_HAND
+        writePoints(buffer, offset + RAW_OFFSET, hand.landmarks)
+        writePoints(buffer, offset + FILTERED_OFFSET, filteredHands[index].landmarks)
+        writePoints(buffer, offset + WORLD_OFFSET, hand.worldLandmarks)
+        writeValues(buffer, offset + VISIBILITY_OFFSET, hand.landmarks, 'visibility')
+        writeValues(buffer, offset + PRESENCE_OFFSET, hand.landmarks, 'presence')
+    })
+
+    return {
+        frame: {
+            ...meta,
+            handInfo: hands.map(({ key, label, score, worldLandmarks }) => ({ key, label, score, hasWorld: !!worldLandmarks })),
+            buffer
+        },
+        transfer: [buffer.buffer]
+    }
+}
+
+/**
+ * Unpack a frame from packFrame
+ * @param {Object} frame - Posted frame
+ * @returns {Object} - { hands, filteredHands, ...meta } with landmark objects restored
+ */
+export function unpackFrame({ handInfo, buffer, ...meta }) {
+    const hands = []
+    const filteredHands = []
+
+    handInfo.forEach(({ hasWorld, ...info }, index) => {
+        const offset = index * FLOATS_PER_HAND
+        const worldLandmarks = hasWorld ? readWorldLandmarks(buffer, offset) : null
+        hands.push({ ...info, landmarks: readLandmarks(buffer, offset, RAW_OFFSET), worldLandmarks })
+        filteredHands.push({ ...info, landmarks: readLandmarks(buffer, offset, FILTERED_OFFSET), worldLandmarks })
+    })
+
+    return { ...meta, hands, filteredHands }
+}